@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Alert Outcomes — what happened after each squeeze alert
+ *
+ * squeeze-monitor.js records every new alert here with its entry (HL mark price),
+ * direction, conviction, score and the rule factors that fired. Every later run
+ * fills in from Hyperliquid 15m candles and the funding history:
+ *   returns      direction-adjusted % at 1h / 4h / 24h / 72h (+ = the call worked)
+ *   mfePct       max favorable excursion within 72h (≥ 0)
+ *   maePct       max adverse excursion within 72h (≤ 0)
+ *   funding      first funding reading back under NORMALIZED_8H or flipped sign
+ * An alert is complete once its 72h window has closed. Coins not listed on
+ * Hyperliquid have no price feed here and are stored as untracked.
+ *
+ * Store: data/squeeze-alerts.json
+ *
+ * Usage:
+ *   node alert-outcomes.js                  — update open alerts, then report by conviction
+ *   node alert-outcomes.js --by factors     — report by rule factor combination
+ *   node alert-outcomes.js --no-update      — report on what's stored
+ *   node alert-outcomes.js --days 30        — only alerts from the last 30 days
+ *   node alert-outcomes.js --min 5          — hide groups with fewer than 5 alerts
+ *   node alert-outcomes.js --json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readHistory } = require('./funding-history');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const candleStore = require('./candle-store');
+
+const STORE_FILE = path.resolve(__dirname, '..', 'data', 'squeeze-alerts.json');
+const HOUR_MS = 60 * 60 * 1000;
+const HORIZONS = { '1h': HOUR_MS, '4h': 4 * HOUR_MS, '24h': 24 * HOUR_MS, '72h': 72 * HOUR_MS };
+const WINDOW_MS = HORIZONS['72h'];
+const CANDLE_INTERVAL = '15m';
+const CANDLE_MS = candleStore.INTERVAL_MS[CANDLE_INTERVAL];
+const NORMALIZED_8H = FUNDING_THRESHOLDS_8H.noteworthy; // |8h rate| back under this = normalized
+const MIN_UPDATE_SPACING_MS = 15 * 60 * 1000;
+const MAX_STORED = 5000;
+
+function loadStore() {
+  try { return JSON.parse(fs.readFileSync(STORE_FILE, 'utf8')); }
+  catch { return { alerts: [] }; }
+}
+
+function saveStore(store) {
+  if (store.alerts.length > MAX_STORED) store.alerts = store.alerts.slice(-MAX_STORED);
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, STORE_FILE);
+}
+
+// Store new squeeze-monitor alerts. Returns how many were added.
+function recordAlerts(alerts, now = Date.now()) {
+  if (alerts.length === 0) return 0;
+  const store = loadStore();
+  const ids = new Set(store.alerts.map(a => a.id));
+  let added = 0;
+  for (const a of alerts) {
+    const id = `${a.coin}_${a.setupDirection}_${now}`;
+    if (ids.has(id)) continue;
+    const tracked = a.hlSymbol && a.entryPrice > 0;
+    store.alerts.push({
+      id,
+      coin: a.coin,
+      symbol: a.hlSymbol || null,
+      setupDirection: a.setupDirection,
+      sentiment: a.sentiment,
+      conviction: a.conviction,
+      score: a.score ?? null,
+      factors: (a.scoreFactors || []).map(f => f.id),
+      alertedAt: now,
+      entryPrice: tracked ? a.entryPrice : null,
+      entryRate8h: a.avgRate,
+      fundingVenue: a.bestVenue,
+      status: tracked ? 'open' : 'untracked',
+      note: tracked ? null : 'not listed on Hyperliquid',
+      returns: Object.fromEntries(Object.keys(HORIZONS).map(h => [h, null])),
+      mfePct: null,
+      maePct: null,
+      fundingNormalizedAt: null,
+      hoursToNormalize: null,
+      fundingNormalized: null,
+      trackedThrough: null,
+      checkedAt: null,
+    });
+    added++;
+  }
+  saveStore(store);
+  return added;
+}
+
+const round2 = x => Math.round(x * 100) / 100;
+
+// Fill returns / excursions from candles ({ t, T, o, h, l, c }, oldest first, closed only)
+function applyPrices(alert, candles, now) {
+  const side = alert.setupDirection === 'LONG' ? 1 : -1;
+  const entry = alert.entryPrice;
+  const end = alert.alertedAt + WINDOW_MS;
+  const window = candles.filter(c => c.T > alert.alertedAt && c.t < end && c.T < now);
+  if (window.length === 0) return;
+
+  for (const [h, ms] of Object.entries(HORIZONS)) {
+    const at = alert.alertedAt + ms;
+    if (alert.returns[h] !== null || now < at) continue;
+    // Last candle closed by the horizon, and no more than one candle before it
+    const c = window.filter(x => x.T <= at).pop();
+    if (c && at - c.T <= CANDLE_MS) alert.returns[h] = round2(side * (parseFloat(c.c) - entry) / entry * 100);
+  }
+
+  // Excursions only from candles opened at or after the alert: the candle it fired
+  // in has a high/low that may predate the entry
+  const after = window.filter(c => c.t >= alert.alertedAt);
+  if (after.length > 0) {
+    const up = (Math.max(...after.map(c => parseFloat(c.h))) - entry) / entry * 100;
+    const down = (Math.min(...after.map(c => parseFloat(c.l))) - entry) / entry * 100;
+    alert.mfePct = round2(Math.max(0, side === 1 ? up : -down));
+    alert.maePct = round2(Math.min(0, side === 1 ? down : -up));
+  }
+  alert.trackedThrough = window[window.length - 1].T;
+}
+
+// First funding reading after the alert that's no longer crowded the same way
+function applyFunding(alert, records, now) {
+  if (alert.fundingNormalizedAt) return;
+  const side = Math.sign(alert.entryRate8h);
+  const end = alert.alertedAt + WINDOW_MS;
+  const hit = records.find(r => r.t > alert.alertedAt && r.t <= end &&
+    (Math.sign(r.rate8h) !== side || Math.abs(r.rate8h) < NORMALIZED_8H));
+  if (hit) {
+    alert.fundingNormalizedAt = hit.t;
+    alert.hoursToNormalize = round2((hit.t - alert.alertedAt) / HOUR_MS);
+    alert.fundingNormalized = true;
+  } else if (now >= end && records.length > 0) {
+    alert.fundingNormalized = false;
+  }
+}
+
+// Re-evaluate every open alert. → { updated, completed, failed }
+async function updateOutcomes({ now = Date.now() } = {}) {
+  const store = loadStore();
+  const open = store.alerts.filter(a => a.status === 'open' &&
+    (!a.checkedAt || now - a.checkedAt >= MIN_UPDATE_SPACING_MS));
+  const result = { updated: 0, completed: 0, failed: [] };
+
+  for (const a of open) {
+    try {
+      const count = Math.min(1000, Math.ceil((now - a.alertedAt) / CANDLE_MS) + 2);
+      const candles = await candleStore.getCandles(a.symbol, CANDLE_INTERVAL, count, { maxAgeMs: Infinity, now });
+      applyPrices(a, candles, now);
+      const venue = a.fundingVenue === 'hyperliquid' ? 'hyperliquid' : 'cex';
+      applyFunding(a, readHistory(venue, a.coin, a.alertedAt), now);
+      a.checkedAt = now;
+      result.updated++;
+      const done = Object.values(a.returns).every(r => r !== null) && a.fundingNormalized !== null;
+      if (done) {
+        a.status = 'complete';
+        result.completed++;
+      } else if (now - a.alertedAt > WINDOW_MS + 24 * HOUR_MS) {
+        // Candles for the window never turned up (delisted, long outage)
+        a.status = 'complete';
+        a.note = Object.values(a.returns).some(r => r === null) ? 'window incomplete' : 'no funding history';
+        result.completed++;
+      }
+    } catch (e) {
+      result.failed.push({ coin: a.coin, error: e.message });
+    }
+  }
+
+  if (open.length > 0) saveStore(store);
+  return result;
+}
+
+const mean = xs => xs.length > 0 ? round2(xs.reduce((a, b) => a + b, 0) / xs.length) : null;
+
+// Hit rate (return > 0) and average return per horizon, for one group of alerts
+function summarize(alerts) {
+  const out = { count: alerts.length, horizons: {} };
+  for (const h of Object.keys(HORIZONS)) {
+    const rs = alerts.map(a => a.returns[h]).filter(r => r !== null);
+    out.horizons[h] = {
+      n: rs.length,
+      hitRate: rs.length > 0 ? Math.round(rs.filter(r => r > 0).length / rs.length * 100) : null,
+      avgReturn: mean(rs),
+    };
+  }
+  out.avgMfe = mean(alerts.map(a => a.mfePct).filter(x => x !== null));
+  out.avgMae = mean(alerts.map(a => a.maePct).filter(x => x !== null));
+  const judged = alerts.filter(a => a.fundingNormalized !== null);
+  out.fundingNormalizedRate = judged.length > 0 ? Math.round(judged.filter(a => a.fundingNormalized).length / judged.length * 100) : null;
+  out.avgHoursToNormalize = mean(alerts.map(a => a.hoursToNormalize).filter(x => x !== null));
+  return out;
+}
+
+const GROUPERS = {
+  conviction: a => a.conviction,
+  factors: a => a.factors.length > 0 ? [...a.factors].sort().join(' + ') : '(base only)',
+  direction: a => a.setupDirection,
+};
+
+function report(alerts, by = 'conviction') {
+  const key = GROUPERS[by];
+  if (!key) throw new Error(`Unknown --by ${by} (use ${Object.keys(GROUPERS).join(', ')})`);
+  const groups = new Map();
+  for (const a of alerts) {
+    const k = key(a);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(a);
+  }
+  return [...groups.entries()]
+    .map(([group, list]) => ({ group, ...summarize(list) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { STORE_FILE, HORIZONS, recordAlerts, updateOutcomes, applyPrices, applyFunding, summarize, report, loadStore };
+
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      'by': { type: 'string', default: 'conviction' },
+      'no-update': { type: 'boolean', default: false },
+      'days': { type: 'string' },
+      'min': { type: 'string', default: '1' },
+      'json': { type: 'boolean', default: false },
+    },
+    strict: false,
+  });
+
+  (async () => {
+    if (!args['no-update']) {
+      const r = await updateOutcomes();
+      console.error(`Updated ${r.updated} open alerts (${r.completed} completed${r.failed.length ? `, ${r.failed.length} failed: ${r.failed.map(f => f.coin).join(', ')}` : ''})`);
+    }
+
+    const since = args.days ? Date.now() - parseFloat(args.days) * 24 * HOUR_MS : 0;
+    const alerts = loadStore().alerts.filter(a => a.alertedAt >= since && a.status !== 'untracked');
+    const rows = report(alerts, args.by).filter(r => r.count >= parseInt(args.min));
+    const overall = summarize(alerts);
+
+    if (args.json) {
+      console.log(JSON.stringify({ by: args.by, overall, groups: rows }, null, 2));
+      return;
+    }
+
+    const fmt = s => s.n > 0 ? `${String(s.hitRate).padStart(3)}% ${(s.avgReturn >= 0 ? '+' : '') + s.avgReturn}%`.padEnd(14) : '—'.padEnd(14);
+    const line = (label, s) => `  ${label.padEnd(28)} ${String(s.count).padStart(4)}  ${Object.values(s.horizons).map(fmt).join(' ')} MFE ${s.avgMfe ?? '—'}% MAE ${s.avgMae ?? '—'}% | funding normalized ${s.fundingNormalizedRate ?? '—'}%${s.avgHoursToNormalize !== null ? ` (${s.avgHoursToNormalize}h)` : ''}`;
+
+    console.log(`\n🎯 SQUEEZE ALERT OUTCOMES — ${alerts.length} tracked alerts${args.days ? ` (last ${args.days}d)` : ''}, by ${args.by}\n`);
+    console.log(`  ${''.padEnd(28)} ${'n'.padStart(4)}  ${Object.keys(HORIZONS).map(h => `${h} hit / avg`.padEnd(14)).join(' ')}`);
+    for (const r of rows) console.log(line(r.group.length > 28 ? r.group.slice(0, 27) + '…' : r.group, r));
+    console.log(line('ALL', overall));
+  })().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
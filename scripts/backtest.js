@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Backtest — replays squeeze-monitor's funding + RSI + EMA confluence over past
+ * Hyperliquid candles and funding history, and trades every alert it would have sent.
+ *
+ * Each hour of the window is rebuilt "as of" that hour and fed through the live code:
+ *   funding   funding-unified.js mergeCoins on the HL rate then in force, with
+ *             funding-history.js fundingStats bounded at that hour
+ *   RSI       rsi-checker.js calculateRSI on 1h / 4h / 1d (forming candle at its price then)
+ *   EMA       ema-checker.js analyzeTimeframe on closed 4h / 1d candles (its --funding set)
+ *   gates     squeeze-monitor.js findCandidates + the rules file, same as a live run
+ * Not replayed: multi-TF, orderbook, volume and liquidation inputs (no history), so
+ * those factors never score. OI is today's OI throughout — HL keeps no OI history.
+ *
+ * Trades: entry at the next hour's open in the setup direction, exit on stop, target
+ * (stop first when one candle hits both), funding normalizing (--exit-on-normalize) or
+ * after --hold hours. Returns are net of taker fees both ways and hourly funding paid
+ * or received while in the trade. One position per coin.
+ *
+ * Needs HL funding history for the window + 30d of z-score context:
+ *   node funding-history.js --backfill PEPE,WIF --days 60
+ *
+ * Usage:
+ *   node backtest.js --coins PEPE,WIF,SOL          — last 30 days
+ *   node backtest.js --top 20 --days 14            — top 20 HL perps by OI
+ *   node backtest.js --coins PEPE --rsi 30,70 --min-oi 5000000 --near-ema 3
+ *   node backtest.js --coins PEPE --rules my-rules.json --min-score 65
+ *   node backtest.js --coins PEPE --hold 48 --stop 8 --take 15 --fee-bps 4.5
+ *   node backtest.js --coins PEPE --trades         — print the trade log
+ *
+ * Output: data/backtest-latest.json (params, summary, by conviction, trades)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { mergeCoins } = require('./funding-unified');
+const { readHistory, fundingStats } = require('./funding-history');
+const { normalizeRate, FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const { calculateRSI, RSI_PERIOD, CANDLE_COUNT: RSI_CANDLES } = require('./rsi-checker');
+const { analyzeTimeframe, DEFAULT_PERIODS } = require('./ema-checker');
+const { coinView, findCandidates } = require('./squeeze-monitor');
+const { loadRules, DEFAULT_RULES_PATH } = require('./squeeze-scoring');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
+
+const OUTPUT_PATH = path.resolve(__dirname, '..', 'data', 'backtest-latest.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RSI_TFS = ['1h', '4h', '1d'];
+const RSI_PRIMARY_TF = '1d';
+const EMA_TFS = ['4h', '1d'];
+const EMA_PERIODS = DEFAULT_PERIODS.split(',').map(Number);
+const EMA_CANDLES = EMA_PERIODS[2] + 50;
+const { extreme: EXTREME_8H, noteworthy: NORMALIZED_8H } = FUNDING_THRESHOLDS_8H; // as funding-unified / alert-outcomes
+const COOLDOWN_MS = 4 * HOUR_MS; // squeeze-monitor.js COOLDOWN
+// squeeze-monitor's gate as the live default run: crowding from history when there's
+// enough, headline RSI only, closed-candle EMA signals (independent of this process's argv)
+const SCORER_OPTIONS = { fixedThresholds: false, rsiTfs: null, intrabar: false };
+const CONVICTION_ORDER = ['MEDIUM', 'MEDIUM-HIGH', 'HIGH', 'VERY HIGH'];
+const MAX_STORE_CANDLES = 1000;
+
+// Candles closed by t (T < t), oldest first; `series` is sorted by open time
+function closedBy(series, t) {
+  let lo = 0, hi = series.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].T < t) lo = mid + 1; else hi = mid;
+  }
+  return series.slice(0, lo);
+}
+
+// Latest funding record in force at t (settled before t)
+function fundingAt(records, t) {
+  let found = null;
+  for (const r of records) {
+    if (r.t >= t) break;
+    found = r;
+  }
+  return found;
+}
+
+// rsi-latest.json entry as rsi-checker would have written it at t. Like the live
+// fetch, the candle still forming counts at the price then.
+function rsiEntryAt(coin, candles, t, price) {
+  const timeframes = {};
+  for (const tf of RSI_TFS) {
+    const closes = closedBy(candles[tf], t).map(c => parseFloat(c.c));
+    const forming = candles[tf].find(c => c.t < t && c.T >= t);
+    if (forming) closes.push(price);
+    const rsi = closes.length > RSI_PERIOD ? calculateRSI(closes.slice(-RSI_CANDLES), RSI_PERIOD) : null;
+    if (rsi !== null) timeframes[tf] = { rsi };
+  }
+  const primary = timeframes[RSI_PRIMARY_TF];
+  return primary ? { ticker: coin, rsi: primary.rsi, timeframe: RSI_PRIMARY_TF, timeframes } : null;
+}
+
+// ema-latest.json entry as ema-checker --funding would have written it at t (closed candles)
+function emaEntryAt(coin, candles, t, nearPct) {
+  const timeframes = {};
+  for (const tf of EMA_TFS) {
+    const closed = closedBy(candles[tf], t).slice(-EMA_CANDLES);
+    const lastCandle = closed[closed.length - 1];
+    timeframes[tf] = analyzeTimeframe(closed.map(c => parseFloat(c.c)), tf, EMA_PERIODS,
+      { confirmed: true, closeTime: lastCandle ? lastCandle.T : null }, { nearPct });
+  }
+  const ok = EMA_TFS.filter(tf => !timeframes[tf].error);
+  return ok.length > 0 ? { ticker: coin, timeframes } : null;
+}
+
+// funding-unified coin at t from the HL funding record then in force
+function unifiedAt(c, record, price, t, fundingRecords) {
+  const n = normalizeRate(record.rate, 1);
+  const [u] = mergeCoins(null, [{
+    coin: c.coin, symbol: c.symbol, fundingRate: record.rate, intervalHours: n.intervalHours,
+    rate1h: n.rate1h, rate8h: n.rate8h, rateAnnualized: n.rateAnnualized, nextFundingTime: null,
+    openInterestUsd: c.oiUsd, markPrice: price, volume24h: null, maxLeverage: c.maxLeverage,
+  }]);
+  const history = fundingStats('hyperliquid', c.coin, n.rate8h, { threshold: EXTREME_8H, now: t, records: fundingRecords });
+  u.hyperliquid.history = history;
+  u.history = history;
+  u.oiFlags = [];
+  return u;
+}
+
+// Walk hourly candles from the entry until an exit fires
+function simulateTrade(signal, hourly, fundingRecords, opts) {
+  const side = signal.setupDirection === 'LONG' ? 1 : -1;
+  const start = hourly.findIndex(c => c.t >= signal.at);
+  if (start === -1) return null;
+  const entry = parseFloat(hourly[start].o);
+  const stopPx = entry * (1 - side * opts.stopPct / 100);
+  const takePx = entry * (1 + side * opts.takePct / 100);
+  const deadline = hourly[start].t + opts.holdHours * HOUR_MS;
+
+  let exit = null;
+  for (let i = start; i < hourly.length && !exit; i++) {
+    const c = hourly[i];
+    const h = parseFloat(c.h), l = parseFloat(c.l);
+    const stopHit = side === 1 ? l <= stopPx : h >= stopPx;
+    const takeHit = side === 1 ? h >= takePx : l <= takePx;
+    if (stopHit) exit = { at: c.T + 1, price: stopPx, reason: 'stop' };
+    else if (takeHit) exit = { at: c.T + 1, price: takePx, reason: 'target' };
+    else if (c.T + 1 >= deadline) exit = { at: c.T + 1, price: parseFloat(c.c), reason: 'time' };
+    else if (opts.exitOnNormalize) {
+      const f = fundingAt(fundingRecords, c.T + 1);
+      if (f && f.t >= signal.at && (Math.sign(f.rate8h) !== Math.sign(signal.rate8h) || Math.abs(f.rate8h) < NORMALIZED_8H)) {
+        exit = { at: c.T + 1, price: parseFloat(c.c), reason: 'funding normalized' };
+      }
+    }
+    if (!exit && i === hourly.length - 1) exit = { at: c.T + 1, price: parseFloat(c.c), reason: 'end of data' };
+  }
+
+  // Longs pay positive funding, shorts receive it
+  const fundingPct = fundingRecords
+    .filter(r => r.t >= hourly[start].t && r.t < exit.at)
+    .reduce((sum, r) => sum - side * r.rate * 100, 0);
+  const grossPct = side * (exit.price - entry) / entry * 100;
+  const feesPct = 2 * opts.feeBps / 100;
+  return {
+    coin: signal.coin,
+    setupDirection: signal.setupDirection,
+    conviction: signal.conviction,
+    score: signal.score,
+    factors: signal.factors,
+    signalAt: new Date(signal.at).toISOString(),
+    entryAt: new Date(hourly[start].t).toISOString(),
+    exitAt: new Date(exit.at).toISOString(),
+    exitReason: exit.reason,
+    entryPrice: Number(entry.toPrecision(8)),
+    exitPrice: Number(exit.price.toPrecision(8)),
+    holdHours: Math.round((exit.at - hourly[start].t) / HOUR_MS),
+    grossPct: round2(grossPct),
+    fundingPct: round2(fundingPct),
+    feesPct: round2(feesPct),
+    netPct: round2(grossPct + fundingPct - feesPct),
+    exitTime: exit.at,
+  };
+}
+
+const round2 = x => Math.round(x * 100) / 100;
+
+// Win rate, expectancy, profit factor, drawdown of the equal-size (non-compounded) equity curve
+function summarize(trades) {
+  const nets = trades.map(t => t.netPct);
+  const wins = nets.filter(x => x > 0);
+  const losses = nets.filter(x => x <= 0);
+  const sum = xs => xs.reduce((a, b) => a + b, 0);
+  let equity = 0, peak = 0, maxDrawdown = 0;
+  for (const t of [...trades].sort((a, b) => a.exitTime - b.exitTime)) {
+    equity += t.netPct;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+  }
+  return {
+    trades: trades.length,
+    winRate: trades.length > 0 ? Math.round(wins.length / trades.length * 100) : null,
+    avgWinPct: wins.length > 0 ? round2(sum(wins) / wins.length) : null,
+    avgLossPct: losses.length > 0 ? round2(sum(losses) / losses.length) : null,
+    expectancyPct: trades.length > 0 ? round2(sum(nets) / trades.length) : null,
+    profitFactor: losses.length > 0 && sum(losses) < 0 ? round2(sum(wins) / -sum(losses)) : null,
+    totalPct: round2(sum(nets)),
+    maxDrawdownPct: round2(maxDrawdown),
+    fundingPct: round2(sum(trades.map(t => t.fundingPct))),
+    avgHoldHours: trades.length > 0 ? round2(sum(trades.map(t => t.holdHours)) / trades.length) : null,
+  };
+}
+
+// Replay one coin over [from, to). → { signals, trades } or { skipped }
+function replayCoin(c, candles, fundingRecords, rules, opts) {
+  const hourly = candles['1h'];
+  const trades = [];
+  const signals = [];
+  let busyUntil = 0;
+  let lastSignal = -Infinity;
+
+  for (let t = opts.from; t < opts.to; t += HOUR_MS) {
+    if (t < busyUntil || t - lastSignal < COOLDOWN_MS) continue;
+    const closedHourly = closedBy(hourly, t);
+    if (closedHourly.length === 0) continue;
+    const record = fundingAt(fundingRecords, t);
+    if (!record) continue;
+    const price = parseFloat(closedHourly[closedHourly.length - 1].c);
+
+    const inputs = {
+      coins: [coinView(unifiedAt(c, record, price, t, fundingRecords))],
+      rsi: {}, ema: {}, mtf: {}, ob: {}, vol: {}, liq: {}, rs: {},
+    };
+    const rsiEntry = rsiEntryAt(c.coin, candles, t, price);
+    if (rsiEntry) inputs.rsi[c.coin] = rsiEntry;
+    const emaEntry = emaEntryAt(c.coin, candles, t, opts.nearPct);
+    if (emaEntry) inputs.ema[c.coin] = emaEntry;
+
+    const [candidate] = findCandidates(inputs, rules, SCORER_OPTIONS).candidates;
+    if (!candidate) continue;
+    if (candidate.score < opts.minScore) continue;
+    if (CONVICTION_ORDER.indexOf(candidate.conviction) < CONVICTION_ORDER.indexOf(opts.minConviction)) continue;
+
+    const signal = {
+      coin: c.coin, at: t, setupDirection: candidate.setupDirection, conviction: candidate.conviction,
+      score: candidate.score, factors: candidate.scoreFactors.map(f => f.id), rate8h: candidate.avgRate,
+    };
+    signals.push(signal);
+    lastSignal = t;
+    const trade = simulateTrade(signal, hourly, fundingRecords, opts);
+    if (trade) {
+      trades.push(trade);
+      busyUntil = trade.exitTime;
+    }
+  }
+  return { signals, trades };
+}
+
+async function loadCandles(symbol, days, now) {
+  const need = {
+    '1h': days * 24 + RSI_CANDLES,
+    '4h': days * 6 + Math.max(RSI_CANDLES, EMA_CANDLES),
+    '1d': days + Math.max(RSI_CANDLES, EMA_CANDLES),
+  };
+  const out = {};
+  for (const [tf, count] of Object.entries(need)) {
+    out[tf] = await candleStore.getCandles(symbol, tf, Math.min(count, MAX_STORE_CANDLES), { maxAgeMs: Infinity, now });
+  }
+  return out;
+}
+
+module.exports = { replayCoin, simulateTrade, summarize, rsiEntryAt, emaEntryAt, unifiedAt };
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'coins': { type: 'string', default: '' },
+      'top': { type: 'string', default: '20' },
+      'days': { type: 'string', default: '30' },
+      'rules': { type: 'string' },
+      'rsi': { type: 'string' },             // oversold,overbought
+      'min-oi': { type: 'string' },
+      'near-ema': { type: 'string' },        // NEAR_EMA200 zone, %
+      'min-score': { type: 'string', default: '0' },
+      'min-conviction': { type: 'string', default: 'MEDIUM' },
+      'hold': { type: 'string', default: '24' },
+      'stop': { type: 'string', default: '5' },
+      'take': { type: 'string', default: '10' },
+      'fee-bps': { type: 'string', default: '4.5' }, // HL taker, per side
+      'exit-on-normalize': { type: 'boolean', default: false },
+      'trades': { type: 'boolean', default: false },
+      'json': { type: 'boolean', default: false },
+    },
+    strict: false,
+  });
+
+  const days = parseFloat(args.days);
+  const maxDays = Math.floor((MAX_STORE_CANDLES - RSI_CANDLES) / 24);
+  if (!(days > 0) || days > maxDays) {
+    console.error(`--days must be between 1 and ${maxDays} (the candle store keeps ${MAX_STORE_CANDLES} hourly candles)`);
+    process.exit(1);
+  }
+  if (!CONVICTION_ORDER.includes(args['min-conviction'])) {
+    console.error(`Unknown --min-conviction ${args['min-conviction']} (use ${CONVICTION_ORDER.join(', ')})`);
+    process.exit(1);
+  }
+
+  const rulesPath = args.rules ? path.resolve(args.rules) : DEFAULT_RULES_PATH;
+  const rules = loadRules(rulesPath);
+  if (args.rsi) {
+    const [oversold, overbought] = args.rsi.split(',').map(Number);
+    rules.thresholds.rsiOversold = oversold;
+    rules.thresholds.rsiOverbought = overbought;
+  }
+  if (args['min-oi']) rules.thresholds.minOiUsd = parseFloat(args['min-oi']);
+
+  const now = Date.now();
+  const opts = {
+    from: Math.floor((now - days * DAY_MS) / HOUR_MS) * HOUR_MS,
+    to: Math.floor(now / HOUR_MS) * HOUR_MS,
+    nearPct: args['near-ema'] ? parseFloat(args['near-ema']) : undefined,
+    minScore: parseFloat(args['min-score']),
+    minConviction: args['min-conviction'],
+    holdHours: parseFloat(args.hold),
+    stopPct: parseFloat(args.stop),
+    takePct: parseFloat(args.take),
+    feeBps: parseFloat(args['fee-bps']),
+    exitOnNormalize: args['exit-on-normalize'],
+  };
+
+  const data = await hl.info({ type: 'metaAndAssetCtxs' });
+  const [meta, ctxs] = data;
+  let universe = meta.universe.map((u, i) => ({
+    coin: toCanonical(u.name),
+    symbol: u.name,
+    maxLeverage: u.maxLeverage || 0,
+    oiUsd: parseFloat(ctxs[i]?.openInterest || '0') * parseFloat(ctxs[i]?.markPx || '0'),
+  }));
+  if (args.coins) {
+    await ensureRegistry();
+    const wanted = new Set(args.coins.split(',').map(c => venueSymbol(c.trim(), 'hyperliquid')));
+    universe = universe.filter(c => wanted.has(c.symbol));
+  } else {
+    universe = universe.sort((a, b) => b.oiUsd - a.oiUsd).slice(0, parseInt(args.top));
+  }
+
+  console.error(`Backtesting ${universe.length} coins over ${days}d (${path.relative(process.cwd(), rulesPath)}, RSI ${rules.thresholds.rsiOversold}/${rules.thresholds.rsiOverbought}, OI > $${(rules.thresholds.minOiUsd / 1e6).toFixed(1)}M)...`);
+
+  const trades = [];
+  const skipped = [];
+  let signalCount = 0;
+  for (const c of universe) {
+    // 30d before the window too, for the relative-crowding stats at its first hour
+    const fundingRecords = readHistory('hyperliquid', c.coin, opts.from - 31 * DAY_MS);
+    if (fundingRecords.length === 0 || fundingRecords[0].t > opts.from + DAY_MS) {
+      skipped.push({ coin: c.coin, reason: `no HL funding history for the window — node scripts/funding-history.js --backfill ${c.coin} --days ${Math.ceil(days) + 30}` });
+      continue;
+    }
+    try {
+      const candles = await loadCandles(c.symbol, days, now);
+      const r = replayCoin(c, candles, fundingRecords, rules, opts);
+      signalCount += r.signals.length;
+      trades.push(...r.trades);
+    } catch (e) {
+      skipped.push({ coin: c.coin, reason: e.message });
+    }
+  }
+
+  trades.sort((a, b) => a.exitTime - b.exitTime);
+  const summary = summarize(trades);
+  const byConviction = Object.fromEntries(CONVICTION_ORDER
+    .map(level => [level, trades.filter(t => t.conviction === level)])
+    .filter(([, list]) => list.length > 0)
+    .map(([level, list]) => [level, summarize(list)]));
+
+  const output = {
+    ts: new Date(now).toISOString(),
+    params: {
+      rules: rulesPath, days, from: new Date(opts.from).toISOString(), to: new Date(opts.to).toISOString(),
+      thresholds: rules.thresholds, nearEmaPct: opts.nearPct ?? null,
+      minScore: opts.minScore, minConviction: opts.minConviction,
+      holdHours: opts.holdHours, stopPct: opts.stopPct, takePct: opts.takePct, feeBps: opts.feeBps,
+      exitOnNormalize: opts.exitOnNormalize, coins: universe.map(c => c.coin),
+    },
+    signals: signalCount,
+    summary,
+    byConviction,
+    skipped,
+    trades: trades.map(({ exitTime, ...t }) => t),
+  };
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  const fmt = s => `${s.trades} trades | win ${s.winRate ?? '—'}% | expectancy ${s.expectancyPct ?? '—'}% | avg win ${s.avgWinPct ?? '—'}% / loss ${s.avgLossPct ?? '—'}% | PF ${s.profitFactor ?? '—'} | total ${s.totalPct}% | max DD ${s.maxDrawdownPct}% | funding ${s.fundingPct}% | avg hold ${s.avgHoldHours ?? '—'}h`;
+  console.log(`\n🧪 BACKTEST — ${universe.length - skipped.length} coins, ${output.params.from.slice(0, 10)} → ${output.params.to.slice(0, 10)}, ${signalCount} signals\n`);
+  if (args.trades) {
+    for (const t of output.trades) {
+      console.log(`  ${t.entryAt.slice(0, 16)} ${t.coin.padEnd(8)} ${t.setupDirection.padEnd(5)} [${t.conviction} ${t.score}] ${t.entryPrice} → ${t.exitPrice} (${t.exitReason}, ${t.holdHours}h) | net ${t.netPct >= 0 ? '+' : ''}${t.netPct}% (funding ${t.fundingPct}%)`);
+    }
+    if (output.trades.length > 0) console.log();
+  }
+  console.log(`  ALL          ${fmt(summary)}`);
+  for (const [level, s] of Object.entries(byConviction)) console.log(`  ${level.padEnd(12)} ${fmt(s)}`);
+  if (skipped.length > 0) {
+    console.log(`\n⚠️ ${skipped.length} coins skipped:`);
+    for (const s of skipped) console.log(`  ${s.coin}: ${s.reason}`);
+  }
+  console.error(`\nSaved to ${OUTPUT_PATH}`);
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
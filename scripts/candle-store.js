@@ -0,0 +1,123 @@
+// Candle Store — on-disk Hyperliquid candle cache per coin/interval, the single
+// candle source for the HL scanners. Only the missing tail is fetched from
+// candleSnapshot; a scanner that runs a minute after another reads from disk.
+//
+// Layout: data/candles/<interval>/<HL symbol>.json →
+//   { fetchedAt, historyStart, candles: [[t, T, o, h, l, c, v], ...] }
+// The last row may be the candle still forming (as of fetchedAt). historyStart is
+// set when HL has nothing older (new listing), so a short series isn't refetched.
+//
+// Every read is checked for gaps: a tail that doesn't join the cached series, or a
+// cache that doesn't reach back far enough, falls back to a full window fetch.
+
+const fs = require('fs');
+const path = require('path');
+const hl = require('./hyperliquid');
+
+const STORE_DIR = path.resolve(__dirname, '..', 'data', 'candles');
+const INTERVAL_MS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+};
+const MAX_CANDLES = 1000;            // per file, oldest trimmed
+const DEFAULT_MAX_AGE_MS = 60 * 1000; // forming candle this fresh is served from disk
+
+const stats = { cached: 0, tail: 0, full: 0, gapRepairs: 0 };
+
+function storePath(symbol, interval) {
+  return path.join(STORE_DIR, interval, `${String(symbol).replace(/[^A-Za-z0-9_.-]/g, '_')}.json`);
+}
+
+function load(symbol, interval) {
+  try { return JSON.parse(fs.readFileSync(storePath(symbol, interval), 'utf8')); }
+  catch { return { fetchedAt: 0, historyStart: null, candles: [] }; }
+}
+
+// Write-then-rename so a scanner reading concurrently never sees half a file
+function save(symbol, interval, entry) {
+  const file = storePath(symbol, interval);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry));
+  fs.renameSync(tmp, file);
+}
+
+const toRow = c => [c.t, c.T, c.o, c.h, c.l, c.c, c.v];
+const fromRow = ([t, T, o, h, l, c, v]) => ({ t, T, o, h, l, c, v });
+
+// Open times of rows that don't follow the previous one by exactly one interval
+function findGaps(rows, intervalMs) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i][0] - rows[i - 1][0] !== intervalMs) gaps.push(rows[i - 1][0]);
+  }
+  return gaps;
+}
+
+async function fetchRows(symbol, interval, startTime, now) {
+  const candles = await hl.candleSnapshot(symbol, interval, startTime, now);
+  return Array.isArray(candles) ? candles.map(toRow).sort((a, b) => a[0] - b[0]) : [];
+}
+
+// The last `count` candles (HL shape: { t, T, o, h, l, c, v }), the last one possibly
+// still forming. maxAgeMs: how stale that forming candle may be before refetching —
+// pass Infinity when only closed candles matter (refetch only once one has closed).
+// Throws if HL can't be reached and the cache can't answer.
+async function getCandles(symbol, interval, count, { maxAgeMs = DEFAULT_MAX_AGE_MS, now = Date.now() } = {}) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) throw new Error(`Unsupported interval ${interval} (use ${Object.keys(INTERVAL_MS).join(', ')})`);
+
+  const entry = load(symbol, interval);
+  const windowStart = now - count * ms;
+  const rows = entry.candles;
+  const lastRow = rows[rows.length - 1];
+  const reachesBack = rows.length > 0 && (rows[0][0] <= windowStart + ms || entry.historyStart === rows[0][0]);
+  // Nothing closed since the fetch, and the forming candle is fresh enough
+  const current = lastRow && lastRow[1] >= now && now - entry.fetchedAt <= maxAgeMs;
+
+  let merged;
+  if (reachesBack && current) {
+    stats.cached++;
+    merged = rows;
+  } else {
+    const closed = rows.filter(r => r[1] < entry.fetchedAt);
+    let tail = null;
+    if (reachesBack && closed.length > 0) {
+      const next = closed[closed.length - 1][0] + ms;
+      const fetched = await fetchRows(symbol, interval, next, now);
+      // The tail must start right where the closed cache ends
+      if (fetched.length === 0 || fetched[0][0] === next) {
+        stats.tail++;
+        tail = [...closed, ...fetched];
+      } else {
+        stats.gapRepairs++;
+      }
+    }
+    if (tail && findGaps(tail, ms).length === 0) {
+      merged = tail;
+    } else {
+      if (tail) stats.gapRepairs++;
+      stats.full++;
+      merged = await fetchRows(symbol, interval, windowStart, now);
+      // Fewer candles than asked for → that's all the history HL has
+      entry.historyStart = merged.length > 0 && merged[0][0] > windowStart + ms ? merged[0][0] : null;
+    }
+    if (merged.length > MAX_CANDLES) {
+      merged = merged.slice(-MAX_CANDLES);
+      entry.historyStart = null;
+    }
+    save(symbol, interval, { fetchedAt: now, historyStart: entry.historyStart, candles: merged });
+  }
+
+  return merged.slice(-count).map(fromRow);
+}
+
+// { cached, tail, full, gapRepairs } reads so far in this process
+function usage() {
+  return { ...stats };
+}
+
+module.exports = { getCandles, findGaps, usage, INTERVAL_MS };
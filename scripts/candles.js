@@ -0,0 +1,41 @@
+// Candles — closed vs still-forming candles from Hyperliquid candleSnapshot.
+//
+// The last candleSnapshot row is usually the candle still forming (its close time
+// T is in the future). A cross computed on it can fire mid-candle and un-fire by
+// the close, so signals are computed on closed candles and only look at the
+// forming one when a scanner runs with --intrabar.
+
+// HL rows carry T (close time, ms); numeric rows from indicators.toOhlcv carry closeTime
+function closeTimeOf(candle) {
+  return candle.T ?? candle.closeTime ?? null;
+}
+
+function isClosed(candle, now = Date.now()) {
+  const t = closeTimeOf(candle);
+  return t !== null && t < now;
+}
+
+// { closed: [...], forming: candle | null }
+function splitClosed(candles, now = Date.now()) {
+  if (candles.length > 0 && !isClosed(candles[candles.length - 1], now)) {
+    return { closed: candles.slice(0, -1), forming: candles[candles.length - 1] };
+  }
+  return { closed: candles, forming: null };
+}
+
+// The series a signal should be computed on:
+//   candles    — closed candles, plus the forming one when intrabar
+//   confirmed  — whether the last candle in `candles` has closed
+//   closeTime  — that candle's close time (ms)
+function signalCandles(candles, { intrabar = false, now = Date.now() } = {}) {
+  const { closed } = splitClosed(candles, now);
+  const series = intrabar ? candles : closed;
+  const lastCandle = series[series.length - 1];
+  return {
+    candles: series,
+    confirmed: lastCandle ? isClosed(lastCandle, now) : false,
+    closeTime: lastCandle ? closeTimeOf(lastCandle) : null,
+  };
+}
+
+module.exports = { closeTimeOf, isClosed, splitClosed, signalCandles };
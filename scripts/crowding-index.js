@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Crowding Index — one market-wide reading per run from funding-unified-latest.json
+ *
+ *   oiWeightedFunding  — 8h funding across all coins, weighted by total OI
+ *   longsCrowdedShare  — share of OI in coins at ≥ +0.06%/8h
+ *   shortsCrowdedShare — share of OI in coins at ≤ -0.06%/8h
+ *   extremeCount       — coins flagged isExtreme by funding-unified.js
+ *
+ * Each reading is appended to data/crowding-index.jsonl (one per unified snapshot)
+ * and the latest is written to data/crowding-index-latest.json.
+ *
+ * Usage:
+ *   node crowding-index.js                       — record + print the current reading
+ *   node crowding-index.js --last 24             — print the last 24 readings
+ *   node crowding-index.js --last 14 --every 1d  — last 14 days (last reading per day)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const INPUT_PATH = path.join(DATA_DIR, 'funding-unified-latest.json');
+const SERIES_PATH = path.join(DATA_DIR, 'crowding-index.jsonl');
+const OUTPUT_PATH = path.join(DATA_DIR, 'crowding-index-latest.json');
+
+const CROWDED_THRESHOLD = FUNDING_THRESHOLDS_8H.extreme; // same line as funding-unified.js isExtreme
+const BUCKET_MS = { '1h': 3600000, '1d': 86400000 };
+
+const { values: args } = parseArgs({
+  options: {
+    'last': { type: 'string' },
+    'every': { type: 'string' },
+    'json': { type: 'boolean', default: false },
+  },
+  strict: false,
+});
+
+function computeIndex(unified) {
+  let totalOi = 0;
+  let weightedSum = 0;
+  let longsOi = 0;
+  let shortsOi = 0;
+  let longsCount = 0;
+  let shortsCount = 0;
+
+  for (const c of unified.coins || []) {
+    const rate = c.weightedFunding ?? c.bestFunding;
+    const oi = c.totalOiUsd || 0;
+    if (!Number.isFinite(rate) || oi <= 0) continue;
+
+    totalOi += oi;
+    weightedSum += rate * oi;
+    if (rate >= CROWDED_THRESHOLD) { longsOi += oi; longsCount++; }
+    if (rate <= -CROWDED_THRESHOLD) { shortsOi += oi; shortsCount++; }
+  }
+
+  const round = (v, dp) => Math.round(v * 10 ** dp) / 10 ** dp;
+  return {
+    timestamp: new Date().toISOString(),
+    fundingTimestamp: unified.timestamp,
+    coins: (unified.coins || []).length,
+    totalOiUsd: Math.round(totalOi),
+    oiWeightedFunding: totalOi > 0 ? weightedSum / totalOi : null,
+    longsCrowdedShare: totalOi > 0 ? round(longsOi / totalOi, 4) : null,
+    shortsCrowdedShare: totalOi > 0 ? round(shortsOi / totalOi, 4) : null,
+    longsCrowdedCount: longsCount,
+    shortsCrowdedCount: shortsCount,
+    extremeCount: unified.extremeCount ?? (unified.coins || []).filter(c => c.isExtreme).length,
+    partial: !!unified.partial,
+  };
+}
+
+function readSeries() {
+  if (!fs.existsSync(SERIES_PATH)) return [];
+  return fs.readFileSync(SERIES_PATH, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean);
+}
+
+// Last reading per bucket, e.g. one per day for --every 1d
+function downsample(series, bucketMs) {
+  const byBucket = new Map();
+  for (const r of series) byBucket.set(Math.floor(Date.parse(r.fundingTimestamp || r.timestamp) / bucketMs), r);
+  return [...byBucket.values()];
+}
+
+function formatReading(r) {
+  const f = r.oiWeightedFunding != null ? `${(r.oiWeightedFunding * 100).toFixed(4)}%` : '?';
+  const pct = v => v != null ? `${(v * 100).toFixed(1)}%` : '?';
+  return `${(r.fundingTimestamp || r.timestamp).slice(0, 16).replace('T', ' ')} | funding ${f.padStart(9)}/8h | longs crowded ${pct(r.longsCrowdedShare).padStart(6)} OI (${r.longsCrowdedCount}) | shorts crowded ${pct(r.shortsCrowdedShare).padStart(6)} OI (${r.shortsCrowdedCount}) | extreme ${r.extremeCount}${r.partial ? ' | partial' : ''}`;
+}
+
+function printLast(n) {
+  let series = readSeries();
+  if (args.every) {
+    const bucketMs = BUCKET_MS[args.every];
+    if (!bucketMs) {
+      console.error(`Unknown --every ${args.every} (use ${Object.keys(BUCKET_MS).join(' or ')})`);
+      process.exit(1);
+    }
+    series = downsample(series, bucketMs);
+  }
+  const rows = series.slice(-n);
+  if (args.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log('No crowding readings yet — run crowding-index.js after funding-unified.js');
+    return;
+  }
+  console.log(`\n🌡️ CROWDING INDEX — last ${rows.length} readings${args.every ? ` (every ${args.every})` : ''}\n`);
+  for (const r of rows) console.log(`  ${formatReading(r)}`);
+}
+
+function record() {
+  if (!fs.existsSync(INPUT_PATH)) {
+    console.error('❌ No funding-unified-latest.json found. Run funding-unified.js first.');
+    process.exit(1);
+  }
+  const unified = JSON.parse(fs.readFileSync(INPUT_PATH, 'utf8'));
+  const reading = computeIndex(unified);
+
+  // One reading per unified snapshot — re-running on the same file doesn't duplicate
+  const series = readSeries();
+  const last = series[series.length - 1];
+  if (!last || last.fundingTimestamp !== reading.fundingTimestamp) {
+    fs.appendFileSync(SERIES_PATH, JSON.stringify(reading) + '\n');
+  }
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(reading, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify(reading, null, 2));
+    return;
+  }
+  console.log(`\n🌡️ CROWDING INDEX\n  ${formatReading(reading)}`);
+  console.log(`\nSaved: ${OUTPUT_PATH}`);
+}
+
+module.exports = { computeIndex };
+
+if (require.main === module) {
+  if (args.last) printLast(parseInt(args.last));
+  else record();
+}
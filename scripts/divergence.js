@@ -0,0 +1,103 @@
+// Divergence — price vs RSI divergences found from confirmed swing highs/lows.
+//
+//   REGULAR_BULLISH  price lower low,   RSI higher low   (selling momentum fading → reversal up)
+//   HIDDEN_BULLISH   price higher low,  RSI lower low    (uptrend pullback → continuation up)
+//   REGULAR_BEARISH  price higher high, RSI lower high   (buying momentum fading → reversal down)
+//   HIDDEN_BEARISH   price lower high,  RSI higher high  (downtrend bounce → continuation down)
+//
+// A swing point needs `right` bars after it to be confirmed, so a divergence is only
+// reported once its second pivot is confirmed — and only while that pivot is recent.
+// Candles are numeric OHLCV rows (see indicators.toOhlcv).
+
+const { rsi: rsiSeries } = require('./indicators');
+
+const DEFAULTS = {
+  rsiPeriod: 14,
+  left: 3,        // bars on each side that a pivot must exceed
+  right: 3,
+  minGap: 5,      // bars between the two pivots
+  maxGap: 60,
+  maxAge: 10,     // second pivot at most this many bars before the last candle
+};
+
+// Indices of swing highs/lows: strictly beyond the `left` bars before, at least
+// as extreme as the `right` bars after (so a flat top counts once, at its first bar)
+function swingPoints(highs, lows, { left = DEFAULTS.left, right = DEFAULTS.right } = {}) {
+  const swingHighs = [];
+  const swingLows = [];
+  for (let i = left; i < highs.length - right; i++) {
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+      if (j === i) continue;
+      if (j < i ? highs[j] >= highs[i] : highs[j] > highs[i]) isHigh = false;
+      if (j < i ? lows[j] <= lows[i] : lows[j] < lows[i]) isLow = false;
+    }
+    if (isHigh) swingHighs.push(i);
+    if (isLow) swingLows.push(i);
+  }
+  return { highs: swingHighs, lows: swingLows };
+}
+
+function pivot(candles, rsi, i, price) {
+  return {
+    time: candles[i].openTime ?? null,
+    price,
+    rsi: Math.round(rsi[i] * 10) / 10,
+  };
+}
+
+// Compare the last two swing points of one side; null if they don't diverge
+function compare(candles, rsi, indices, side, opts) {
+  if (indices.length < 2) return null;
+  const b = indices[indices.length - 1];
+  const a = indices[indices.length - 2];
+  const barsAgo = candles.length - 1 - b;
+  if (barsAgo > opts.maxAge || b - a < opts.minGap || b - a > opts.maxGap) return null;
+  if (rsi[a] === null || rsi[b] === null) return null;
+
+  const key = side === 'low' ? 'low' : 'high';
+  const p1 = candles[a][key];
+  const p2 = candles[b][key];
+  let type = null;
+  if (side === 'low') {
+    if (p2 < p1 && rsi[b] > rsi[a]) type = 'REGULAR_BULLISH';
+    else if (p2 > p1 && rsi[b] < rsi[a]) type = 'HIDDEN_BULLISH';
+  } else {
+    if (p2 > p1 && rsi[b] < rsi[a]) type = 'REGULAR_BEARISH';
+    else if (p2 < p1 && rsi[b] > rsi[a]) type = 'HIDDEN_BEARISH';
+  }
+  if (!type) return null;
+
+  return {
+    type,
+    bias: side === 'low' ? 'bullish' : 'bearish',
+    pivots: [pivot(candles, rsi, a, p1), pivot(candles, rsi, b, p2)],
+    barsAgo,
+  };
+}
+
+// Current divergences on one candle series (0–2 entries: at most one per side)
+function findDivergences(candles, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (candles.length < opts.rsiPeriod + opts.left + opts.right + opts.minGap) return [];
+
+  const rsi = rsiSeries(candles.map(c => c.close), opts.rsiPeriod);
+  const { highs, lows } = swingPoints(candles.map(c => c.high), candles.map(c => c.low), opts);
+  // Pivots before RSI is defined can't be compared
+  const ready = i => rsi[i] !== null;
+
+  return [
+    compare(candles, rsi, lows.filter(ready), 'low', opts),
+    compare(candles, rsi, highs.filter(ready), 'high', opts),
+  ].filter(Boolean);
+}
+
+// "REGULAR_BULLISH 4h: low 61200 → 60100, RSI 24.1 → 29.8"
+function describeDivergence(d) {
+  const [a, b] = d.pivots;
+  const side = d.bias === 'bullish' ? 'low' : 'high';
+  return `${d.type}${d.timeframe ? ` ${d.timeframe}` : ''}: ${side} ${a.price} → ${b.price}, RSI ${a.rsi} → ${b.rsi}`;
+}
+
+module.exports = { swingPoints, findDivergences, describeDivergence };
@@ -1,104 +1,89 @@
-require("./env");
 #!/usr/bin/env node
+require("./env");
 /**
  * EMA Breakout Scanner — finds coins crossing EMA 200 on 1h/4h timeframes
- * Uses Hyperliquid candle data (free, no rate limits)
+ * Uses Hyperliquid candle data via the local candle store (only new candles are fetched;
+ * requests paced to HL's weight limit, see hyperliquid.js)
  * 
  * Scans ALL HL perps with OI > threshold for:
  *   - Price crossing above EMA 200 on 1h (freshest signal)
  *   - Price crossing above EMA 200 on 4h (stronger confirmation)
  *   - Price crossing below EMA 200 (breakdown)
  *   - Price reclaiming EMA 50 while below 200 (early reversal)
+ *   - Retest of EMA 200 after a cross: held (RETEST_HOLD) or closed back through (FAILED_BREAKOUT)
+ *
+ * EMA 200 crosses carry the cross candle's volume vs its 20-candle average and the OI
+ * change over the candle (HL OI history, see oi-history.js). ≥1.5× average volume
+ * sets volumeConfirmed (+1 weight); below-average volume tags SUSPECT_BREAKOUT.
  * 
  * Designed to catch breakouts like TAKE before they rip.
+ *
+ * Signals are computed on closed candles (`confirmed: true`) and, separately, on the
+ * candle still forming (`confirmed: false`). Every signal carries the close time of
+ * the candle it was computed on. Only confirmed signals alert unless --intrabar.
+ *
+ * Each confirmed EMA 200 cross is tracked in the state file across runs as
+ * crossed → retesting → held / failed; `breakouts` in the output lists them.
+ *
+ * Coverage: every coin above the OI threshold, no cap. A coin/timeframe is only
+ * refetched once a new candle has closed since it was last scanned (always with
+ * --intrabar). Due coins are scanned stalest first until the run budget is spent;
+ * the rest stay due and lead the next run. `coverage` in the output reports what
+ * was scanned, already current, or skipped and why.
  * 
  * Usage:
  *   node ema-breakout-scanner.js                — scan all HL coins >$500K OI
  *   node ema-breakout-scanner.js --oi 2000000   — custom OI threshold ($2M)
+ *   node ema-breakout-scanner.js --intrabar     — also alert on intra-candle signals
+ *   node ema-breakout-scanner.js --budget 120   — run budget in seconds (default 240)
  */
 
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const { ema, rsi: rsiSeries, last, prev } = require('./indicators');
+const { toCanonical } = require('./symbols');
+const { signalCandles } = require('./candles');
+const { oiAt, loadSnapshots } = require('./oi-history');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
 
 const OUTPUT_PATH = '' + path.resolve(__dirname, '..', 'data') + '/ema-breakouts-latest.json';
 const STATE_PATH = '' + path.resolve(__dirname, '..', 'data') + '/ema-breakout-state.json';
 const COOLDOWN_MS = 4 * 60 * 60 * 1000; // 4h cooldown per coin per signal
 
-function post(url, body) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify(body);
-    const urlObj = new URL(url);
-    const req = https.request({
-      hostname: urlObj.hostname, path: urlObj.pathname,
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-      timeout: 15000,
-    }, (res) => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(body)); }
-        catch (e) { reject(new Error(`Parse: ${body.substring(0, 100)}`)); }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-    req.write(data);
-    req.end();
-  });
-}
+const TIMEFRAMES = ['1h', '4h'];
+const TIMEFRAME_MS = { '1h': candleStore.INTERVAL_MS['1h'], '4h': candleStore.INTERVAL_MS['4h'] };
+const CANDLE_COUNT = 250;
+const MIN_CLOSED_CANDLES = 201;   // EMA 200 plus the bar before, for crosses
+const DEFAULT_BUDGET_S = 240;     // fits a 5-minute cron slot
+const CONCURRENCY = 5;            // the weight budget does the real pacing
+
+// Breakout lifecycle
+const RETEST_BAND_PCT = 0.5;      // wick within 0.5% of EMA 200 = retest; close beyond it after = held
+const BREAKOUT_MAX_BARS = 48;     // no retest within this many candles → stop tracking
+const BREAKOUT_STALE_MS = 7 * 24 * 60 * 60 * 1000; // coin dropped out of the scan
+const ACTIVE_STATUSES = new Set(['crossed', 'retesting']);
 
+// Breakout volume
+const CROSS_TYPES = new Set(['CROSS_ABOVE_200', 'CROSS_BELOW_200']);
+const VOLUME_LOOKBACK = 20;
+const VOLUME_CONFIRM_RATIO = 1.5;
+const VOLUME_SUSPECT_RATIO = 1.0; // sub-average volume
+const VOLUME_CONFIRM_BOOST = 1;
+
+// Current and previous-bar EMA, for cross detection
 function calculateEMA(prices, period) {
-  if (prices.length < period + 5) return { current: null, prev: null }; // need a few extra for prev
-  const k = 2 / (period + 1);
-  let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-  let prevEma = ema;
-  for (let i = period; i < prices.length; i++) {
-    prevEma = ema;
-    ema = prices[i] * k + ema * (1 - k);
-  }
-  return { current: ema, prev: prevEma };
+  const series = ema(prices, period);
+  return { current: last(series), prev: prev(series) };
 }
 
 function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) return null;
-  let gains = 0, losses = 0;
-  for (let i = closes.length - period; i < closes.length; i++) {
-    const diff = closes[i] - closes[i - 1];
-    if (diff > 0) gains += diff; else losses -= diff;
-  }
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return Math.round((100 - 100 / (1 + rs)) * 100) / 100;
-}
-
-async function getCandles(coin, interval, count) {
-  // Calculate time range based on interval and count
-  const intervalMs = {
-    '1h': 3600000,
-    '4h': 14400000,
-    '1d': 86400000,
-  }[interval] || 3600000;
-  
-  const now = Date.now();
-  const start = now - (count * intervalMs);
-  
-  try {
-    const candles = await post('https://api.hyperliquid.xyz/info', {
-      type: 'candleSnapshot',
-      req: { coin, interval, startTime: start, endTime: now }
-    });
-    if (!Array.isArray(candles) || candles.length < 50) return null;
-    return candles;
-  } catch (e) {
-    return null;
-  }
+  const value = last(rsiSeries(closes, period));
+  return value === null ? null : Math.round(value * 100) / 100;
 }
 
 async function getCoinsWithOI(minOI) {
-  const data = await post('https://api.hyperliquid.xyz/info', { type: 'metaAndAssetCtxs' });
+  const data = await hl.info({ type: 'metaAndAssetCtxs' });
   if (!data || !Array.isArray(data) || data.length < 2) {
     console.log('Warning: Hyperliquid API returned unexpected format');
     return [];
@@ -111,116 +96,299 @@ async function getCoinsWithOI(minOI) {
     const oi = parseFloat(ctxs[i].openInterest) * mark;
     const funding = parseFloat(ctxs[i].funding);
     const vol = parseFloat(ctxs[i].dayNtlVlm);
-    return { coin: u.name, markPx: mark, oiUsd: oi, funding, volume24h: vol };
+    return { coin: toCanonical(u.name), symbol: u.name, markPx: mark, oiUsd: oi, funding, volume24h: vol };
   }).filter(c => c.oiUsd >= minOI);
 }
 
 function loadState() {
   try { return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')); }
-  catch { return { lastAlerted: {} }; }
+  catch { return { lastAlerted: {}, breakouts: {}, lastClosed: {} }; }
 }
 
 function saveState(state) {
   fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
 }
 
-async function scanCoin(coin, meta) {
+// Last candle's notional volume vs the VOLUME_LOOKBACK candles before it. A forming
+// candle's volume is projected to its full duration so it isn't always "low".
+function relativeVolume(candles, confirmed, now = Date.now()) {
+  if (candles.length < VOLUME_LOOKBACK + 1) return null;
+  const notional = c => parseFloat(c.v) * parseFloat(c.c);
+  const lastCandle = candles[candles.length - 1];
+  let vol = notional(lastCandle);
+  if (!confirmed) {
+    const elapsed = Math.min(1, Math.max(0.05, (now - lastCandle.t) / (lastCandle.T - lastCandle.t)));
+    vol /= elapsed;
+  }
+  const prior = candles.slice(-VOLUME_LOOKBACK - 1, -1).map(notional);
+  const avg = prior.reduce((a, b) => a + b, 0) / prior.length;
+  return avg > 0 ? Math.round(vol / avg * 100) / 100 : null;
+}
+
+// OI change across the cross candle: the snapshot nearest its open → the one nearest
+// its close. A candle still forming, or one that closed less than a quarter candle
+// ago, ends on the live reading. Null when either end has no snapshot close enough.
+function crossCandleOi(oiSeries, oiUsd, candleOpen, candleClose, tf, now) {
+  if (!oiSeries) return null;
+  const tolerance = TIMEFRAME_MS[tf] / 4;
+  const end = Math.min(candleClose, now);
+  const from = oiAt(oiSeries, candleOpen, tolerance);
+  const to = now - end <= tolerance ? (oiUsd > 0 ? oiUsd : null) : oiAt(oiSeries, end, tolerance);
+  if (!from || !to) return null;
+  return { usd: Math.round(to - from), pct: Math.round((to - from) / from * 10000) / 100, from: Math.round(from) };
+}
+
+// Volume / OI context on an EMA 200 cross. oiSeries: this coin's HL OI history points.
+function annotateCross(sig, candles, tf, { oiSeries, oiUsd, now = Date.now() }) {
+  const relVolume = relativeVolume(candles, sig.confirmed, now);
+  const volumeConfirmed = relVolume !== null && relVolume >= VOLUME_CONFIRM_RATIO;
+  const suspect = relVolume !== null && relVolume < VOLUME_SUSPECT_RATIO;
+  const candleOpen = sig.candleCloseTime + 1 - TIMEFRAME_MS[tf];
+  const oiChange = crossCandleOi(oiSeries, oiUsd, candleOpen, sig.candleCloseTime + 1, tf, now);
+
+  const notes = [];
+  if (relVolume !== null) notes.push(`vol ${relVolume}× avg${volumeConfirmed ? ' ✅' : suspect ? ' — suspect' : ''}`);
+  if (oiChange) notes.push(`OI ${oiChange.pct >= 0 ? '+' : ''}${oiChange.pct}% on the candle`);
+  return {
+    ...sig,
+    desc: notes.length > 0 ? `${sig.desc} | ${notes.join(', ')}` : sig.desc,
+    weight: sig.weight + (volumeConfirmed ? VOLUME_CONFIRM_BOOST : 0),
+    relVolume,
+    volumeConfirmed,
+    oiChange,
+    tags: suspect ? ['SUSPECT_BREAKOUT'] : [],
+  };
+}
+
+// Signals on the last candle of `candles`; tagged with whether that candle has closed
+function detectSignals(candles, tf, confirmed, candleCloseTime) {
   const signals = [];
+  const closes = candles.map(c => parseFloat(c.c));
+  const currentPrice = closes[closes.length - 1];
+  const prevClose = closes[closes.length - 2];
   
-  // Check both 1h and 4h timeframes
-  for (const tf of ['1h', '4h']) {
-    const candles = await getCandles(coin, tf, 250);
-    if (!candles) continue;
-    
-    const closes = candles.map(c => parseFloat(c.c));
-    const currentPrice = closes[closes.length - 1];
-    const prevClose = closes[closes.length - 2];
-    
-    const ema200 = calculateEMA(closes, 200);
-    const ema50 = calculateEMA(closes, 50);
-    const ema20 = calculateEMA(closes, 20);
-    
-    if (!ema200.current) continue;
-    
-    const rsi = calculateRSI(closes);
-    const distFrom200 = ((currentPrice - ema200.current) / ema200.current * 100);
-    
-    // SIGNAL 1: Price crosses ABOVE EMA 200 (bullish breakout)
-    if (prevClose < ema200.prev && currentPrice > ema200.current) {
-      signals.push({
-        type: 'CROSS_ABOVE_200',
-        timeframe: tf,
-        desc: `Crossed ABOVE ${tf} EMA 200 — bullish breakout`,
-        price: currentPrice,
-        ema200: ema200.current,
-        rsi,
-        weight: tf === '4h' ? 5 : 4,
-      });
-    }
-    
-    // SIGNAL 2: Price crosses BELOW EMA 200 (bearish breakdown)
-    if (prevClose > ema200.prev && currentPrice < ema200.current) {
-      signals.push({
-        type: 'CROSS_BELOW_200',
-        timeframe: tf,
-        desc: `Crossed BELOW ${tf} EMA 200 — bearish breakdown`,
-        price: currentPrice,
-        ema200: ema200.current,
-        rsi,
-        weight: tf === '4h' ? 5 : 4,
-      });
-    }
-    
-    // SIGNAL 3: Price reclaims EMA 50 while below 200 (early reversal sign)
-    if (ema50.current && prevClose < ema50.prev && currentPrice > ema50.current && currentPrice < ema200.current) {
-      signals.push({
-        type: 'RECLAIM_50_BELOW_200',
-        timeframe: tf,
-        desc: `Reclaimed ${tf} EMA 50 (still below 200) — early reversal building`,
-        price: currentPrice,
-        ema50: ema50.current,
-        ema200: ema200.current,
-        distFrom200: Math.round(distFrom200 * 100) / 100,
-        rsi,
-        weight: tf === '4h' ? 3 : 2,
-      });
-    }
-    
-    // SIGNAL 4: Price testing EMA 200 from below (within 1%)
-    if (currentPrice < ema200.current && Math.abs(distFrom200) < 1.0 && prevClose < currentPrice) {
+  const ema200 = calculateEMA(closes, 200);
+  const ema50 = calculateEMA(closes, 50);
+  const ema20 = calculateEMA(closes, 20);
+  
+  if (ema200.current === null || ema200.prev === null) return signals;
+  
+  const rsi = calculateRSI(closes);
+  const distFrom200 = ((currentPrice - ema200.current) / ema200.current * 100);
+  
+  // SIGNAL 1: Price crosses ABOVE EMA 200 (bullish breakout)
+  if (prevClose < ema200.prev && currentPrice > ema200.current) {
+    signals.push({
+      type: 'CROSS_ABOVE_200',
+      timeframe: tf,
+      desc: `Crossed ABOVE ${tf} EMA 200 — bullish breakout`,
+      price: currentPrice,
+      ema200: ema200.current,
+      rsi,
+      weight: tf === '4h' ? 5 : 4,
+    });
+  }
+  
+  // SIGNAL 2: Price crosses BELOW EMA 200 (bearish breakdown)
+  if (prevClose > ema200.prev && currentPrice < ema200.current) {
+    signals.push({
+      type: 'CROSS_BELOW_200',
+      timeframe: tf,
+      desc: `Crossed BELOW ${tf} EMA 200 — bearish breakdown`,
+      price: currentPrice,
+      ema200: ema200.current,
+      rsi,
+      weight: tf === '4h' ? 5 : 4,
+    });
+  }
+  
+  // SIGNAL 3: Price reclaims EMA 50 while below 200 (early reversal sign)
+  if (ema50.prev !== null && prevClose < ema50.prev && currentPrice > ema50.current && currentPrice < ema200.current) {
+    signals.push({
+      type: 'RECLAIM_50_BELOW_200',
+      timeframe: tf,
+      desc: `Reclaimed ${tf} EMA 50 (still below 200) — early reversal building`,
+      price: currentPrice,
+      ema50: ema50.current,
+      ema200: ema200.current,
+      distFrom200: Math.round(distFrom200 * 100) / 100,
+      rsi,
+      weight: tf === '4h' ? 3 : 2,
+    });
+  }
+  
+  // SIGNAL 4: Price testing EMA 200 from below (within 1%)
+  if (currentPrice < ema200.current && Math.abs(distFrom200) < 1.0 && prevClose < currentPrice) {
+    signals.push({
+      type: 'TESTING_200_FROM_BELOW',
+      timeframe: tf,
+      desc: `Testing ${tf} EMA 200 from below (${distFrom200.toFixed(2)}%) — breakout imminent?`,
+      price: currentPrice,
+      ema200: ema200.current,
+      rsi,
+      weight: tf === '4h' ? 4 : 3,
+    });
+  }
+  
+  // SIGNAL 5: Bullish EMA stack just formed on this timeframe (20>50>200)
+  if (ema20.prev !== null && ema50.prev !== null) {
+    const stackNow = ema20.current > ema50.current && ema50.current > ema200.current;
+    const stackPrev = ema20.prev > ema50.prev && ema50.prev > ema200.prev;
+    if (stackNow && !stackPrev) {
       signals.push({
-        type: 'TESTING_200_FROM_BELOW',
+        type: 'BULLISH_STACK_FORMED',
         timeframe: tf,
-        desc: `Testing ${tf} EMA 200 from below (${distFrom200.toFixed(2)}%) — breakout imminent?`,
-        price: currentPrice,
-        ema200: ema200.current,
-        rsi,
+        desc: `Bullish EMA stack just formed on ${tf} (20>50>200)`,
         weight: tf === '4h' ? 4 : 3,
       });
     }
-    
-    // SIGNAL 5: Bullish EMA stack just formed on this timeframe (20>50>200)
-    if (ema20.current && ema50.current) {
-      const stackNow = ema20.current > ema50.current && ema50.current > ema200.current;
-      const stackPrev = ema20.prev > ema50.prev && ema50.prev > ema200.prev;
-      if (stackNow && !stackPrev) {
-        signals.push({
-          type: 'BULLISH_STACK_FORMED',
-          timeframe: tf,
-          desc: `Bullish EMA stack just formed on ${tf} (20>50>200)`,
+  }
+  
+  const suffix = confirmed ? '' : ' (intrabar)';
+  return signals.map(sig => ({ ...sig, desc: sig.desc + suffix, confirmed, candleCloseTime }));
+}
+
+// Advance the coin/timeframe breakout through the closed candles since it was last
+// checked, then start a new one if this candle confirmed a cross:
+//   crossed → retesting  wick back within RETEST_BAND_PCT of EMA 200
+//   retesting → held     close back out of the band on the breakout side  → RETEST_HOLD
+//   crossed/retesting → failed  close back through EMA 200                → FAILED_BREAKOUT
+// Held/failed breakouts stay in state for one run so the output shows how they ended.
+// A failed breakout's closing candle is usually the opposite cross, which starts the
+// new record in the same run — the finished one rides along under `last` until then.
+function trackBreakout(breakouts, coin, tf, candles, tfSignals) {
+  const key = `${coin}_${tf}`;
+  const out = [];
+  const closes = candles.map(c => parseFloat(c.c));
+  const ema200 = ema(closes, 200);
+  const b = breakouts[key];
+  if (b) delete b.last;
+  
+  if (b && ACTIVE_STATUSES.has(b.status)) {
+    const side = b.direction === 'up' ? 1 : -1;
+    for (let i = 0; i < candles.length; i++) {
+      const t = candles[i].T;
+      if (t <= b.checkedThrough || ema200[i] === null) continue;
+      b.checkedThrough = t;
+      b.bars++;
+      
+      const close = closes[i];
+      const level = ema200[i];
+      const band = level * RETEST_BAND_PCT / 100;
+      const wick = parseFloat(side > 0 ? candles[i].l : candles[i].h);
+      const base = {
+        timeframe: tf, price: close, ema200: level, direction: b.direction,
+        crossedAt: b.crossedAt, barsSinceCross: b.bars,
+        confirmed: true, candleCloseTime: t,
+      };
+      
+      if (side * (close - level) < 0) {
+        b.status = 'failed';
+        out.push({
+          ...base,
+          type: 'FAILED_BREAKOUT',
+          desc: b.direction === 'up'
+            ? `Closed back BELOW ${tf} EMA 200 ${b.bars} bars after breaking out — failed breakout`
+            : `Closed back ABOVE ${tf} EMA 200 ${b.bars} bars after breaking down — failed breakdown`,
           weight: tf === '4h' ? 4 : 3,
         });
+        break;
+      }
+      if (side * (wick - level) <= band && b.status === 'crossed') {
+        b.status = 'retesting';
+        b.retestAt = t;
+      }
+      if (b.status === 'retesting' && side * (close - level) > band) {
+        b.status = 'held';
+        out.push({
+          ...base,
+          type: 'RETEST_HOLD',
+          desc: b.direction === 'up'
+            ? `Retested ${tf} EMA 200 from above and held — breakout entry`
+            : `Retested ${tf} EMA 200 from below and rejected — breakdown entry`,
+          weight: tf === '4h' ? 5 : 4,
+        });
+        break;
+      }
+      if (b.status === 'crossed' && b.bars >= BREAKOUT_MAX_BARS) {
+        b.status = 'expired';
+        break;
       }
     }
+  }
+  
+  const cross = tfSignals.find(s => s.type === 'CROSS_ABOVE_200' || s.type === 'CROSS_BELOW_200');
+  if (cross && (!b || b.crossedAt !== cross.candleCloseTime)) {
+    breakouts[key] = {
+      coin,
+      timeframe: tf,
+      direction: cross.type === 'CROSS_ABOVE_200' ? 'up' : 'down',
+      status: 'crossed',
+      crossedAt: cross.candleCloseTime,
+      crossPrice: cross.price,
+      crossEma200: cross.ema200,
+      crossRelVolume: cross.relVolume ?? null,
+      checkedThrough: cross.candleCloseTime,
+      bars: 0,
+      retestAt: null,
+      last: b && !ACTIVE_STATUSES.has(b.status) && out.length > 0 ? b : null,
+    };
+  } else if (b && !ACTIVE_STATUSES.has(b.status) && out.length === 0) {
+    delete breakouts[key];
+  }
+  
+  return out;
+}
+
+// Timeframes with a candle closed since the last scan (all of them with --intrabar)
+function dueTimeframes(coin, lastClosed, now, intrabar) {
+  if (intrabar) return TIMEFRAMES;
+  return TIMEFRAMES.filter(tf => {
+    const t = lastClosed[`${coin}_${tf}`];
+    return !t || now > t + TIMEFRAME_MS[tf];
+  });
+}
+
+// → { result (null if no signals), skipped: [{ timeframe, reason }] }
+async function scanCoin(meta, state, { now, intrabar, oiHistory }) {
+  const signals = [];
+  const skipped = [];
+  const crossContext = { oiSeries: oiHistory[meta.coin], oiUsd: meta.oiUsd, now };
+  
+  for (const tf of dueTimeframes(meta.coin, state.lastClosed, now, intrabar)) {
+    let candles;
+    try {
+      candles = await candleStore.getCandles(meta.symbol, tf, CANDLE_COUNT);
+    } catch (e) {
+      skipped.push({ timeframe: tf, reason: 'error', detail: e.message });
+      continue;
+    }
     
-    // Small delay between timeframe checks
-    await new Promise(r => setTimeout(r, 100));
+    const closed = signalCandles(candles);
+    // Recorded even for new listings, so they're retried once per candle rather than every run
+    if (closed.closeTime !== null) state.lastClosed[`${meta.coin}_${tf}`] = closed.closeTime;
+    if (closed.candles.length < MIN_CLOSED_CANDLES) {
+      skipped.push({ timeframe: tf, reason: 'history', detail: `${closed.candles.length} closed candles` });
+      continue;
+    }
+    
+    const confirmedSignals = detectSignals(closed.candles, tf, true, closed.closeTime)
+      .map(s => CROSS_TYPES.has(s.type) ? annotateCross(s, closed.candles, tf, crossContext) : s);
+    signals.push(...confirmedSignals);
+    signals.push(...trackBreakout(state.breakouts, meta.coin, tf, closed.candles, confirmedSignals));
+    // The forming candle, if HL returned one
+    const live = signalCandles(candles, { intrabar: true });
+    if (!live.confirmed) {
+      signals.push(...detectSignals(live.candles, tf, false, live.closeTime)
+        .map(s => CROSS_TYPES.has(s.type) ? annotateCross(s, live.candles, tf, crossContext) : s));
+    }
   }
   
-  if (signals.length === 0) return null;
+  if (signals.length === 0) return { result: null, skipped };
   
-  return {
-    coin,
+  const result = {
+    coin: meta.coin,
+    symbol: meta.symbol,
     price: meta.markPx,
     oiUsd: meta.oiUsd,
     funding: meta.funding,
@@ -228,6 +396,7 @@ async function scanCoin(coin, meta) {
     signals,
     maxWeight: Math.max(...signals.map(s => s.weight)),
   };
+  return { result, skipped };
 }
 
 async function main() {
@@ -236,48 +405,76 @@ async function main() {
   
   const oiIdx = args.indexOf('--oi');
   if (oiIdx !== -1 && args[oiIdx + 1]) minOI = parseInt(args[oiIdx + 1]);
+  const intrabar = args.includes('--intrabar');
+  const budgetIdx = args.indexOf('--budget');
+  const budgetS = budgetIdx !== -1 && args[budgetIdx + 1] ? parseInt(args[budgetIdx + 1]) : DEFAULT_BUDGET_S;
+  const deadline = Date.now() + budgetS * 1000;
   
-  console.log(`🔍 EMA Breakout Scanner — Hyperliquid (OI > $${(minOI/1e6).toFixed(1)}M)\n`);
-  
-  let coins = await getCoinsWithOI(minOI);
-  // Cap at top 30 by OI to avoid timeouts
-  coins.sort((a, b) => b.oiUsd - a.oiUsd);
-  if (coins.length > 30) {
-    console.log(`  Capping from ${coins.length} to top 30 by OI`);
-    coins = coins.slice(0, 30);
-  }
-  console.log(`📊 Scanning ${coins.length} coins...\n`);
+  console.log(`🔍 EMA Breakout Scanner — Hyperliquid (OI > $${(minOI/1e6).toFixed(1)}M, budget ${budgetS}s)${intrabar ? ' [intrabar]' : ''}\n`);
   
+  const coins = await getCoinsWithOI(minOI);
   const state = loadState();
   const now = Date.now();
+  // HL OI snapshots written by funding-unified / volume-scanner, for OI change on crosses
+  const oiHistory = loadSnapshots('hyperliquid');
+  state.breakouts = state.breakouts || {};
+  state.lastClosed = state.lastClosed || {};
+  
+  // Stalest first (never scanned = 0), then by OI — a run that ran out of budget
+  // leaves its remainder at the front of the next run's queue
+  const lastScanned = c => Math.min(...TIMEFRAMES.map(tf => state.lastClosed[`${c.coin}_${tf}`] || 0));
+  const due = coins.filter(c => dueTimeframes(c.coin, state.lastClosed, now, intrabar).length > 0)
+    .sort((a, b) => lastScanned(a) - lastScanned(b) || b.oiUsd - a.oiUsd);
+  console.log(`📊 ${coins.length} coins above threshold, ${due.length} with a new closed candle to scan...\n`);
+  
   const results = [];
+  const scanned = [];
+  const skipped = { budget: [], history: [], error: [] };
   
-  // Process in batches of 5 with concurrency
-  for (let i = 0; i < coins.length; i += 5) {
-    const batch = coins.slice(i, i + 5);
-    const batchResults = await Promise.allSettled(
-      batch.map(meta => scanCoin(meta.coin, meta).catch(() => null))
-    );
-    for (const r of batchResults) {
-      if (r.status === 'fulfilled' && r.value) {
-        results.push(r.value);
-        for (const s of r.value.signals) {
-          console.log(`  ⚡ ${r.value.coin}: ${s.desc} | OI $${(r.value.oiUsd/1e6).toFixed(1)}M${s.rsi ? ` | RSI ${s.rsi}` : ''}`);
-        }
-      }
+  for (let i = 0; i < due.length; i += CONCURRENCY) {
+    if (Date.now() >= deadline) {
+      skipped.budget.push(...due.slice(i).map(c => c.coin));
+      break;
     }
-    // Brief pause between batches
-    if (i + 5 < coins.length) await new Promise(r => setTimeout(r, 200));
+    const batch = due.slice(i, i + CONCURRENCY);
+    const batchResults = await Promise.all(batch.map(meta => scanCoin(meta, state, { now, intrabar, oiHistory })));
+    batchResults.forEach(({ result, skipped: coinSkips }, j) => {
+      const coin = batch[j].coin;
+      scanned.push(coin);
+      for (const sk of coinSkips) skipped[sk.reason].push(`${coin} ${sk.timeframe}`);
+      if (!result) return;
+      results.push(result);
+      for (const s of result.signals) {
+        console.log(`  ⚡ ${result.coin}: ${s.desc} | OI $${(result.oiUsd/1e6).toFixed(1)}M${s.rsi ? ` | RSI ${s.rsi}` : ''}`);
+      }
+    });
+  }
+  
+  for (const [key, b] of Object.entries(state.breakouts)) {
+    if (now - b.checkedThrough > BREAKOUT_STALE_MS) delete state.breakouts[key];
+  }
+  // Coins that left the universe
+  const listed = new Set(coins.map(c => c.coin));
+  for (const key of Object.keys(state.lastClosed)) {
+    if (!listed.has(key.slice(0, key.lastIndexOf('_')))) delete state.lastClosed[key];
   }
+  const breakouts = Object.values(state.breakouts);
   
-  // Filter by cooldown
+  // Filter by cooldown. Intra-candle signals only alert with --intrabar, and an
+  // intrabar alert doesn't hold back the confirmed close of the same candle.
   const newAlerts = [];
   for (const r of results) {
     const freshSignals = r.signals.filter(s => {
+      if (!s.confirmed && !intrabar) return false;
       const key = `${r.coin}_${s.type}_${s.timeframe}`;
-      const last = state.lastAlerted[key] || 0;
-      if (now - last > COOLDOWN_MS) {
-        state.lastAlerted[key] = now;
+      const prevAlert = state.lastAlerted[key];
+      // Older state files stored just the alert time
+      const last = typeof prevAlert === 'number' ? { t: prevAlert, confirmed: true } : prevAlert;
+      const fresh = !last
+        || (last.candleCloseTime !== s.candleCloseTime && now - last.t > COOLDOWN_MS)
+        || (s.confirmed && !last.confirmed);
+      if (fresh) {
+        state.lastAlerted[key] = { t: now, candleCloseTime: s.candleCloseTime, confirmed: s.confirmed };
         return true;
       }
       return false;
@@ -291,24 +488,48 @@ async function main() {
     timestamp: new Date().toISOString(),
     source: 'hyperliquid',
     minOI,
-    scanned: coins.length,
+    intrabar,
+    scanned: scanned.length,
+    coverage: {
+      universe: coins.length,
+      due: due.length,
+      scanned: scanned.length,
+      upToDate: coins.length - due.length,
+      // Coins not reached in the budget; "<coin> <tf>" for timeframes without usable candles
+      skipped,
+      budgetSeconds: budgetS,
+      requests: hl.usage(),
+      candleReads: candleStore.usage(),
+    },
     totalWithSignals: results.length,
     newAlerts: newAlerts.length,
     alerts: newAlerts,
     allSignals: results,
+    breakouts,
   };
   
   fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
   saveState(state);
   
-  console.log(`\n✅ ${coins.length} scanned | ${results.length} with signals | ${newAlerts.length} new alerts`);
+  console.log(`\n✅ ${scanned.length}/${due.length} due scanned (${coins.length - due.length} already current) | ${results.length} with signals | ${newAlerts.length} new alerts`);
+  const skipParts = [
+    skipped.budget.length && `${skipped.budget.length} coins out of budget (next run resumes)`,
+    skipped.history.length && `${skipped.history.length} too new for EMA 200`,
+    skipped.error.length && `${skipped.error.length} fetch errors`,
+  ].filter(Boolean);
+  if (skipParts.length > 0) console.log(`   Skipped: ${skipParts.join(', ')}`);
+  
+  const retesting = breakouts.filter(b => b.status === 'retesting');
+  if (retesting.length > 0) {
+    console.log(`\n👀 Retesting EMA 200: ${retesting.map(b => `${b.coin} ${b.timeframe} (${b.direction === 'up' ? 'from above' : 'from below'})`).join(', ')}`);
+  }
   
   if (newAlerts.length > 0) {
     console.log('\n🔥 NEW Breakout Alerts:');
     for (const a of newAlerts) {
       console.log(`\n  ${a.coin} ($${a.price}) | OI $${(a.oiUsd/1e6).toFixed(1)}M | funding ${(a.funding*100).toFixed(4)}%`);
       for (const s of a.signals) {
-        console.log(`    → ${s.desc}`);
+        console.log(`    → ${s.desc}${s.tags?.length ? ` [${s.tags.join(', ')}]` : ''}`);
       }
     }
   }
@@ -316,4 +537,8 @@ async function main() {
   console.log(`\nSaved: ${OUTPUT_PATH}`);
 }
 
-main().catch(e => { console.error('Failed:', e); process.exit(1); });
+module.exports = { trackBreakout, annotateCross };
+
+if (require.main === module) {
+  main().catch(e => { console.error('Failed:', e); process.exit(1); });
+}
@@ -1,128 +1,127 @@
-require("./env");
 #!/usr/bin/env node
+require("./env");
 /**
- * EMA Checker — calculates EMA 20/50/200 using Hyperliquid candle data
- * No API key needed, no rate limits
+ * EMA Checker — EMA structure (default 20/50/200) per timeframe using Hyperliquid candles
+ * No API key needed; candles come from the local candle store (see candle-store.js)
  * 
- * Signals:
+ * Signals (named after the fast/mid/slow periods, shown here for 20/50/200),
+ * each tagged with the timeframe it fired on:
  *   - BULLISH_STACK / BEARISH_STACK: EMA 20/50/200 perfectly aligned
  *   - CROSS_ABOVE_200 / CROSS_BELOW_200: Price just crossed the 200 EMA
  *   - GOLDEN_CROSS_ZONE / DEATH_CROSS_ZONE: EMA 50 near EMA 200
  *   - NEAR_EMA200: Price within 2% of 200 EMA (battle zone)
  *   - PULLBACK_EMA20/50: Pullback to support in trend
+ *
+ * EMAs, trend and signals are computed on closed candles; with --intrabar the
+ * candle still forming is included and its signals are marked `confirmed: false`.
+ * Every signal carries `candleCloseTime` (ms) of the candle it was computed on.
  * 
  * Usage:
  *   node ema-checker.js BTC ETH SOL           — check specific coins
- *   node ema-checker.js --funding              — check coins with extreme funding
+ *   node ema-checker.js --funding              — check coins with extreme funding (4h + 1d)
  *   node ema-checker.js --majors               — check major coins
  *   node ema-checker.js --all                  — all HL coins with >$1M OI
+ *   node ema-checker.js BTC --tf 4h,1d,1w      — timeframes (default 1d; 4h,1d with --funding)
+ *   node ema-checker.js BTC --periods 21,55,233 — fast,mid,slow EMA periods
+ *   node ema-checker.js BTC --intrabar         — include the forming candle
+ *
+ * Output: data/ema-latest.json — per coin, `timeframes` holds each timeframe's
+ * EMAs, trend and signals; `signals` is every signal across timeframes.
  */
 
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ema, last } = require('./indicators');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const { signalCandles } = require('./candles');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
 
 const FUNDING_PATH = '' + path.resolve(__dirname, '..', 'data') + '/funding-unified-latest.json';
 const OUTPUT_PATH = '' + path.resolve(__dirname, '..', 'data') + '/ema-latest.json';
 
-const MAJORS = ['BTC', 'ETH', 'SOL', 'XRP', 'DOGE', 'SUI', 'LINK', 'AVAX', 'PEPE', 'WIF', 'ARB', 'OP', 'APT', 'ONDO', 'AAVE', 'HBAR', 'NEAR', 'RENDER', 'INJ', 'SEI'];
+const TIMEFRAMES = ['1h', '4h', '1d', '1w'];
+const DEFAULT_PERIODS = '20,50,200';
 
-function post(url, body) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify(body);
-    const urlObj = new URL(url);
-    const req = https.request({
-      hostname: urlObj.hostname, path: urlObj.pathname,
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-      timeout: 15000,
-    }, (res) => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(body)); }
-        catch (e) { reject(new Error(`Parse error: ${body.substring(0, 100)}`)); }
-      });
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-    req.write(data);
-    req.end();
-  });
-}
+const NEAR_SLOW_PCT = 2; // NEAR_EMA<slow> battle zone
+
+const MAJORS = ['BTC', 'ETH', 'SOL', 'XRP', 'DOGE', 'SUI', 'LINK', 'AVAX', 'PEPE', 'WIF', 'ARB', 'OP', 'APT', 'ONDO', 'AAVE', 'HBAR', 'NEAR', 'RENDER', 'INJ', 'SEI'];
 
 function calculateEMA(prices, period) {
-  if (prices.length < period) return null;
-  const k = 2 / (period + 1);
-  let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-  for (let i = period; i < prices.length; i++) {
-    ema = prices[i] * k + ema * (1 - k);
-  }
-  return ema;
+  return last(ema(prices, period));
 }
 
-function detectSignals(closes, ema20, ema50, ema200, currentPrice) {
+const round4 = v => v === null ? null : Math.round(v * 10000) / 10000;
+
+// periods = [fast, mid, slow]; signal names follow them (NEAR_EMA200, PULLBACK_EMA20, ...).
+// The last argument says whether the last close is from a closed candle, and when it closes;
+// nearPct widens / narrows the NEAR_EMA<slow> zone (backtest.js tunes it).
+function detectSignals(closes, emas, periods, tf, { confirmed = true, closeTime = null, nearPct = NEAR_SLOW_PCT } = {}) {
   const signals = [];
-  if (!ema20 || !ema50 || !ema200) return signals;
+  const [pf, pm, ps] = periods;
+  const fast = emas[pf];
+  const midEma = emas[pm];
+  const slow = emas[ps];
+  if (!fast || !midEma || !slow) return signals;
+  const currentPrice = closes[closes.length - 1];
+  const label = confirmed ? tf : `${tf} intrabar`;
+  const push = (type, desc, weight) => signals.push({
+    type, timeframe: tf, desc: `${label}: ${desc}`, weight, confirmed, candleCloseTime: closeTime,
+  });
   
-  const priceDistFromEMA200 = ((currentPrice - ema200) / ema200 * 100);
-  const bullishStack = ema20 > ema50 && ema50 > ema200;
-  const bearishStack = ema20 < ema50 && ema50 < ema200;
+  const priceDistFromSlow = ((currentPrice - slow) / slow * 100);
+  const bullishStack = fast > midEma && midEma > slow;
+  const bearishStack = fast < midEma && midEma < slow;
   
-  if (bullishStack) signals.push({ type: 'BULLISH_STACK', desc: 'EMA 20>50>200 — strong uptrend', weight: 2 });
-  if (bearishStack) signals.push({ type: 'BEARISH_STACK', desc: 'EMA 20<50<200 — strong downtrend', weight: 2 });
+  if (bullishStack) push('BULLISH_STACK', `EMA ${pf}>${pm}>${ps} — strong uptrend`, 2);
+  if (bearishStack) push('BEARISH_STACK', `EMA ${pf}<${pm}<${ps} — strong downtrend`, 2);
   
-  // Price near EMA 200 (within 2%)
-  if (Math.abs(priceDistFromEMA200) < 2) {
-    signals.push({ type: 'NEAR_EMA200', desc: `Price ${priceDistFromEMA200.toFixed(2)}% from EMA 200 — trend battle zone`, weight: 3 });
+  // Price near the slow EMA (within nearPct)
+  if (Math.abs(priceDistFromSlow) < nearPct) {
+    push(`NEAR_EMA${ps}`, `Price ${priceDistFromSlow.toFixed(2)}% from EMA ${ps} — trend battle zone`, 3);
   }
   
-  // Price just crossed EMA 200
+  // Price just crossed the slow EMA
   if (closes.length >= 2) {
     const prev = closes[closes.length - 2];
-    if (prev < ema200 && currentPrice > ema200)
-      signals.push({ type: 'CROSS_ABOVE_200', desc: 'Price crossed ABOVE EMA 200 — bullish flip', weight: 5 });
-    if (prev > ema200 && currentPrice < ema200)
-      signals.push({ type: 'CROSS_BELOW_200', desc: 'Price crossed BELOW EMA 200 — bearish flip', weight: 5 });
+    if (prev < slow && currentPrice > slow)
+      push(`CROSS_ABOVE_${ps}`, `Price crossed ABOVE EMA ${ps} — bullish flip`, 5);
+    if (prev > slow && currentPrice < slow)
+      push(`CROSS_BELOW_${ps}`, `Price crossed BELOW EMA ${ps} — bearish flip`, 5);
   }
   
-  // Golden/Death cross zone (EMA 50 within 1% of EMA 200)
-  const ema50_200_dist = ((ema50 - ema200) / ema200 * 100);
-  if (Math.abs(ema50_200_dist) < 1) {
-    if (ema50 > ema200) signals.push({ type: 'GOLDEN_CROSS_ZONE', desc: `EMA 50 just above EMA 200 (${ema50_200_dist.toFixed(2)}%) — fresh golden cross`, weight: 4 });
-    else signals.push({ type: 'DEATH_CROSS_ZONE', desc: `EMA 50 just below EMA 200 (${ema50_200_dist.toFixed(2)}%) — fresh death cross`, weight: 4 });
+  // Golden/Death cross zone (mid EMA within 1% of slow EMA)
+  const midSlowDist = ((midEma - slow) / slow * 100);
+  if (Math.abs(midSlowDist) < 1) {
+    if (midEma > slow) push('GOLDEN_CROSS_ZONE', `EMA ${pm} just above EMA ${ps} (${midSlowDist.toFixed(2)}%) — fresh golden cross`, 4);
+    else push('DEATH_CROSS_ZONE', `EMA ${pm} just below EMA ${ps} (${midSlowDist.toFixed(2)}%) — fresh death cross`, 4);
   }
   
-  // Pullback to EMA 20 in uptrend
-  const distFromEMA20 = ((currentPrice - ema20) / ema20 * 100);
-  if (currentPrice > ema200 && ema20 > ema50 && Math.abs(distFromEMA20) < 1.5)
-    signals.push({ type: 'PULLBACK_EMA20', desc: `Pullback to EMA 20 in uptrend (${distFromEMA20.toFixed(1)}%)`, weight: 2 });
+  // Pullback to the fast EMA in uptrend
+  const distFromFast = ((currentPrice - fast) / fast * 100);
+  if (currentPrice > slow && fast > midEma && Math.abs(distFromFast) < 1.5)
+    push(`PULLBACK_EMA${pf}`, `Pullback to EMA ${pf} in uptrend (${distFromFast.toFixed(1)}%)`, 2);
   
-  // Pullback to EMA 50 in uptrend
-  const distFromEMA50 = ((currentPrice - ema50) / ema50 * 100);
-  if (currentPrice > ema200 && Math.abs(distFromEMA50) < 1.5 && currentPrice < ema20)
-    signals.push({ type: 'PULLBACK_EMA50', desc: `Deeper pullback to EMA 50 (${distFromEMA50.toFixed(1)}%)`, weight: 3 });
+  // Pullback to the mid EMA in uptrend
+  const distFromMid = ((currentPrice - midEma) / midEma * 100);
+  if (currentPrice > slow && Math.abs(distFromMid) < 1.5 && currentPrice < fast)
+    push(`PULLBACK_EMA${pm}`, `Deeper pullback to EMA ${pm} (${distFromMid.toFixed(1)}%)`, 3);
   
   return signals;
 }
 
-async function getHLCandles(coin, days = 250) {
-  const now = Date.now();
-  const start = now - days * 24 * 60 * 60 * 1000;
-  
+// Closed-candle runs only refetch once a candle has closed; --intrabar wants the forming one fresh
+async function getHLCandles(coin, tf, count, intrabar) {
   try {
-    const candles = await post('https://api.hyperliquid.xyz/info', {
-      type: 'candleSnapshot',
-      req: { coin, interval: '1d', startTime: start, endTime: now }
-    });
-    if (!Array.isArray(candles) || candles.length < 50) return null;
-    return candles.map(c => parseFloat(c.c)); // close prices
+    return await candleStore.getCandles(coin, tf, count, intrabar ? {} : { maxAgeMs: Infinity });
   } catch (e) {
     return null;
   }
 }
 
 async function getHLCoins() {
-  const data = await post('https://api.hyperliquid.xyz/info', { type: 'metaAndAssetCtxs' });
+  const data = await hl.info({ type: 'metaAndAssetCtxs' });
   const universe = data[0].universe;
   const ctxs = data[1];
   return universe.map((u, i) => ({
@@ -131,83 +130,141 @@ async function getHLCoins() {
   }));
 }
 
-async function checkCoin(ticker) {
-  const closes = await getHLCandles(ticker);
-  if (!closes || closes.length < 201) {
-    // Try with fewer candles — still useful for 20/50
-    if (closes && closes.length >= 50) {
-      const currentPrice = closes[closes.length - 1];
-      const ema20 = calculateEMA(closes, 20);
-      const ema50 = calculateEMA(closes, 50);
-      return {
-        ticker, price: currentPrice,
-        ema20: ema20 ? Math.round(ema20 * 10000) / 10000 : null,
-        ema50: ema50 ? Math.round(ema50 * 10000) / 10000 : null,
-        ema200: null,
-        note: `Only ${closes.length} candles available, no EMA 200`,
-        signals: [], signalWeight: 0,
-      };
-    }
-    return { ticker, error: `Insufficient data (${closes ? closes.length : 0} candles)`, signals: [] };
+// One timeframe for one coin
+async function checkTimeframe(symbol, tf, periods, intrabar = false) {
+  const [, , ps] = periods;
+  const raw = await getHLCandles(symbol, tf, ps + 50, intrabar);
+  const bar = raw ? signalCandles(raw, { intrabar }) : null;
+  return analyzeTimeframe(bar ? bar.candles.map(c => parseFloat(c.c)) : [], tf, periods, bar || {});
+}
+
+// EMA structure + signals from closes (oldest first). Fewer candles than the slow period
+// still gives the faster EMAs (noted, no signals); fewer than the mid period is an error.
+//   bar: { confirmed, closeTime } of the last close; nearPct as in detectSignals
+function analyzeTimeframe(closes, tf, periods, bar, { nearPct } = {}) {
+  const [, pm, ps] = periods;
+  if (closes.length < pm) {
+    return { error: `Insufficient data (${closes.length} candles)`, signals: [], signalWeight: 0 };
   }
   
   const currentPrice = closes[closes.length - 1];
-  const ema20 = calculateEMA(closes, 20);
-  const ema50 = calculateEMA(closes, 50);
-  const ema200 = calculateEMA(closes, 200);
+  const candleInfo = { confirmed: bar.confirmed, candleCloseTime: bar.closeTime };
+  const emas = {};
+  for (const p of periods) emas[p] = round4(calculateEMA(closes, p));
   
-  const signals = detectSignals(closes, ema20, ema50, ema200, currentPrice);
+  if (closes.length <= ps) {
+    return {
+      price: round4(currentPrice),
+      candles: closes.length,
+      emas,
+      ...candleInfo,
+      note: `Only ${closes.length} candles available, no EMA ${ps}`,
+      signals: [], signalWeight: 0,
+    };
+  }
   
+  const [fast, midEma, slow] = periods.map(p => emas[p]);
+  const signals = detectSignals(closes, emas, periods, tf, { confirmed: bar.confirmed, closeTime: bar.closeTime, nearPct });
+  
+  return {
+    price: round4(currentPrice),
+    candles: closes.length,
+    ...candleInfo,
+    emas,
+    priceVsSlow: Math.round((currentPrice - slow) / slow * 10000) / 100,
+    trend: currentPrice > slow ? `ABOVE_${ps}` : `BELOW_${ps}`,
+    alignment: fast > midEma && midEma > slow ? 'BULLISH' :
+               fast < midEma && midEma < slow ? 'BEARISH' : 'MIXED',
+    signals,
+    signalWeight: signals.reduce((sum, s) => sum + s.weight, 0),
+  };
+}
+
+// ticker is the canonical asset; candles come from its HL listing (PEPE → kPEPE)
+async function checkCoin(ticker, timeframes, periods, intrabar = false) {
+  const symbol = venueSymbol(ticker, 'hyperliquid');
+  const byTf = {};
+  for (const tf of timeframes) {
+    byTf[tf] = await checkTimeframe(symbol, tf, periods, intrabar);
+  }
+  const ok = timeframes.filter(tf => !byTf[tf].error);
+  const signals = timeframes.flatMap(tf => byTf[tf].signals);
   return {
     ticker,
-    price: Math.round(currentPrice * 10000) / 10000,
-    ema20: Math.round(ema20 * 10000) / 10000,
-    ema50: Math.round(ema50 * 10000) / 10000,
-    ema200: Math.round(ema200 * 10000) / 10000,
-    priceVsEMA200: Math.round((currentPrice - ema200) / ema200 * 10000) / 100,
-    trend: currentPrice > ema200 ? 'ABOVE_200' : 'BELOW_200',
-    alignment: ema20 > ema50 && ema50 > ema200 ? 'BULLISH' :
-               ema20 < ema50 && ema50 < ema200 ? 'BEARISH' : 'MIXED',
+    symbol,
+    price: ok.length > 0 ? byTf[ok[0]].price : null,
+    timeframes: byTf,
     signals,
     signalWeight: signals.reduce((sum, s) => sum + s.weight, 0),
+    error: ok.length === 0 ? byTf[timeframes[0]].error : undefined,
   };
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { values: args, positionals } = parseArgs({
+    options: {
+      'funding': { type: 'boolean', default: false },
+      'all': { type: 'boolean', default: false },
+      'majors': { type: 'boolean', default: false },
+      'tf': { type: 'string' },
+      'periods': { type: 'string', default: DEFAULT_PERIODS },
+      'intrabar': { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  // Funding extremes play out over hours — the funding watchlist checks 4h as well
+  const timeframes = (args.tf || (args.funding ? '4h,1d' : '1d')).split(',').map(t => t.trim()).filter(Boolean);
+  const badTf = timeframes.filter(tf => !TIMEFRAMES.includes(tf));
+  if (timeframes.length === 0 || badTf.length > 0) {
+    console.error(`Unknown --tf ${badTf.join(',') || '(empty)'} (use ${TIMEFRAMES.join(', ')})`);
+    process.exit(1);
+  }
+  const periods = args.periods.split(',').map(p => parseInt(p.trim())).sort((a, b) => a - b);
+  if (periods.length !== 3 || periods.some(p => !(p > 1)) || new Set(periods).size !== 3) {
+    console.error(`--periods needs three distinct periods (fast,mid,slow), got "${args.periods}"`);
+    process.exit(1);
+  }
+
   let tickers = [];
   
-  if (args.includes('--funding')) {
+  if (args.funding) {
     try {
       const funding = JSON.parse(fs.readFileSync(FUNDING_PATH, 'utf8'));
       tickers = funding.coins.filter(c => c.isExtreme || c.isNoteworthy).map(c => c.coin);
     } catch (e) { console.error('Could not load funding data:', e.message); }
-  } else if (args.includes('--all')) {
+  } else if (args.all) {
     const coins = await getHLCoins();
     tickers = coins.filter(c => c.oiUsd > 1000000).map(c => c.coin);
-  } else if (args.includes('--majors')) {
+  } else if (args.majors) {
     tickers = MAJORS;
-  } else if (args.length > 0) {
-    tickers = args.filter(a => !a.startsWith('--'));
+  } else if (positionals.length > 0) {
+    tickers = positionals;
   } else {
     tickers = MAJORS;
   }
   
-  tickers = [...new Set(tickers)];
-  console.log(`📊 EMA Check: ${tickers.length} coins (daily, Hyperliquid data)\n`);
+  await ensureRegistry();
+  tickers = [...new Set(tickers.map(toCanonical))];
+  console.log(`📊 EMA Check: ${tickers.length} coins (${timeframes.join(', ')} | EMA ${periods.join('/')}, ${args.intrabar ? 'incl. forming candle' : 'closed candles'}, Hyperliquid data)\n`);
   
   const results = [];
   for (let i = 0; i < tickers.length; i++) {
-    const result = await checkCoin(tickers[i]);
+    const result = await checkCoin(tickers[i], timeframes, periods, args.intrabar);
     results.push(result);
     
     if (result.error) {
       console.log(`  ✗ ${result.ticker}: ${result.error}`);
-    } else if (result.note) {
-      console.log(`  ⚠ ${result.ticker}: $${result.price} | ${result.note}`);
     } else {
-      const sigStr = result.signals.length > 0 ? result.signals.map(s => s.type).join(', ') : '—';
-      console.log(`  ${result.ticker}: $${result.price} | ${result.trend} ${result.alignment} | ${result.priceVsEMA200}% from 200 | ${sigStr}`);
+      const parts = timeframes.map(tf => {
+        const t = result.timeframes[tf];
+        if (t.error) return `${tf} ✗`;
+        if (t.note) return `${tf} ⚠ ${t.note}`;
+        const sigStr = t.signals.length > 0 ? t.signals.map(s => s.type).join(', ') : '—';
+        return `${tf} ${t.trend} ${t.alignment} ${t.priceVsSlow}% | ${sigStr}`;
+      });
+      console.log(`  ${result.ticker}: $${result.price} | ${parts.join(' || ')}`);
     }
     
     // Small delay to be nice
@@ -219,7 +276,9 @@ async function main() {
   
   const output = {
     timestamp: new Date().toISOString(),
-    timeframe: 'daily',
+    timeframes,
+    periods,
+    intrabar: args.intrabar,
     source: 'hyperliquid',
     totalChecked: results.length,
     withSignals: withSignals.length,
@@ -235,7 +294,7 @@ async function main() {
   if (highWeight.length > 0) {
     console.log('\n🔥 High Priority EMA Signals:');
     for (const r of highWeight) {
-      console.log(`\n  ${r.ticker} ($${r.price}) — ${r.trend}, ${r.alignment}`);
+      console.log(`\n  ${r.ticker} ($${r.price})`);
       for (const s of r.signals) console.log(`    → ${s.desc}`);
     }
   }
@@ -243,4 +302,8 @@ async function main() {
   console.log(`\nSaved: ${OUTPUT_PATH}`);
 }
 
-main().catch(e => { console.error('Failed:', e); process.exit(1); });
+module.exports = { detectSignals, analyzeTimeframe, calculateEMA, DEFAULT_PERIODS };
+
+if (require.main === module) {
+  main().catch(e => { console.error('Failed:', e); process.exit(1); });
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Funding Arb Finder — cross-venue funding carry from funding-unified-latest.json
+ *
+ * For every coin listed on 2+ venues (CEX + Hyperliquid): long the venue with the
+ * lowest 8h-equivalent rate, short the highest, and collect the spread. Carry is
+ * annualized and netted against a taker round trip on both legs, amortized over
+ * the expected holding period.
+ *
+ * Venues settle on different schedules (HL hourly, CEX mostly 8h), so the legs
+ * accrue at the same annualized pace but pay out at different times — each leg
+ * carries its own nextFundingTime.
+ *
+ * Usage:
+ *   node funding-arb.js                        — net APR > 10%, 7 day hold
+ *   node funding-arb.js --min-apr 25 --hold-days 3
+ *   node funding-arb.js --min-oi 5000000       — both legs need $5M+ OI (where known)
+ *
+ * Output: data/funding-arb-latest.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const INPUT_PATH = path.join(DATA_DIR, 'funding-unified-latest.json');
+const OUTPUT_PATH = path.join(DATA_DIR, 'funding-arb-latest.json');
+
+// Estimated taker fees (raw decimal per fill, base tier)
+const TAKER_FEES = {
+  okx: 0.0005,
+  bitget: 0.0006,
+  gate: 0.0005,
+  binance: 0.0005,
+  bybit: 0.00055,
+  hyperliquid: 0.00045,
+};
+const DEFAULT_TAKER_FEE = 0.0006;
+
+const { values: args } = parseArgs({
+  options: {
+    'min-apr': { type: 'string', default: '10' },   // % net annualized
+    'hold-days': { type: 'string', default: '7' },
+    'min-oi': { type: 'string', default: '0' },
+    'top': { type: 'string', default: '20' },
+    'json': { type: 'boolean', default: false },
+  },
+  strict: false,
+});
+
+function feeFor(venue) {
+  return TAKER_FEES[venue] ?? DEFAULT_TAKER_FEE;
+}
+
+function leg(v) {
+  return {
+    venue: v.venue,
+    symbol: v.symbol || null,
+    rate: v.rate,
+    intervalHours: v.intervalHours,
+    rate8h: v.rate8h,
+    rateAnnualized: v.rateAnnualized,
+    nextFundingTime: v.nextFundingTime || null,
+    oiUsd: v.oiUsd ?? null,
+    volume24h: v.volume24h ?? null,
+    takerFee: feeFor(v.venue),
+  };
+}
+
+// Best long/short pair for one coin, or null if fewer than two venues
+function findCarry(coin, { holdDays }) {
+  const venues = (coin.venues || []).filter(v => Number.isFinite(v.rate8h));
+  if (venues.length < 2) return null;
+
+  const long = venues.reduce((a, b) => b.rate8h < a.rate8h ? b : a);
+  const short = venues.reduce((a, b) => b.rate8h > a.rate8h ? b : a);
+  if (long.venue === short.venue) return null;
+
+  // Short receives its rate, long pays its rate — net is the spread either way
+  const spread8h = short.rate8h - long.rate8h;
+  const grossApr = spread8h * 3 * 365;
+  const roundTripFees = 2 * (feeFor(long.venue) + feeFor(short.venue));
+  const feeDrag = roundTripFees * 365 / holdDays;
+  const spread1h = spread8h / 8;
+
+  const legOis = [long.oiUsd, short.oiUsd].filter(v => Number.isFinite(v));
+  return {
+    coin: coin.coin,
+    long: leg(long),
+    short: leg(short),
+    venueCount: venues.length,
+    spread8h,
+    grossApr,
+    roundTripFees,
+    feeDrag,
+    netApr: grossApr - feeDrag,
+    breakevenHours: spread1h > 0 ? Math.round(roundTripFees / spread1h * 10) / 10 : null,
+    minLegOiUsd: legOis.length === 2 ? Math.min(...legOis) : null,
+  };
+}
+
+function main() {
+  if (!fs.existsSync(INPUT_PATH)) {
+    console.error('❌ No funding-unified-latest.json found. Run funding-unified.js first.');
+    process.exit(1);
+  }
+
+  const unified = JSON.parse(fs.readFileSync(INPUT_PATH, 'utf8'));
+  const holdDays = parseFloat(args['hold-days']);
+  const minApr = parseFloat(args['min-apr']) / 100;
+  const minOi = parseFloat(args['min-oi']);
+
+  const candidates = (unified.coins || [])
+    .map(c => findCarry(c, { holdDays }))
+    .filter(Boolean);
+
+  const opportunities = candidates
+    .filter(o => o.netApr >= minApr)
+    // Unknown leg OI doesn't disqualify — CEX legs may not report it
+    .filter(o => !minOi || o.minLegOiUsd === null || o.minLegOiUsd >= minOi)
+    .sort((a, b) => b.netApr - a.netApr);
+
+  const output = {
+    timestamp: new Date().toISOString(),
+    fundingTimestamp: unified.timestamp,
+    holdDays,
+    minNetApr: minApr,
+    takerFees: TAKER_FEES,
+    multiVenueCoins: candidates.length,
+    count: opportunities.length,
+    opportunities,
+  };
+
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify(opportunities, null, 2));
+    return;
+  }
+
+  console.log(`\n💱 FUNDING CARRY — ${opportunities.length} of ${candidates.length} multi-venue coins clear ${(minApr * 100).toFixed(0)}% net APR (${holdDays}d hold)\n`);
+  const fmtPct = v => `${(v * 100).toFixed(1)}%`;
+  const fmtOi = v => v ? `$${(v / 1e6).toFixed(1)}M` : '?';
+  const fmtNext = t => t ? `${Math.max(0, Math.round((t - Date.now()) / 60000))}m` : '?';
+  for (const o of opportunities.slice(0, parseInt(args.top))) {
+    console.log(`  ${o.coin.padEnd(8)} | net ${fmtPct(o.netApr).padStart(7)} (gross ${fmtPct(o.grossApr)}) | LONG ${o.long.venue} ${(o.long.rate8h * 100).toFixed(4)}% [OI ${fmtOi(o.long.oiUsd)}, next ${fmtNext(o.long.nextFundingTime)}] | SHORT ${o.short.venue} ${(o.short.rate8h * 100).toFixed(4)}% [OI ${fmtOi(o.short.oiUsd)}, next ${fmtNext(o.short.nextFundingTime)}] | breakeven ${o.breakevenHours}h`);
+  }
+
+  console.log(`\nSaved: ${OUTPUT_PATH}`);
+}
+
+module.exports = { findCarry, TAKER_FEES };
+
+if (require.main === module) {
+  main();
+}
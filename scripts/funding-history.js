@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Funding History — append-only local store of funding rates per venue per coin,
+ * so a rate can be judged against the coin's own past instead of fixed thresholds.
+ *
+ * Layout: data/funding-history/<venue>/<ASSET>.jsonl (canonical asset, see symbols.js),
+ * one line per funding period:
+ *   { "t": <period start ms>, "rate": <raw>, "rate8h": <8h-equivalent>, "intervalHours": 8 }
+ * Live runs only ever append (first observation of a period wins). Backfill is
+ * the one operation that rewrites a file, merging older periods in by timestamp.
+ *
+ * Usage:
+ *   node funding-history.js --backfill BTC,ETH,kPEPE --days 30   — HL fundingHistory backfill
+ *   node funding-history.js --stats BTC [--venue hyperliquid]    — print percentile / z-score
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { postJson } = require('./http');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+
+const HISTORY_DIR = path.resolve(__dirname, '..', 'data', 'funding-history');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MIN_SAMPLES = 10; // fewer than this → stats are null
+const TAIL_BYTES = 1024; // a record is ~90 bytes
+
+function historyPath(venue, coin) {
+  // Callers pass canonical assets (kPEPE history lives in PEPE.jsonl); just strip path separators
+  return path.join(HISTORY_DIR, venue, `${String(coin).replace(/[\\/]/g, '_')}.jsonl`);
+}
+
+function readHistory(venue, coin, sinceMs = 0) {
+  const file = historyPath(venue, coin);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(r => r && r.t >= sinceMs);
+}
+
+// Newest stored record, read from the end of the file so an append doesn't load
+// the whole history. Reads further back until it has a complete line.
+function lastRecord(venue, coin) {
+  const file = historyPath(venue, coin);
+  let fd;
+  try { fd = fs.openSync(file, 'r'); }
+  catch { return null; }
+  try {
+    const size = fs.fstatSync(fd).size;
+    for (let chunk = TAIL_BYTES; ; chunk *= 4) {
+      const start = Math.max(0, size - chunk);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      const lines = buf.toString('utf8').split('\n').filter(Boolean);
+      // The first line of a partial read may be cut; only trust it from the file start
+      for (let i = lines.length - 1; i >= (start > 0 ? 1 : 0); i--) {
+        try { return JSON.parse(lines[i]); } catch { /* torn line, keep looking */ }
+      }
+      if (start === 0) return null;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Record one observation. `time` is bucketed to the start of its funding period;
+// returns false if that period is already stored.
+function appendFunding(venue, coin, { time = Date.now(), rate, rate8h, intervalHours }) {
+  if (!Number.isFinite(rate8h)) return false;
+  const periodMs = (intervalHours || 8) * HOUR_MS;
+  const t = Math.floor(time / periodMs) * periodMs;
+
+  const last = lastRecord(venue, coin);
+  if (last && last.t >= t) return false;
+
+  const file = historyPath(venue, coin);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ t, rate, rate8h, intervalHours }) + '\n');
+  return true;
+}
+
+// Merge records into a file, keyed by period start; existing periods are kept
+function mergeHistory(venue, coin, records) {
+  const byT = new Map(readHistory(venue, coin).map(r => [r.t, r]));
+  let added = 0;
+  for (const r of records) {
+    if (!byT.has(r.t)) { byT.set(r.t, r); added++; }
+  }
+  const file = historyPath(venue, coin);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [...byT.values()].sort((a, b) => a.t - b.t).map(r => JSON.stringify(r));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return added;
+}
+
+function percentileOf(values, x) {
+  const below = values.filter(v => v < x).length;
+  const equal = values.filter(v => v === x).length;
+  return Math.round((below + equal / 2) / values.length * 1000) / 10;
+}
+
+function zScore(values, x) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  const std = Math.sqrt(variance);
+  return std > 0 ? Math.round((x - mean) / std * 100) / 100 : null;
+}
+
+// Context for the current 8h-equivalent rate against the stored series:
+//   pctl7d/pctl30d  — percentile of `current` within the window (0..100)
+//   z7d/z30d        — z-score within the window
+//   extremeStreak   — consecutive periods (ending now) at |rate8h| ≥ threshold on the same side
+// `records` (oldest first) skips the file read for callers that already hold the
+// history, e.g. backtest.js asking once per replayed hour.
+function fundingStats(venue, coin, current, { threshold, now = Date.now(), records = null } = {}) {
+  // Bounded at `now` so a replay (backtest.js) sees only what was known then
+  const history = (records || readHistory(venue, coin, now - 30 * DAY_MS))
+    .filter(r => r.t >= now - 30 * DAY_MS && r.t <= now);
+  const window = days => history.filter(r => r.t >= now - days * DAY_MS).map(r => r.rate8h);
+  const w7 = window(7);
+  const w30 = window(30);
+
+  let extremeStreak = 0;
+  if (threshold && Math.abs(current) >= threshold) {
+    const sign = Math.sign(current);
+    for (let i = history.length - 1; i >= 0; i--) {
+      const r = history[i].rate8h;
+      if (Math.abs(r) < threshold || Math.sign(r) !== sign) break;
+      extremeStreak++;
+    }
+    // The current reading counts even if its period was stored earlier at a calmer rate
+    if (extremeStreak === 0) extremeStreak = 1;
+  }
+
+  return {
+    samples7d: w7.length,
+    samples30d: w30.length,
+    pctl7d: w7.length >= MIN_SAMPLES ? percentileOf(w7, current) : null,
+    pctl30d: w30.length >= MIN_SAMPLES ? percentileOf(w30, current) : null,
+    z7d: w7.length >= MIN_SAMPLES ? zScore(w7, current) : null,
+    z30d: w30.length >= MIN_SAMPLES ? zScore(w30, current) : null,
+    extremeStreak,
+  };
+}
+
+// Pull settled hourly funding from Hyperliquid, paging 500 records at a time
+async function fetchHyperliquidHistory(coin, startTime, endTime = Date.now()) {
+  const records = [];
+  let cursor = startTime;
+  while (cursor < endTime) {
+    const page = await postJson('https://api.hyperliquid.xyz/info', { type: 'fundingHistory', coin, startTime: cursor, endTime });
+    if (!Array.isArray(page) || page.length === 0) break;
+    for (const p of page) {
+      const rate = parseFloat(p.fundingRate);
+      if (!Number.isFinite(rate)) continue;
+      records.push({ t: Math.floor(p.time / HOUR_MS) * HOUR_MS, rate, rate8h: rate * 8, intervalHours: 1 });
+    }
+    const lastTime = page[page.length - 1].time;
+    if (page.length < 500 || lastTime <= cursor) break;
+    cursor = lastTime + 1;
+    await new Promise(r => setTimeout(r, 200));
+  }
+  return records;
+}
+
+// Accepts canonical or HL names (PEPE or kPEPE); stored under the canonical asset
+async function backfill(names, days) {
+  await ensureRegistry();
+  const start = Date.now() - days * DAY_MS;
+  for (const name of names) {
+    const coin = toCanonical(name);
+    const hlName = venueSymbol(coin, 'hyperliquid');
+    const label = hlName !== coin ? `${coin} (${hlName})` : coin;
+    try {
+      const records = await fetchHyperliquidHistory(hlName, start);
+      const added = mergeHistory('hyperliquid', coin, records);
+      console.log(`  ✓ ${label}: ${records.length} periods fetched, ${added} new`);
+    } catch (e) {
+      console.error(`  ✗ ${label}: ${e.message}`);
+    }
+  }
+}
+
+module.exports = { HISTORY_DIR, appendFunding, readHistory, lastRecord, mergeHistory, fundingStats, fetchHyperliquidHistory };
+
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      'backfill': { type: 'string' },
+      'days': { type: 'string', default: '30' },
+      'stats': { type: 'string' },
+      'venue': { type: 'string', default: 'hyperliquid' },
+    },
+    strict: false,
+  });
+
+  if (args.backfill) {
+    const coins = args.backfill.split(',').map(c => c.trim()).filter(Boolean);
+    console.log(`📥 Backfilling ${coins.length} coins from Hyperliquid fundingHistory (${args.days}d)...`);
+    backfill(coins, parseFloat(args.days))
+      .then(() => console.log(`\nSaved under ${HISTORY_DIR}/hyperliquid`))
+      .catch(e => { console.error('Failed:', e); process.exit(1); });
+  } else if (args.stats) {
+    const coin = toCanonical(args.stats);
+    const history = readHistory(args.venue, coin);
+    if (history.length === 0) {
+      console.log(`No ${args.venue} history for ${args.stats}`);
+      process.exit(0);
+    }
+    const last = history[history.length - 1];
+    const s = fundingStats(args.venue, coin, last.rate8h);
+    console.log(`${coin} @ ${args.venue}: ${(last.rate8h * 100).toFixed(4)}%/8h (${new Date(last.t).toISOString()})`);
+    console.log(`  7d:  pctl ${s.pctl7d ?? '?'} | z ${s.z7d ?? '?'} | ${s.samples7d} samples`);
+    console.log(`  30d: pctl ${s.pctl30d ?? '?'} | z ${s.z30d ?? '?'} | ${s.samples30d} samples`);
+  } else {
+    console.log('Usage:');
+    console.log('  node funding-history.js --backfill BTC,ETH --days 30');
+    console.log('  node funding-history.js --stats BTC [--venue hyperliquid]');
+  }
+}
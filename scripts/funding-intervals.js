@@ -0,0 +1,61 @@
+// Funding interval normalization — venues settle on different schedules
+// (HL hourly, most CEXs 8h, some contracts 4h/1h), so raw rates are only
+// comparable after converting to a common period.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Default settlement interval per venue, used when the feed doesn't say
+const VENUE_INTERVAL_HOURS = {
+  okx: 8,
+  bitget: 8,
+  gate: 8,
+  binance: 8,
+  bybit: 8,
+  hyperliquid: 1,
+};
+
+// Accepts 8, '8h', '480m', '28800s' or an ms duration (>= 1 minute); returns hours or null
+function parseIntervalHours(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return value >= 60000 ? value / HOUR_MS : value;
+  }
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([hms]?)$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  if (!(n > 0)) return null;
+  const unit = m[2].toLowerCase();
+  if (unit === 'm') return n / 60;
+  if (unit === 's') return n / 3600;
+  return n;
+}
+
+function intervalForVenue(venue, reported) {
+  return parseIntervalHours(reported) || VENUE_INTERVAL_HOURS[venue] || 8;
+}
+
+// The one set of funding thresholds, as raw decimals per 8h (0.0006 = 0.06%/8h).
+// Every flag and sentiment bucket compares a normalized rate8h against these, so a
+// coin gets the same label from every venue and every file.
+const FUNDING_THRESHOLDS_8H = {
+  extreme: 0.0006,     // crowded — fires alerts (isExtreme, *_crowded)
+  briefing: 0.001,     // mentioned in briefing/recap
+  noteworthy: 0.0003,  // tracked in data, not surfaced; also "back to normal" after an extreme
+  elevated: 0.0001,    // leaning bullish / bearish
+  venueSpread: 0.0003, // max - min across venues worth noting
+};
+
+// Rate per settlement period → 1h, 8h and annualized equivalents (simple, not compounded)
+function normalizeRate(rate, intervalHours) {
+  const rate1h = rate / intervalHours;
+  return {
+    rate,
+    intervalHours,
+    rate1h,
+    rate8h: rate1h * 8,
+    rateAnnualized: rate1h * 24 * 365,
+  };
+}
+
+module.exports = { VENUE_INTERVAL_HOURS, FUNDING_THRESHOLDS_8H, parseIntervalHours, intervalForVenue, normalizeRate };
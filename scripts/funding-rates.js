@@ -1,146 +1,89 @@
-require("./env");
 #!/usr/bin/env node
+require("./env");
+/**
+ * CEX Funding Rates — pulls funding + OI straight from each venue's public REST API
+ * (adapters in scripts/venues/), so one venue or proxy going down doesn't blind the pipeline.
+ *
+ * Usage:
+ *   node funding-rates.js                          — default venues (okx, bitget, gate)
+ *   node funding-rates.js --venues okx,bybit,binance
+ *   FUNDING_VENUES=okx,bybit node funding-rates.js
+ */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-
-// Exchanges to fetch from
-const EXCHANGES = ['okx', 'bitget', 'gate'];
+const { parseArgs } = require('util');
+const { intervalForVenue, normalizeRate, FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const { getAdapters } = require('./venues');
+const { appendFunding, fundingStats } = require('./funding-history');
+const { trackOi, combineDeltas, oiFlags } = require('./oi-history');
 
 // Majors — always fetch OI for these regardless of funding rate
 const MAJORS = ['BTC', 'ETH', 'SOL', 'DOGE', 'XRP', 'SUI', 'LINK', 'AVAX', 'PEPE', 'WIF', 'BONK', 'ARB', 'OP', 'APT', 'ONDO', 'AAVE', 'UNI', 'TIA', 'SEI', 'INJ', 'NEAR', 'RENDER', 'FIL', 'STX', 'HBAR'];
-const API_URL = 'https://hiveintelligence.xyz/mcp';
 
 // Create data directory if it doesn't exist
-const dataDir = '' + path.resolve(__dirname, '..', 'data') + '';
+const dataDir = path.resolve(__dirname, '..', 'data');
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
+const OUTPUT_PATH = path.join(dataDir, 'funding-rates-latest.json');
 
-// Helper to make HTTP POST requests
-function makeApiCall(data, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify(data);
-    
-    const options = {
-      hostname: 'hiveintelligence.xyz',
-      path: '/mcp',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      },
-      timeout: timeout
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          // Parse SSE response
-          const lines = responseData.split('\n');
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const jsonData = JSON.parse(line.substring(6));
-              if (jsonData.result && jsonData.result.content && jsonData.result.content[0]) {
-                const content = JSON.parse(jsonData.result.content[0].text);
-                resolve(content);
-                return;
-              }
-            }
-          }
-          throw new Error('No valid data found in SSE response');
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-
-    req.write(postData);
-    req.end();
-  });
-}
-
-// Get funding rates for one exchange
-async function getFundingRates(exchange) {
-  const requestData = {
-    jsonrpc: '2.0',
-    method: 'tools/call',
-    params: {
-      name: 'invoke_api_endpoint',
-      arguments: {
-        endpoint_name: 'get_funding_rates',
-        args: { exchange }
-      }
-    },
-    id: 1
-  };
-
+// Get funding rates for one venue
+async function getFundingRates(adapter) {
   try {
-    const data = await makeApiCall(requestData, 30000);
-    console.log(`✓ Fetched funding rates from ${exchange.toUpperCase()}: ${Object.keys(data).length} symbols`);
-    return { exchange, data };
+    const data = await adapter.fetchFunding();
+    console.log(`✓ Fetched funding rates from ${adapter.name.toUpperCase()}: ${data.length} symbols`);
+    return { exchange: adapter.name, data };
   } catch (error) {
-    console.error(`✗ Failed to fetch funding rates from ${exchange.toUpperCase()}:`, error.message);
-    return { exchange, data: null, error: error.message };
+    console.error(`✗ Failed to fetch funding rates from ${adapter.name.toUpperCase()}:`, error.message);
+    return { exchange: adapter.name, data: null, error: error.message };
   }
 }
 
-// Get open interest for one symbol
-async function getOpenInterest(symbol) {
-  const requestData = {
-    jsonrpc: '2.0',
-    method: 'tools/call',
-    params: {
-      name: 'invoke_api_endpoint',
-      arguments: {
-        endpoint_name: 'get_open_interest',
-        args: { 
-          exchange: 'okx',
-          symbol 
-        }
-      }
-    },
-    id: 1
-  };
+// Get open interest from every venue that answers. Bulk venues return every
+// contract in one call; per-symbol venues (Binance) only get the targets.
+async function getOpenInterest(adapters, targets) {
+  const results = await Promise.all(adapters.map(async adapter => {
+    try {
+      const rows = await adapter.fetchOpenInterest(targets);
+      console.log(`✓ Fetched open interest from ${adapter.name.toUpperCase()}: ${rows.length} symbols`);
+      // Keyed by venue symbol — the coin alone is ambiguous when a venue lists PEPE and 1000PEPE
+      return [adapter.name, new Map(rows.map(r => [r.symbol, r.oiUsd]))];
+    } catch (error) {
+      console.error(`✗ Failed to fetch OI from ${adapter.name.toUpperCase()}:`, error.message);
+      return [adapter.name, null];
+    }
+  }));
+  return new Map(results.filter(([, oi]) => oi));
+}
 
-  try {
-    const data = await makeApiCall(requestData, 10000);
-    return data.openInterestValue || data.oiUsd || null;
-  } catch (error) {
-    console.error(`✗ Failed to fetch OI for ${symbol}:`, error.message);
-    return null;
-  }
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
 }
 
-// Normalize symbol to base ticker (e.g., "BTC/USDT:USDT" → "BTC")
-function normalizeTicker(symbol) {
-  return symbol.split('/')[0];
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-// Thresholds (raw decimals, NOT percentages)
-const EXTREME_THRESHOLD = 0.006;    // 0.6% — fires alerts
-const BRIEFING_THRESHOLD = 0.01;    // 1.0% — mentioned in briefing/recap
-const NOTEWORTHY_THRESHOLD = 0.003; // 0.3% — tracked in data, not surfaced
+// OI-weighted 8h rate over venues with known OI; null when no venue reported OI
+function oiWeightedRate(exchanges) {
+  const weighted = exchanges.filter(e => e.oiUsd > 0);
+  const totalOi = weighted.reduce((sum, e) => sum + e.oiUsd, 0);
+  if (totalOi === 0) return null;
+  return weighted.reduce((sum, e) => sum + e.rate8h * e.oiUsd, 0) / totalOi;
+}
 
-// Calculate sentiment based on funding rate
+// Thresholds (raw decimals per 8h, shared with funding-unified / HL — see funding-intervals.js)
+const { extreme: EXTREME_THRESHOLD, briefing: BRIEFING_THRESHOLD, noteworthy: NOTEWORTHY_THRESHOLD } = FUNDING_THRESHOLDS_8H;
+
+// Calculate sentiment based on the 8h funding rate
 function calculateSentiment(avgRate) {
-  if (avgRate > 0.006) return 'longs_crowded';
-  if (avgRate > 0.001) return 'bullish';
-  if (avgRate < -0.006) return 'shorts_crowded';
-  if (avgRate < -0.001) return 'bearish';
+  if (avgRate > EXTREME_THRESHOLD) return 'longs_crowded';
+  if (avgRate > FUNDING_THRESHOLDS_8H.elevated) return 'bullish';
+  if (avgRate < -EXTREME_THRESHOLD) return 'shorts_crowded';
+  if (avgRate < -FUNDING_THRESHOLDS_8H.elevated) return 'bearish';
   return 'neutral';
 }
 
@@ -152,20 +95,29 @@ function isNoteworthy(coinData) {
   if (Math.abs(avgRate) > NOTEWORTHY_THRESHOLD) return true;
   
   // High divergence across exchanges (arbitrage opportunity)
-  if (maxRate - minRate > 0.003) return true;
+  if (maxRate - minRate > FUNDING_THRESHOLDS_8H.venueSpread) return true;
   
   // High OI with elevated rate
-  if (oiUsd && oiUsd > 500000000 && Math.abs(avgRate) > 0.001) return true;
+  if ((oiUsd ?? 0) > 500000000 && Math.abs(avgRate) > FUNDING_THRESHOLDS_8H.elevated) return true;
   
   return false;
 }
 
-async function main() {
-  console.log('🚀 Fetching funding rates from all exchanges...\n');
+// Fetch, aggregate and save CEX funding — returns the same object written to
+// funding-rates-latest.json. Throws if every exchange failed so callers never
+// mistake an outage for a quiet market.
+//   venues: comma list or undefined (→ FUNDING_VENUES env → okx,bitget,gate)
+async function collectFundingRates({ venues = process.env.FUNDING_VENUES } = {}) {
+  const adapters = getAdapters(venues);
+  console.log(`🚀 Fetching funding rates from ${adapters.map(a => a.name).join(', ')}...\n`);
   
   // 1. Fetch funding rates from all exchanges in parallel
-  const exchangePromises = EXCHANGES.map(exchange => getFundingRates(exchange));
+  const exchangePromises = adapters.map(adapter => getFundingRates(adapter));
   const exchangeResults = await Promise.all(exchangePromises);
+  const failed = exchangeResults.filter(r => !r.data);
+  if (failed.length === exchangeResults.length) {
+    throw new Error(`All exchanges failed: ${failed.map(r => `${r.exchange} (${r.error})`).join(', ')}`);
+  }
   
   // 2. Process and aggregate data
   const coinMap = new Map();
@@ -173,106 +125,144 @@ async function main() {
   for (const result of exchangeResults) {
     if (!result.data) continue;
     
-    for (const [symbol, fundingData] of Object.entries(result.data)) {
-      const coin = normalizeTicker(symbol);
-      const rate = fundingData.fundingRate;
-      
+    for (const { coin, symbol, rate, intervalMs, nextFundingTime } of result.data) {
       if (typeof rate !== 'number' || isNaN(rate)) continue;
       
+      // Venues that don't report an interval fall back to the venue default
+      const normalized = normalizeRate(rate, intervalForVenue(result.exchange, intervalMs));
+      
       if (!coinMap.has(coin)) {
         coinMap.set(coin, {
           coin,
           rates: [],
-          exchanges: [],
-          symbols: new Set()
+          exchanges: []
         });
       }
       
       const coinData = coinMap.get(coin);
-      coinData.rates.push(rate);
-      coinData.exchanges.push({ exchange: result.exchange, rate });
-      coinData.symbols.add(symbol);
+      // A venue listing both PEPE and 1000PEPE counts once (first listing wins)
+      if (coinData.exchanges.some(e => e.exchange === result.exchange)) continue;
+      coinData.rates.push(normalized.rate8h);
+      coinData.exchanges.push({ exchange: result.exchange, symbol, ...normalized, nextFundingTime });
     }
   }
   
-  // 3. Calculate aggregated metrics
+  // 3. Calculate aggregated metrics (all on an 8h-equivalent basis). avgRate starts
+  //    as the simple mean — it only picks the OI targets — and becomes the
+  //    OI-weighted rate once per-venue OI is in.
   const coins = [];
   for (const [coin, data] of coinMap) {
     const rates = data.rates;
     if (rates.length === 0) continue;
     
-    const avgRate = rates.reduce((sum, r) => sum + r, 0) / rates.length;
-    const minRate = Math.min(...rates);
-    const maxRate = Math.max(...rates);
-    
-    const coinObj = {
+    const meanRate = mean(rates);
+    coins.push({
       coin,
-      avgRate,
-      minRate,
-      maxRate,
+      avgRate: meanRate,
+      avgRateMethod: 'mean',
+      meanRate,
+      medianRate: median(rates),
+      weightedRate: null,
+      minRate: Math.min(...rates),
+      maxRate: Math.max(...rates),
       exchangeCount: rates.length,
       exchanges: data.exchanges,
       oiUsd: null,
-      sentiment: calculateSentiment(avgRate),
-      isExtreme: false, // recalculated after OI fetch
-      isNoteworthy: false
-    };
-    
-    coinObj.isNoteworthy = isNoteworthy(coinObj);
-    coinObj.isBriefingWorthy = Math.abs(avgRate) > BRIEFING_THRESHOLD;
-    coins.push(coinObj);
+    });
   }
   
   // 4. Sort by absolute funding rate (most extreme first)
   coins.sort((a, b) => Math.abs(b.avgRate) - Math.abs(a.avgRate));
   
-  // 5. Fetch open interest for top 30 most extreme + majors (deduplicated)
-  const top30Coins = new Set(coins.slice(0, 30).map(c => c.coin));
-  for (const m of MAJORS) top30Coins.add(m);
-  const oiTargets = coins.filter(c => top30Coins.has(c.coin));
+  // 5. Fetch open interest per venue — bulk venues cover every coin, per-symbol
+  //    venues only the top 30 most extreme + majors (deduplicated)
+  const oiTargets = new Set(coins.slice(0, 30).map(c => c.coin));
+  for (const m of MAJORS) oiTargets.add(m);
   
-  console.log(`\n📊 Fetching open interest for ${oiTargets.length} coins (top 30 extreme + majors)...`);
+  console.log(`\n📊 Fetching open interest...`);
+  const oiAdapters = adapters.filter(a => !failed.some(f => f.exchange === a.name));
+  const oiByVenue = await getOpenInterest(oiAdapters, [...oiTargets]);
   
-  for (let i = 0; i < oiTargets.length; i++) {
-    const coin = oiTargets[i];
-    
-    // Find a good symbol to use for OI (prefer USDT pairs)
-    const symbols = Array.from(coinMap.get(coin.coin).symbols);
-    const usdtSymbol = symbols.find(s => s.includes('USDT:USDT'));
-    const targetSymbol = usdtSymbol || symbols[0];
-    
-    if (targetSymbol) {
-      console.log(`  ${i + 1}/${oiTargets.length}: ${coin.coin} (${targetSymbol})`);
-      coin.oiUsd = await getOpenInterest(targetSymbol);
-      
-      // Rate limiting
-      if (i < oiTargets.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+  // Weighted aggregate drives sentiment and every flag; a tiny venue with a
+  // wild rate no longer moves the number as much as a deep one
+  for (const coin of coins) {
+    for (const e of coin.exchanges) {
+      e.oiUsd = oiByVenue.get(e.exchange)?.get(e.symbol) ?? null;
+    }
+    const venueOi = coin.exchanges.map(e => e.oiUsd).filter(v => v > 0);
+    coin.oiUsd = venueOi.length > 0 ? venueOi.reduce((a, b) => a + b, 0) : null;
+    coin.weightedRate = oiWeightedRate(coin.exchanges);
+    if (coin.weightedRate !== null) {
+      coin.avgRate = coin.weightedRate;
+      coin.avgRateMethod = 'oi_weighted';
     }
+    coin.avgRate1h = coin.avgRate / 8;
+    coin.avgRateAnnualized = coin.avgRate / 8 * 24 * 365;
+    coin.sentiment = calculateSentiment(coin.avgRate);
+    coin.isNoteworthy = isNoteworthy(coin);
+    coin.isExtreme = Math.abs(coin.avgRate) > EXTREME_THRESHOLD && (coin.oiUsd ?? 0) > 1000000;
+    coin.isBriefingWorthy = Math.abs(coin.avgRate) > BRIEFING_THRESHOLD && (coin.oiUsd ?? 0) > 1000000;
   }
+  coins.sort((a, b) => Math.abs(b.avgRate) - Math.abs(a.avgRate));
   
-  // Recalculate isNoteworthy after getting OI data
+  // OI deltas vs previous runs — tracked per venue so one venue dropping out
+  // doesn't read as a jump in OI, then combined per coin
+  const venueDeltas = new Map();
+  for (const [venue] of oiByVenue) {
+    venueDeltas.set(venue, trackOi(`cex-${venue}`, coins.map(c => {
+      const e = c.exchanges.find(x => x.exchange === venue);
+      return { coin: c.coin, oiUsd: e ? e.oiUsd : null, isExtreme: !!c.isExtreme };
+    })));
+  }
   for (const coin of coins) {
-    coin.isNoteworthy = isNoteworthy(coin);
-    coin.isExtreme = Math.abs(coin.avgRate) > EXTREME_THRESHOLD && coin.oiUsd && coin.oiUsd > 1000000;
-    coin.isBriefingWorthy = Math.abs(coin.avgRate) > BRIEFING_THRESHOLD && coin.oiUsd && coin.oiUsd > 1000000;
+    const perVenue = [...venueDeltas.values()].map(d => d.get(coin.coin)).filter(Boolean);
+    coin.oiDelta = perVenue.length > 0 ? combineDeltas(perVenue.map(d => d.oiDelta)) : null;
+    coin.oiFlags = coin.oiDelta ? oiFlags(coin.oiDelta, { isExtreme: !!coin.isExtreme }) : [];
   }
   
-  // 6. Generate output
+  // 6. Append to the funding history and annotate with the coin's own context
+  //    (per venue, plus the 'cex' cross-exchange rate the flags use). The 'cex'
+  //    series only holds OI-weighted rates: a run without venue OI skips it rather
+  //    than mixing in a simple mean the percentiles would treat as the same thing.
+  const now = Date.now();
+  for (const coin of coins) {
+    for (const e of coin.exchanges) {
+      appendFunding(e.exchange, coin.coin, { time: now, rate: e.rate, rate8h: e.rate8h, intervalHours: e.intervalHours });
+    }
+    if (coin.weightedRate === null) {
+      coin.history = null;
+      continue;
+    }
+    appendFunding('cex', coin.coin, { time: now, rate: coin.weightedRate, rate8h: coin.weightedRate, intervalHours: 8 });
+    coin.history = fundingStats('cex', coin.coin, coin.weightedRate, { threshold: EXTREME_THRESHOLD, now });
+  }
+  
+  // 7. Generate output
   const result = {
     timestamp: new Date().toISOString(),
-    source: 'hive-intelligence',
-    exchanges: EXCHANGES,
+    source: 'direct',
+    rateBasis: '8h',
+    exchanges: adapters.map(a => a.name),
+    oiSources: [...oiByVenue.keys()],
+    failedExchanges: failed.map(r => ({ exchange: r.exchange, error: r.error })),
     totalCoins: coins.length,
     coins: coins
   };
   
-  // 7. Save to file
-  const outputPath = path.join(dataDir, 'funding-rates-latest.json');
-  fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
+  // 8. Save to file
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2));
+  return result;
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: { 'venues': { type: 'string' } },
+    strict: false,
+  });
+  const { coins } = await collectFundingRates({ venues: args.venues || process.env.FUNDING_VENUES });
+  const outputPath = OUTPUT_PATH;
   
-  // 8. Print summary
+  // Print summary
   const noteworthyCount = coins.filter(c => c.isNoteworthy).length;
   const extremeCount = coins.filter(c => c.isExtreme).length;
   
@@ -297,8 +287,12 @@ async function main() {
   console.log('\n🎯 Done!');
 }
 
+module.exports = { collectFundingRates, calculateSentiment };
+
 // Run the script
-main().catch(error => {
-  console.error('❌ Script failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Unified Funding Rates: CEX (OKX/Bitget/Gate, optionally Binance/Bybit) + Hyperliquid
+ * Runs both sources in-process, merges into data/funding-unified-latest.json
+ *
+ * All rates are raw decimals (0.0001 = 0.01%). Venue records keep the raw
+ * per-period rate plus intervalHours and 1h/8h/annualized equivalents; every
+ * comparison (bestFunding, flags, direction) uses the 8h-equivalent rate.
+ *
+ * If one source fails the file is still written with `partial: true` and the
+ * failure listed in `errors`. If both fail, nothing is written and we exit 1
+ * so the stale file is caught by health-check instead of looking like a calm market.
+ *
+ * Usage:
+ *   node funding-unified.js                  — HL coins with >$1M OI
+ *   node funding-unified.js --hl-oi 5000000  — custom HL OI threshold
+ *   node funding-unified.js --venues okx,bybit — CEX venues (default: FUNDING_VENUES or okx,bitget,gate)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { collectFundingRates } = require('./funding-rates');
+const { fetchHyperliquidFunding } = require('./hyperliquid-funding');
+const { appendFunding, fundingStats } = require('./funding-history');
+const { trackOi } = require('./oi-history');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'funding-unified-latest.json');
+
+// Thresholds (raw decimals per 8h, see funding-intervals.js)
+const { extreme: EXTREME_THRESHOLD, noteworthy: NOTEWORTHY_THRESHOLD, briefing: BRIEFING_THRESHOLD } = FUNDING_THRESHOLDS_8H;
+const MIN_OI_USD = 1000000;
+
+const { values: args } = parseArgs({
+  options: {
+    'hl-oi': { type: 'string', default: String(MIN_OI_USD) },
+    'venues': { type: 'string' },
+  },
+  strict: false,
+});
+
+async function loadSources() {
+  const [cex, hl] = await Promise.allSettled([
+    collectFundingRates({ venues: args.venues || process.env.FUNDING_VENUES }),
+    fetchHyperliquidFunding(parseFloat(args['hl-oi'])),
+  ]);
+
+  const errors = [];
+  if (cex.status === 'rejected') errors.push({ source: 'cex', error: cex.reason.message });
+  if (hl.status === 'rejected') errors.push({ source: 'hyperliquid', error: hl.reason.message });
+
+  const cexData = cex.status === 'fulfilled' ? cex.value : null;
+  // Exchanges that failed inside funding-rates.js are partial failures too
+  for (const f of cexData?.failedExchanges || []) errors.push({ source: f.exchange, error: f.error });
+
+  return {
+    cexCoins: cexData ? cexData.coins : null,
+    cexExchanges: cexData ? cexData.exchanges.filter(e => !cexData.failedExchanges.some(f => f.exchange === e)) : [],
+    hlCoins: hl.status === 'fulfilled' ? hl.value : null,
+    errors,
+  };
+}
+
+function mergeCoins(cexCoins, hlCoins) {
+  const unified = new Map();
+
+  for (const c of cexCoins || []) {
+    unified.set(c.coin, {
+      coin: c.coin,
+      venues: c.exchanges.map(e => ({
+        venue: e.exchange,
+        symbol: e.symbol,
+        rate: e.rate,
+        intervalHours: e.intervalHours,
+        rate1h: e.rate1h,
+        rate8h: e.rate8h,
+        rateAnnualized: e.rateAnnualized,
+        nextFundingTime: e.nextFundingTime || null,
+        oiUsd: e.oiUsd ?? null,
+        markPrice: null,
+        volume24h: null,
+      })),
+      cex: {
+        avgRate: c.avgRate,
+        avgRateMethod: c.avgRateMethod,
+        meanRate: c.meanRate,
+        medianRate: c.medianRate,
+        exchanges: c.exchanges,
+        oiUsd: c.oiUsd,
+        history: c.history || null,
+        oiDelta: c.oiDelta || null,
+        oiFlags: c.oiFlags || [],
+      },
+      hyperliquid: null,
+      totalOiUsd: c.oiUsd || 0,
+    });
+  }
+
+  for (const h of hlCoins || []) {
+    if (!unified.has(h.coin)) {
+      unified.set(h.coin, { coin: h.coin, venues: [], cex: null, hyperliquid: null, totalOiUsd: 0 });
+    }
+    const u = unified.get(h.coin);
+    if (u.hyperliquid) continue; // one HL listing per asset
+    u.hyperliquid = {
+      symbol: h.symbol || h.coin,
+      fundingRate: h.fundingRate,
+      rate8h: h.rate8h,
+      oiUsd: h.openInterestUsd,
+      markPrice: h.markPrice,
+      volume24h: h.volume24h,
+      maxLeverage: h.maxLeverage,
+    };
+    u.venues.push({
+      venue: 'hyperliquid',
+      symbol: h.symbol || h.coin,
+      rate: h.fundingRate,
+      intervalHours: h.intervalHours,
+      rate1h: h.rate1h,
+      rate8h: h.rate8h,
+      rateAnnualized: h.rateAnnualized,
+      nextFundingTime: h.nextFundingTime,
+      oiUsd: h.openInterestUsd,
+      markPrice: h.markPrice,
+      volume24h: h.volume24h,
+    });
+    u.totalOiUsd += h.openInterestUsd || 0;
+  }
+
+  const coins = [];
+  for (const u of unified.values()) {
+    // Most extreme 8h-equivalent rate wins — CEX uses its cross-exchange average
+    // (already 8h basis), HL its hourly rate scaled to 8h
+    const candidates = [];
+    if (u.cex) candidates.push({ venue: 'cex', rate: u.cex.avgRate });
+    if (u.hyperliquid) candidates.push({ venue: 'hyperliquid', rate: u.hyperliquid.rate8h });
+    const best = candidates.reduce((a, b) => Math.abs(b.rate) > Math.abs(a.rate) ? b : a);
+
+    // OI-weighted 8h rate across every venue (CEX + HL) that reported OI
+    const weighted = u.venues.filter(v => v.oiUsd > 0 && Number.isFinite(v.rate8h));
+    const weightedOi = weighted.reduce((sum, v) => sum + v.oiUsd, 0);
+
+    const rate = Math.abs(best.rate);
+    const hasOi = u.totalOiUsd > MIN_OI_USD;
+    coins.push({
+      ...u,
+      weightedFunding: weightedOi > 0 ? weighted.reduce((sum, v) => sum + v.rate8h * v.oiUsd, 0) / weightedOi : null,
+      bestFunding: best.rate,
+      bestFunding1h: best.rate / 8,
+      bestFundingAnnualized: best.rate / 8 * 24 * 365,
+      bestVenue: best.venue,
+      isExtreme: rate >= EXTREME_THRESHOLD && hasOi,
+      isNoteworthy: rate >= NOTEWORTHY_THRESHOLD && hasOi,
+      isBriefingWorthy: rate >= BRIEFING_THRESHOLD && hasOi,
+      direction: best.rate < 0 ? 'shorts_crowded' : best.rate > 0 ? 'longs_crowded' : 'neutral',
+    });
+  }
+
+  coins.sort((a, b) => Math.abs(b.bestFunding) - Math.abs(a.bestFunding));
+  return coins;
+}
+
+// Record HL funding in the history store and attach percentile / z-score context.
+// Coin-level `history` follows whichever side set bestFunding.
+function annotateHistory(coins, now = Date.now()) {
+  for (const c of coins) {
+    if (c.hyperliquid) {
+      const h = c.hyperliquid;
+      appendFunding('hyperliquid', c.coin, { time: now, rate: h.fundingRate, rate8h: h.rate8h, intervalHours: 1 });
+      h.history = fundingStats('hyperliquid', c.coin, h.rate8h, { threshold: EXTREME_THRESHOLD, now });
+    }
+    c.history = c.bestVenue === 'hyperliquid' ? c.hyperliquid.history : (c.cex && c.cex.history) || null;
+  }
+}
+
+// Track HL OI between runs; coin-level oiFlags is the union across CEX and HL
+function annotateOi(coins, now = Date.now()) {
+  const hlRows = coins.filter(c => c.hyperliquid).map(c => ({
+    coin: c.coin,
+    oiUsd: c.hyperliquid.oiUsd,
+    isExtreme: Math.abs(c.hyperliquid.rate8h) >= EXTREME_THRESHOLD,
+  }));
+  const deltas = trackOi('hyperliquid', hlRows, now);
+  for (const c of coins) {
+    if (c.hyperliquid) {
+      const d = deltas.get(c.coin);
+      c.hyperliquid.oiDelta = d ? d.oiDelta : null;
+      c.hyperliquid.oiFlags = d ? d.oiFlags : [];
+    }
+    c.oiFlags = [...new Set([...(c.cex?.oiFlags || []), ...(c.hyperliquid?.oiFlags || [])])];
+  }
+}
+
+async function main() {
+  console.log('📊 Fetching CEX + Hyperliquid funding rates...\n');
+  const { cexCoins, cexExchanges, hlCoins, errors } = await loadSources();
+
+  if (!cexCoins && !hlCoins) {
+    console.error('\n❌ All funding sources failed — not overwriting funding-unified-latest.json');
+    for (const e of errors) console.error(`   ✗ ${e.source}: ${e.error}`);
+    process.exit(1);
+  }
+
+  console.log('\n📊 Merging data...');
+  const coins = mergeCoins(cexCoins, hlCoins);
+  annotateHistory(coins);
+  annotateOi(coins);
+
+  const sources = [...cexExchanges];
+  if (hlCoins) sources.push('hyperliquid');
+
+  const result = {
+    timestamp: new Date().toISOString(),
+    units: 'raw decimal; bestFunding and cex.avgRate are 8h-equivalent',
+    rateBasis: '8h',
+    sources,
+    partial: errors.length > 0,
+    errors,
+    totalCoins: coins.length,
+    extremeCount: coins.filter(c => c.isExtreme).length,
+    coins,
+  };
+
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2));
+
+  // Print summary
+  const extreme = coins.filter(c => c.isExtreme);
+  console.log(`\n✅ Unified: ${coins.length} coins (${cexCoins ? cexCoins.length : 0} CEX, ${hlCoins ? hlCoins.length : 0} Hyperliquid)`);
+  console.log(`   Extreme (≥${EXTREME_THRESHOLD * 100}%/8h + >$1M OI): ${extreme.length}`);
+  if (errors.length > 0) {
+    console.log('\n⚠️ Partial data — failed sources:');
+    for (const e of errors) console.log(`   ✗ ${e.source}: ${e.error}`);
+  }
+  if (extreme.length > 0) {
+    console.log('\n🔥 Extreme funding:');
+    for (const c of extreme.slice(0, 10)) {
+      const src = [];
+      if (c.cex) src.push(`CEX ${(c.cex.avgRate * 100).toFixed(4)}%/8h`);
+      if (c.hyperliquid) src.push(`HL ${(c.hyperliquid.fundingRate * 100).toFixed(4)}%/1h`);
+      console.log(`   ${c.coin.padStart(8)} | ${(c.bestFunding * 100).toFixed(4)}%/8h | OI $${(c.totalOiUsd / 1e6).toFixed(1)}M | ${src.join(' / ')}`);
+    }
+  }
+  console.log(`\nSaved: ${OUTPUT_PATH}`);
+}
+
+module.exports = { mergeCoins };
+
+if (require.main === module) {
+  main().catch(e => { console.error('❌ Script failed:', e); process.exit(1); });
+}
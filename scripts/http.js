@@ -0,0 +1,39 @@
+// Minimal JSON-over-HTTPS helpers — no dependencies
+const https = require('https');
+
+function request(url, { method = 'GET', body, headers = {}, timeout = 15000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const data = body === undefined ? null : JSON.stringify(body);
+    const req = https.request({
+      hostname: urlObj.hostname,
+      path: urlObj.pathname + urlObj.search,
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'g-alpha/1.0',
+        ...(data ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) } : {}),
+        ...headers,
+      },
+      timeout,
+    }, (res) => {
+      let raw = '';
+      res.on('data', c => raw += c);
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new Error(`HTTP ${res.statusCode} from ${urlObj.hostname}: ${raw.substring(0, 100)}`));
+        }
+        try { resolve(JSON.parse(raw)); }
+        catch (e) { reject(new Error(`Parse error from ${urlObj.hostname}: ${raw.substring(0, 100)}`)); }
+      });
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error(`Timeout: ${urlObj.hostname}`)); });
+    req.end(data || undefined);
+  });
+}
+
+const getJson = (url, opts) => request(url, { ...opts, method: 'GET' });
+const postJson = (url, body, opts) => request(url, { ...opts, method: 'POST', body });
+
+module.exports = { getJson, postJson };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Hyperliquid Perps: Funding Rates + OI + Volume
+ * Public API, no key needed
+ *
+ * HL pays hourly: fundingRate is the raw hourly decimal, rate1h/rate8h/rateAnnualized
+ * are normalized so it compares with CEX 8h rates. Flags use the 8h basis.
+ * `coin` is the canonical asset (kPEPE → PEPE); `symbol` is HL's own name.
+ * Output: JSON array sorted by abs(rate8h), filtered by OI.
+ *
+ * Usage:
+ *   node hyperliquid-funding.js              — coins with >$1M OI
+ *   node hyperliquid-funding.js 5000000      — custom OI threshold ($5M)
+ */
+
+const { VENUE_INTERVAL_HOURS, FUNDING_THRESHOLDS_8H, normalizeRate } = require('./funding-intervals');
+const { parseSymbol } = require('./symbols');
+const hl = require('./hyperliquid');
+
+const { extreme: EXTREME_THRESHOLD, noteworthy: NOTEWORTHY_THRESHOLD } = FUNDING_THRESHOLDS_8H;
+
+// Fetch every HL perp above minOiUsd. Throws on API/format errors instead of
+// returning an empty list, so callers can tell "no data" from "no coins".
+async function fetchHyperliquidFunding(minOiUsd = 1000000) {
+  const data = await hl.info({ type: 'metaAndAssetCtxs' });
+  if (!Array.isArray(data) || data.length < 2 || !data[0].universe) {
+    throw new Error('Hyperliquid API returned unexpected format');
+  }
+  const universe = data[0].universe;
+  const ctxs = data[1];
+
+  // HL settles on the hour
+  const nextFundingTime = Math.ceil(Date.now() / 3600000) * 3600000;
+
+  const results = [];
+  universe.forEach((u, i) => {
+    const c = ctxs[i];
+    if (!c) return;
+    const mark = parseFloat(c.markPx);
+    const oiUsd = parseFloat(c.openInterest) * mark;
+    const funding = parseFloat(c.funding);
+    if (!Number.isFinite(funding) || !(oiUsd >= minOiUsd)) return;
+    const normalized = normalizeRate(funding, VENUE_INTERVAL_HOURS.hyperliquid);
+    const { asset, multiplier } = parseSymbol(u.name);
+
+    results.push({
+      coin: asset,
+      symbol: u.name,
+      multiplier,
+      exchange: 'hyperliquid',
+      fundingRate: funding,
+      intervalHours: normalized.intervalHours,
+      rate1h: normalized.rate1h,
+      rate8h: normalized.rate8h,
+      rateAnnualized: normalized.rateAnnualized,
+      nextFundingTime,
+      openInterestUsd: Math.round(oiUsd * 100) / 100,
+      markPrice: mark,
+      volume24h: Math.round(parseFloat(c.dayNtlVlm) * 100) / 100,
+      maxLeverage: u.maxLeverage || 0,
+      isExtreme: Math.abs(normalized.rate8h) >= EXTREME_THRESHOLD,
+      isNoteworthy: Math.abs(normalized.rate8h) >= NOTEWORTHY_THRESHOLD,
+      direction: funding < 0 ? 'shorts_crowded' : funding > 0 ? 'longs_crowded' : 'neutral',
+    });
+  });
+
+  results.sort((a, b) => Math.abs(b.rate8h) - Math.abs(a.rate8h));
+  return results;
+}
+
+module.exports = { fetchHyperliquidFunding };
+
+if (require.main === module) {
+  const minOi = parseFloat(process.argv[2]) || 1000000;
+  fetchHyperliquidFunding(minOi)
+    .then(results => console.log(JSON.stringify(results, null, 2)))
+    .catch(e => { console.error('Failed:', e.message); process.exit(1); });
+}
@@ -0,0 +1,83 @@
+// Hyperliquid — info API client with a request-weight budget shared by every
+// caller in the process, so a wide scan throttles itself instead of getting 429s.
+//
+// HL allows 1200 weight per minute per IP. l2Book / allMids / clearinghouseState /
+// orderStatus / spotClearinghouseState / exchangeStatus cost 2, every other info
+// request 20, and candleSnapshot another 1 per 60 candles returned. The budget
+// refills continuously; a request waits until its weight is available.
+
+const { postJson } = require('./http');
+
+const INFO_URL = 'https://api.hyperliquid.xyz/info';
+const WEIGHT_PER_MINUTE = 1200;
+const LIGHT_TYPES = new Set(['l2Book', 'allMids', 'clearinghouseState', 'orderStatus', 'spotClearinghouseState', 'exchangeStatus']);
+const CANDLES_PER_WEIGHT = 60;
+const MAX_RETRIES = 2;          // on HTTP 429
+const RETRY_DELAY_MS = 5000;
+
+let available = WEIGHT_PER_MINUTE;
+let refilledAt = Date.now();
+const stats = { requests: 0, weight: 0, throttledMs: 0, retries: 0 };
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function refill() {
+  const now = Date.now();
+  available = Math.min(WEIGHT_PER_MINUTE, available + (now - refilledAt) * WEIGHT_PER_MINUTE / 60000);
+  refilledAt = now;
+}
+
+function requestWeight(body) {
+  return LIGHT_TYPES.has(body.type) ? 2 : 20;
+}
+
+// Wait until `weight` fits in the budget, then spend it
+async function acquire(weight) {
+  for (;;) {
+    refill();
+    if (available >= weight) {
+      available -= weight;
+      stats.weight += weight;
+      return;
+    }
+    const waitMs = Math.ceil((weight - available) * 60000 / WEIGHT_PER_MINUTE);
+    stats.throttledMs += waitMs;
+    await sleep(waitMs);
+  }
+}
+
+// Weight only known after the response (candleSnapshot size); may run the budget negative
+function charge(weight) {
+  available -= weight;
+  stats.weight += weight;
+}
+
+async function info(body) {
+  for (let attempt = 0; ; attempt++) {
+    await acquire(requestWeight(body));
+    stats.requests++;
+    try {
+      const data = await postJson(INFO_URL, body);
+      if (body.type === 'candleSnapshot' && Array.isArray(data)) {
+        charge(Math.floor(data.length / CANDLES_PER_WEIGHT));
+      }
+      return data;
+    } catch (e) {
+      if (attempt >= MAX_RETRIES || !/^HTTP 429/.test(e.message)) throw e;
+      stats.retries++;
+      await sleep(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+}
+
+// Raw HL candles ({ t, T, o, h, l, c, v, ... }) for [startTime, endTime]
+function candleSnapshot(coin, interval, startTime, endTime = Date.now()) {
+  return info({ type: 'candleSnapshot', req: { coin, interval, startTime, endTime } });
+}
+
+// { requests, weight, throttledMs, retries } so far in this process
+function usage() {
+  return { ...stats };
+}
+
+module.exports = { info, candleSnapshot, usage, WEIGHT_PER_MINUTE };
@@ -0,0 +1,214 @@
+// Indicators — the one implementation of every technical indicator the scanners use,
+// so RSI 28 means the same thing in every alert.
+//
+// Conventions:
+//   - Every function returns a series aligned with its input; positions without
+//     enough history are null. Use last()/prev() for the current/previous value.
+//   - EMA is seeded with the SMA of the first `period` values (defined from index period-1).
+//   - RSI, ATR and ADX use Wilder smoothing (alpha = 1/period), seeded with a simple average.
+//   - Candle inputs are { open, high, low, close, volume } numbers — see toOhlcv().
+
+function nulls(n) {
+  return new Array(n).fill(null);
+}
+
+// Last non-null value of a series (or null)
+function last(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+// Value `back` positions before the end (1 = previous bar), null if missing
+function prev(series, back = 1) {
+  const v = series[series.length - 1 - back];
+  return v === undefined ? null : v;
+}
+
+// Hyperliquid candleSnapshot rows ({ t, T, o, h, l, c, v } strings) → numeric OHLCV
+function toOhlcv(candles) {
+  return candles.map(c => ({
+    openTime: c.t,
+    closeTime: c.T,
+    open: parseFloat(c.o),
+    high: parseFloat(c.h),
+    low: parseFloat(c.l),
+    close: parseFloat(c.c),
+    volume: parseFloat(c.v),
+  }));
+}
+
+function sma(values, period) {
+  const out = nulls(values.length);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+function ema(values, period) {
+  const out = nulls(values.length);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = value;
+  for (let i = period; i < values.length; i++) {
+    value = values[i] * k + value * (1 - k);
+    out[i] = value;
+  }
+  return out;
+}
+
+// EMA over a series that may start with nulls (e.g. MACD line)
+function emaOfSeries(series, period) {
+  const start = series.findIndex(v => v !== null);
+  if (start === -1) return nulls(series.length);
+  return nulls(start).concat(ema(series.slice(start), period));
+}
+
+// Wilder's smoothing of a raw series starting at `from`: seed = mean of the first
+// `period` values, then s = (s * (period - 1) + x) / period
+function wilder(values, period, from = 0) {
+  const out = nulls(values.length);
+  if (values.length - from < period) return out;
+  let s = 0;
+  for (let i = from; i < from + period; i++) s += values[i];
+  s /= period;
+  out[from + period - 1] = s;
+  for (let i = from + period; i < values.length; i++) {
+    s = (s * (period - 1) + values[i]) / period;
+    out[i] = s;
+  }
+  return out;
+}
+
+// Wilder RSI — first value at index `period` (needs period + 1 closes)
+function rsi(closes, period = 14) {
+  const out = nulls(closes.length);
+  if (closes.length < period + 1) return out;
+  const gains = [0];
+  const losses = [0];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(change > 0 ? change : 0);
+    losses.push(change < 0 ? -change : 0);
+  }
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+  for (let i = period; i < closes.length; i++) {
+    if (avgLoss[i] === 0) out[i] = avgGain[i] === 0 ? 50 : 100;
+    else out[i] = 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  }
+  return out;
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+  const signal = emaOfSeries(line, signalPeriod);
+  const histogram = line.map((v, i) => v !== null && signal[i] !== null ? v - signal[i] : null);
+  return { macd: line, signal, histogram };
+}
+
+// Bollinger Bands — population standard deviation, as most charting packages use
+function bollinger(values, period = 20, mult = 2) {
+  const middle = sma(values, period);
+  const upper = nulls(values.length);
+  const lower = nulls(values.length);
+  const bandwidth = nulls(values.length);
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const m = middle[i];
+    const sd = Math.sqrt(window.reduce((a, v) => a + (v - m) ** 2, 0) / period);
+    upper[i] = m + mult * sd;
+    lower[i] = m - mult * sd;
+    bandwidth[i] = m !== 0 ? (upper[i] - lower[i]) / m : null;
+  }
+  return { middle, upper, lower, bandwidth };
+}
+
+function trueRanges(candles) {
+  return candles.map((c, i) => i === 0
+    ? c.high - c.low
+    : Math.max(c.high - c.low, Math.abs(c.high - candles[i - 1].close), Math.abs(c.low - candles[i - 1].close)));
+}
+
+// Wilder ATR — first value at index `period` (the first bar has no previous close)
+function atr(candles, period = 14) {
+  return wilder(trueRanges(candles), period, 1);
+}
+
+// ADX with +DI / -DI. DI lines start at index `period`, ADX at 2 * period - 1.
+function adx(candles, period = 14) {
+  const n = candles.length;
+  const plusDM = [0];
+  const minusDM = [0];
+  for (let i = 1; i < n; i++) {
+    const up = candles[i].high - candles[i - 1].high;
+    const down = candles[i - 1].low - candles[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+  const tr = trueRanges(candles);
+  const sTR = wilder(tr, period, 1);
+  const sPlus = wilder(plusDM, period, 1);
+  const sMinus = wilder(minusDM, period, 1);
+
+  const plusDI = nulls(n);
+  const minusDI = nulls(n);
+  const dx = nulls(n);
+  for (let i = period; i < n; i++) {
+    if (!sTR[i]) continue;
+    plusDI[i] = 100 * sPlus[i] / sTR[i];
+    minusDI[i] = 100 * sMinus[i] / sTR[i];
+    const sum = plusDI[i] + minusDI[i];
+    dx[i] = sum === 0 ? 0 : 100 * Math.abs(plusDI[i] - minusDI[i]) / sum;
+  }
+  const dxStart = dx.findIndex(v => v !== null);
+  const adxLine = dxStart === -1 ? nulls(n) : wilder(dx.map(v => v ?? 0), period, dxStart);
+  return { adx: adxLine, plusDI, minusDI };
+}
+
+// Cumulative VWAP over the candles given (typical price × volume). Pass one
+// session's candles for a session VWAP.
+function vwap(candles) {
+  const out = nulls(candles.length);
+  let pv = 0;
+  let vol = 0;
+  for (let i = 0; i < candles.length; i++) {
+    const c = candles[i];
+    pv += (c.high + c.low + c.close) / 3 * c.volume;
+    vol += c.volume;
+    out[i] = vol > 0 ? pv / vol : null;
+  }
+  return out;
+}
+
+// Stochastic RSI, scaled 0..100. %K = SMA(kPeriod) of raw stoch, %D = SMA(dPeriod) of %K.
+function stochRsi(closes, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+  const r = rsi(closes, rsiPeriod);
+  const raw = nulls(closes.length);
+  for (let i = rsiPeriod + stochPeriod - 1; i < closes.length; i++) {
+    const window = r.slice(i - stochPeriod + 1, i + 1);
+    const hi = Math.max(...window);
+    const lo = Math.min(...window);
+    raw[i] = hi === lo ? 0 : (r[i] - lo) / (hi - lo) * 100;
+  }
+  const smaOfSeries = (series, period) => {
+    const start = series.findIndex(v => v !== null);
+    return start === -1 ? nulls(series.length) : nulls(start).concat(sma(series.slice(start), period));
+  };
+  const k = smaOfSeries(raw, kPeriod);
+  const d = smaOfSeries(k, dPeriod);
+  return { k, d };
+}
+
+module.exports = {
+  last, prev, toOhlcv,
+  sma, ema, rsi, macd, bollinger, atr, adx, vwap, stochRsi,
+};
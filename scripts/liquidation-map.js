@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Liquidation Map — estimated liquidation clusters per Hyperliquid perp
+ *
+ * HL doesn't publish positions, so this models them:
+ *   1. Entries — the coin's current OI is spread over the last LOOKBACK_HOURS of
+ *      hourly candles at each candle's typical price. Hours where the OI history
+ *      (oi-history.js, 'hyperliquid') shows OI being added get that build-up at
+ *      their price; the rest is spread by traded volume, recent hours weighted up.
+ *   2. Leverage — each entry is split over LEVERAGE_MIX (capped at the coin's
+ *      maxLeverage) for both longs and shorts. Liquidation is where the loss eats
+ *      the initial margin down to maintenance margin (half the margin at max leverage).
+ *   3. Survivors — positions whose liquidation price has already traded since
+ *      entry are gone and dropped.
+ * What's left is bucketed into BAND_PCT price bands around the mark, out to --range.
+ * These are estimates: the USD figures show where the fuel sits, not exact sizes.
+ *
+ * Usage:
+ *   node liquidation-map.js                     — top 30 HL perps by OI (>$5M)
+ *   node liquidation-map.js --coins PEPE,SOL    — specific coins
+ *   node liquidation-map.js --top 50 --min-oi 2000000
+ *   node liquidation-map.js --band 0.5 --range 15   — 0.5% bands out to ±15%
+ *   node liquidation-map.js --json
+ *
+ * Output: data/liquidations-latest.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadSnapshots } = require('./oi-history');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'liquidations-latest.json');
+
+const LOOKBACK_HOURS = 7 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+const POSITION_HALF_LIFE_H = 48;   // volume-spread entries: a day-old hour counts ~70%, 4 days ~25%
+const OI_POINT_TOLERANCE_MS = 45 * 60 * 1000; // OI snapshot must be this close to a candle edge
+const EXTREME_FUNDING_8H = FUNDING_THRESHOLDS_8H.extreme;
+const CLUSTERS_PER_SIDE = 3;
+
+// Assumed share of positions per leverage; tiers above a coin's max use the max
+const LEVERAGE_MIX = [
+  { leverage: 3, share: 0.2 },
+  { leverage: 5, share: 0.25 },
+  { leverage: 10, share: 0.25 },
+  { leverage: 20, share: 0.15 },
+  { leverage: 50, share: 0.15 },
+];
+
+// Price where a position at `leverage` is liquidated. HL's maintenance margin is half
+// the initial margin at max leverage.
+function liquidationPrice(entry, leverage, maxLeverage, side) {
+  const lev = Math.min(leverage, maxLeverage);
+  const maintenance = 1 / (2 * maxLeverage);
+  const move = 1 / lev - maintenance;
+  return side === 'long' ? entry * (1 - move) : entry * (1 + move);
+}
+
+// OI (coin units) at time t from the snapshot series, or null if no point is close enough
+function oiAt(series, t, priceAt) {
+  let best = null;
+  for (const [pt, oiUsd] of series) {
+    if (!best || Math.abs(pt - t) < Math.abs(best[0] - t)) best = [pt, oiUsd];
+  }
+  if (!best || Math.abs(best[0] - t) > OI_POINT_TOLERANCE_MS) return null;
+  return best[1] / priceAt;
+}
+
+// Where the current OI was opened: [{ index, price, units }] per candle.
+// → { entries, observedShare } — observedShare is the part placed from OI history.
+function estimateEntries(candles, openInterest, oiSeries, now) {
+  const rows = candles.map(c => {
+    const h = parseFloat(c.h), l = parseFloat(c.l), close = parseFloat(c.c);
+    return { price: (h + l + close) / 3, close, volume: parseFloat(c.v), t: c.t, T: c.T };
+  });
+
+  // Build-up seen in the OI history, in coin units
+  const observed = rows.map(r => {
+    if (!oiSeries || oiSeries.length === 0) return 0;
+    const start = oiAt(oiSeries, r.t, r.close);
+    const end = oiAt(oiSeries, Math.min(r.T, now), r.close);
+    return start !== null && end !== null ? Math.max(0, end - start) : 0;
+  });
+  const observedTotal = observed.reduce((a, b) => a + b, 0);
+  const observedScale = observedTotal > openInterest ? openInterest / observedTotal : 1;
+  const placed = observedTotal * observedScale;
+
+  // The rest by volume, decayed by age
+  const weights = rows.map(r => r.volume * Math.pow(0.5, Math.max(0, now - r.T) / HOUR_MS / POSITION_HALF_LIFE_H));
+  const weightTotal = weights.reduce((a, b) => a + b, 0);
+  const rest = openInterest - placed;
+
+  const entries = rows.map((r, i) => ({
+    index: i,
+    price: r.price,
+    units: observed[i] * observedScale + (weightTotal > 0 ? rest * weights[i] / weightTotal : 0),
+  })).filter(e => e.units > 0);
+
+  return { entries, observedShare: openInterest > 0 ? Math.round(placed / openInterest * 100) / 100 : 0 };
+}
+
+// Surviving positions bucketed into bands around the mark.
+//   candles: hourly HL candles, oldest first; openInterest in coin units
+// → { longs, shorts, observedShare }, each side { atRiskUsd, bands: [{ fromPx, toPx, distPct, usd }], clusters }
+function estimateLiquidations(candles, { markPx, openInterest, maxLeverage, oiSeries = [], bandPct = 1, rangePct = 25, now = Date.now() }) {
+  const { entries, observedShare } = estimateEntries(candles, openInterest, oiSeries, now);
+
+  // Lowest low / highest high traded after each candle (through the mark)
+  const n = candles.length;
+  const minAfter = new Array(n).fill(markPx);
+  const maxAfter = new Array(n).fill(markPx);
+  for (let i = n - 2; i >= 0; i--) {
+    minAfter[i] = Math.min(minAfter[i + 1], parseFloat(candles[i + 1].l));
+    maxAfter[i] = Math.max(maxAfter[i + 1], parseFloat(candles[i + 1].h));
+  }
+
+  const buckets = { long: new Map(), short: new Map() };
+  for (const e of entries) {
+    for (const { leverage, share } of LEVERAGE_MIX) {
+      for (const side of ['long', 'short']) {
+        const liq = liquidationPrice(e.price, leverage, maxLeverage, side);
+        if (side === 'long' ? minAfter[e.index] <= liq : maxAfter[e.index] >= liq) continue; // already liquidated
+        const distPct = (liq - markPx) / markPx * 100;
+        if (Math.abs(distPct) > rangePct) continue;
+        const band = Math.floor(distPct / bandPct);
+        const m = buckets[side];
+        m.set(band, (m.get(band) || 0) + e.units * share * liq);
+      }
+    }
+  }
+
+  const summarize = m => {
+    const bands = [...m.entries()]
+      .map(([b, usd]) => ({
+        fromPx: roundPx(markPx * (1 + b * bandPct / 100)),
+        toPx: roundPx(markPx * (1 + (b + 1) * bandPct / 100)),
+        distPct: Math.round((b + 0.5) * bandPct * 100) / 100,
+        usd: Math.round(usd),
+      }))
+      .filter(b => b.usd > 0)
+      .sort((a, b) => Math.abs(a.distPct) - Math.abs(b.distPct));
+    return {
+      atRiskUsd: bands.reduce((sum, b) => sum + b.usd, 0),
+      bands,
+      clusters: [...bands].sort((a, b) => b.usd - a.usd).slice(0, CLUSTERS_PER_SIDE),
+    };
+  };
+
+  return { longs: summarize(buckets.long), shorts: summarize(buckets.short), observedShare };
+}
+
+function roundPx(px) {
+  return Number(px.toPrecision(6));
+}
+
+function describeCluster(b, side) {
+  const range = `${b.distPct > 0 ? '+' : ''}${b.distPct}%`;
+  return `$${(b.usd / 1e6).toFixed(1)}M ${side} @ ${b.fromPx}–${b.toPx} (${range})`;
+}
+
+module.exports = { estimateLiquidations, liquidationPrice, describeCluster, LEVERAGE_MIX };
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'coins': { type: 'string', default: '' },
+      'top': { type: 'string', default: '30' },
+      'min-oi': { type: 'string', default: '5000000' },
+      'band': { type: 'string', default: '1' },    // band width, % of mark
+      'range': { type: 'string', default: '25' },  // how far from the mark to map, %
+      'json': { type: 'boolean', default: false },
+    },
+    strict: false,
+  });
+  const bandPct = parseFloat(args.band);
+  const rangePct = parseFloat(args.range);
+
+  const ctxs = await hl.info({ type: 'metaAndAssetCtxs' });
+  const [meta, assetCtxs] = ctxs;
+  let coins = meta.universe.map((u, i) => {
+    const c = assetCtxs[i] || {};
+    const markPx = parseFloat(c.markPx || '0');
+    const openInterest = parseFloat(c.openInterest || '0');
+    return {
+      coin: toCanonical(u.name),
+      symbol: u.name,
+      markPx,
+      openInterest,
+      oiUsd: openInterest * markPx,
+      maxLeverage: u.maxLeverage || 1,
+      rate8h: parseFloat(c.funding || '0') * 8,
+    };
+  }).filter(c => c.markPx > 0 && c.openInterest > 0);
+
+  if (args.coins) {
+    await ensureRegistry();
+    const wanted = new Set(args.coins.split(',').map(c => venueSymbol(c.trim(), 'hyperliquid')));
+    coins = coins.filter(c => wanted.has(c.symbol));
+  } else {
+    coins = coins
+      .filter(c => c.oiUsd >= parseFloat(args['min-oi']))
+      .sort((a, b) => b.oiUsd - a.oiUsd)
+      .slice(0, parseInt(args.top));
+  }
+
+  // Read-only: the shared 'hyperliquid' series is written by funding-unified / volume-scanner
+  const oiHistory = loadSnapshots('hyperliquid');
+  const now = Date.now();
+
+  console.error(`Mapping liquidations for ${coins.length} coins (${bandPct}% bands, ±${rangePct}%)...`);
+
+  const results = [];
+  const batchSize = 5;
+  for (let i = 0; i < coins.length; i += batchSize) {
+    const batch = coins.slice(i, i + batchSize);
+    const batchResults = await Promise.all(batch.map(async (c) => {
+      try {
+        const candles = await candleStore.getCandles(c.symbol, '1h', LOOKBACK_HOURS);
+        if (!candles || candles.length < 24) return null;
+        const est = estimateLiquidations(candles, {
+          markPx: c.markPx, openInterest: c.openInterest, maxLeverage: c.maxLeverage,
+          oiSeries: oiHistory[c.coin], bandPct, rangePct, now,
+        });
+        return {
+          coin: c.coin,
+          symbol: c.symbol,
+          markPx: c.markPx,
+          oiUsd: Math.round(c.oiUsd),
+          maxLeverage: c.maxLeverage,
+          rate8h: c.rate8h,
+          crowdedSide: c.rate8h >= EXTREME_FUNDING_8H ? 'longs' : c.rate8h <= -EXTREME_FUNDING_8H ? 'shorts' : null,
+          oiObservedShare: est.observedShare,
+          longs: est.longs,
+          shorts: est.shorts,
+        };
+      } catch (e) {
+        return { coin: c.coin, symbol: c.symbol, error: e.message };
+      }
+    }));
+    results.push(...batchResults.filter(r => r != null));
+  }
+
+  const failed = results.filter(r => r.error);
+  const mapped = results.filter(r => !r.error)
+    .sort((a, b) => (b.longs.atRiskUsd + b.shorts.atRiskUsd) - (a.longs.atRiskUsd + a.shorts.atRiskUsd));
+
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+    ts: new Date().toISOString(),
+    bandPct,
+    rangePct,
+    leverageMix: LEVERAGE_MIX,
+    count: mapped.length,
+    failed: failed.map(r => ({ coin: r.coin, error: r.error })),
+    results: mapped,
+  }, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify(mapped, null, 2));
+    return;
+  }
+
+  console.log(`\n💥 LIQUIDATION MAP — ${mapped.length} coins (estimated, ±${rangePct}%)\n`);
+  for (const r of mapped) {
+    const crowd = r.crowdedSide ? ` | ${r.crowdedSide} crowded` : '';
+    console.log(`  ${r.coin.padEnd(8)} | mark ${r.markPx} | OI $${(r.oiUsd / 1e6).toFixed(1)}M${crowd}`);
+    const longTop = r.longs.clusters[0];
+    const shortTop = r.shorts.clusters[0];
+    if (longTop) console.log(`           ▼ $${(r.longs.atRiskUsd / 1e6).toFixed(1)}M longs below, biggest ${describeCluster(longTop, 'longs')}`);
+    if (shortTop) console.log(`           ▲ $${(r.shorts.atRiskUsd / 1e6).toFixed(1)}M shorts above, biggest ${describeCluster(shortTop, 'shorts')}`);
+  }
+  if (failed.length > 0) console.error(`\n⚠️ ${failed.length} coins failed: ${failed.map(r => r.coin).join(', ')}`);
+  console.error(`\nSaved to ${OUTPUT_PATH}`);
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
@@ -1,71 +1,76 @@
 require("./env");
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { parseArgs } = require('util');
+const { ema, rsi: rsiSeries, last, toOhlcv } = require('./indicators');
+const { findDivergences, describeDivergence } = require('./divergence');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const { signalCandles } = require('./candles');
+const { loadRanking, describeRanking } = require('./relative-strength');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
 
 const DATA_DIR = path.resolve(__dirname, '..', 'data');
 const OUTPUT_PATH = path.join(DATA_DIR, 'multi-tf-latest.json');
+const STATE_PATH = path.join(DATA_DIR, 'multi-tf-state.json');
 
 // --- Config ---
-const TIMEFRAMES = ['1h', '4h', '1d'];
+const TIMEFRAMES = ['15m', '1h', '4h', '1d', '1w'];
+const DEFAULT_TIMEFRAMES = '1h,4h,1d';
 const EMA_PERIODS = [20, 50, 200];
 const RSI_PERIOD = 14;
-const CANDLE_COUNTS = { '1h': 210, '4h': 210, '1d': 210 };
+const CANDLE_COUNT = 210;
+const MIN_CANDLES = 50;
+const SLOPE_BARS = 5;  // EMA slope = % change over the last 5 candles
+
+// Alignment score: each timeframe's trend score (-1..+1) weighted by how much that
+// timeframe should count, scaled to -100..+100. Higher timeframes carry the trend.
+const TF_WEIGHT = { '15m': 0.5, '1h': 1, '4h': 1.5, '1d': 2, '1w': 2.5 };
+// A timeframe's trend score: the sign of each component × its share. Components
+// without enough candles (no EMA 200 on a young coin's 1w) drop out and the rest
+// are rescaled.
+const TREND_PARTS = { fastOverMid: 0.35, midOverSlow: 0.35, priceOverFast: 0.15, fastRising: 0.15 };
+// Score → bias label; a change of label between runs sets alignmentChanged. The
+// previous label holds until the score is BIAS_HYSTERESIS points past its band, so a
+// score wobbling around an edge (19 → 21 → 19) doesn't flip it every run.
+const BIAS_BANDS = [[50, 'BULLISH'], [20, 'LEAN_BULLISH'], [-20, 'NEUTRAL'], [-50, 'LEAN_BEARISH']];
+const BIAS_HYSTERESIS = 5;
 
 // --- Args ---
-const { values: args } = parseArgs({
-  options: {
-    'coins': { type: 'string', default: '' },
-    'top': { type: 'string', default: '50' },
-    'aligned': { type: 'boolean', default: false },  // only show trend-aligned coins
-    'json': { type: 'boolean', default: false },
-  },
-  strict: false,
-});
-
-// --- HTTP ---
-function post(body) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify(body);
-    const req = https.request({
-      hostname: 'api.hyperliquid.xyz', path: '/info', method: 'POST',
-      headers: { 'Content-Type': 'application/json' }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => { try { resolve(JSON.parse(d)); } catch(e) { reject(e); } });
-    });
-    req.on('error', reject);
-    req.end(data);
+function parseOptions(argv = process.argv.slice(2)) {
+  const { values: args } = parseArgs({
+    args: argv,
+    options: {
+      'coins': { type: 'string', default: '' },
+      'top': { type: 'string', default: '50' },
+      'tf': { type: 'string', default: DEFAULT_TIMEFRAMES },  // e.g. 15m,1h,4h,1d,1w
+      'aligned': { type: 'boolean', default: false },  // only show trend-aligned coins
+      'changed': { type: 'boolean', default: false },  // only show coins whose bias changed since the last run
+      'json': { type: 'boolean', default: false },
+      'intrabar': { type: 'boolean', default: false },  // include the still-forming candle
+    },
+    strict: false,
   });
-}
 
-// --- Math ---
-function calcEMA(closes, period) {
-  if (closes.length < period) return null;
-  const k = 2 / (period + 1);
-  let ema = closes.slice(0, period).reduce((a, b) => a + b, 0) / period;
-  for (let i = period; i < closes.length; i++) {
-    ema = closes[i] * k + ema * (1 - k);
+  const timeframes = args.tf.split(',').map(t => t.trim()).filter(Boolean)
+    .sort((a, b) => TIMEFRAMES.indexOf(a) - TIMEFRAMES.indexOf(b));
+  const badTf = timeframes.filter(tf => !TIMEFRAMES.includes(tf));
+  if (timeframes.length === 0 || badTf.length > 0) {
+    console.error(`Unknown --tf ${badTf.join(',') || '(empty)'} (use ${TIMEFRAMES.join(', ')})`);
+    process.exit(1);
   }
-  return ema;
+  return { args, timeframes };
 }
 
+// --- Math ---
 function calcRSI(closes, period = 14) {
-  if (closes.length < period + 1) return null;
-  let gains = 0, losses = 0;
-  for (let i = closes.length - period; i < closes.length; i++) {
-    const diff = closes[i] - closes[i - 1];
-    if (diff > 0) gains += diff; else losses -= diff;
-  }
-  if (losses === 0) return 100;
-  const rs = (gains / period) / (losses / period);
-  return 100 - 100 / (1 + rs);
+  return last(rsiSeries(closes, period));
 }
 
+// Without an EMA 200 (too few candles) the trend is read off 20/50 alone
 function trendDirection(ema20, ema50, ema200) {
-  if (!ema20 || !ema50 || !ema200) return 'unknown';
+  if (!ema20 || !ema50) return 'unknown';
+  if (!ema200) return ema20 > ema50 ? 'bullish' : ema20 < ema50 ? 'bearish' : 'mixed';
   if (ema20 > ema50 && ema50 > ema200) return 'bullish';
   if (ema20 < ema50 && ema50 < ema200) return 'bearish';
   return 'mixed';
@@ -76,12 +81,71 @@ function emaDistance(price, ema200) {
   return ((price - ema200) / ema200 * 100);
 }
 
+// % change of an EMA series over the last SLOPE_BARS candles
+function emaSlope(series) {
+  const now = series[series.length - 1];
+  const before = series[series.length - 1 - SLOPE_BARS];
+  if (now === null || now === undefined || !before) return null;
+  return (now - before) / before * 100;
+}
+
+// -1 (fully bearish) .. +1 (fully bullish), null when nothing could be judged
+function trendScore(price, ema20, ema50, ema200, slope20) {
+  const parts = [
+    [TREND_PARTS.fastOverMid, ema20 && ema50 ? Math.sign(ema20 - ema50) : null],
+    [TREND_PARTS.midOverSlow, ema50 && ema200 ? Math.sign(ema50 - ema200) : null],
+    [TREND_PARTS.priceOverFast, ema20 ? Math.sign(price - ema20) : null],
+    [TREND_PARTS.fastRising, slope20 !== null ? Math.sign(slope20) : null],
+  ].filter(([, v]) => v !== null);
+  const total = parts.reduce((sum, [w]) => sum + w, 0);
+  return total > 0 ? parts.reduce((sum, [w, v]) => sum + w * v, 0) / total : null;
+}
+
+// Weighted across timeframes, -100..+100; needs at least two timeframes with a score
+function alignmentScore(tfData, timeframes) {
+  const scored = timeframes.filter(tf => typeof tfData[tf]?.trendScore === 'number');
+  if (scored.length < 2) return null;
+  const weight = scored.reduce((sum, tf) => sum + TF_WEIGHT[tf], 0);
+  return Math.round(scored.reduce((sum, tf) => sum + TF_WEIGHT[tf] * tfData[tf].trendScore, 0) / weight * 100);
+}
+
+// [min, max) score range of a bias label, null for an unknown one
+function biasRange(label) {
+  if (label === 'BEARISH') return [-Infinity, BIAS_BANDS[BIAS_BANDS.length - 1][0]];
+  const i = BIAS_BANDS.findIndex(([, l]) => l === label);
+  if (i === -1) return null;
+  return [BIAS_BANDS[i][0], i === 0 ? Infinity : BIAS_BANDS[i - 1][0]];
+}
+
+function biasLabel(score, prevBias = null) {
+  if (score === null) return null;
+  const band = BIAS_BANDS.find(([min]) => score >= min);
+  const label = band ? band[1] : 'BEARISH';
+  const range = prevBias && prevBias !== label ? biasRange(prevBias) : null;
+  if (range && score > range[0] - BIAS_HYSTERESIS && score < range[1] + BIAS_HYSTERESIS) return prevBias;
+  return label;
+}
+
+function loadState() {
+  try { return JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')); }
+  catch { return {}; }
+}
+
+function saveState(state) {
+  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+}
+
 // --- Main ---
 async function main() {
+  const { args, timeframes } = parseOptions();
+  // Previous run's bias per coin, kept per timeframe set so a --tf 15m,1h run doesn't
+  // flip every coin a default run last saw
+  const stateKey = `${timeframes.join(',')}${args.intrabar ? ':intrabar' : ''}`;
+
   // Get top coins by volume
   const [meta, allMids] = await Promise.all([
-    post({ type: 'meta' }),
-    post({ type: 'allMids' }),
+    hl.info({ type: 'meta' }),
+    hl.info({ type: 'allMids' }),
   ]);
 
   const midPrices = {};
@@ -89,10 +153,12 @@ async function main() {
 
   let coins;
   if (args.coins) {
-    coins = args.coins.split(',').map(c => c.trim().toUpperCase());
+    // PEPE or kPEPE → HL's name
+    await ensureRegistry();
+    coins = args.coins.split(',').map(c => venueSymbol(c.trim(), 'hyperliquid'));
   } else {
     // Get volume to sort by
-    const ctxs = await post({ type: 'metaAndAssetCtxs' });
+    const ctxs = await hl.info({ type: 'metaAndAssetCtxs' });
     const assetCtxs = ctxs[1] || ctxs.assetCtxs || [];
     const withVolume = meta.universe.map((u, i) => ({
       coin: u.name,
@@ -102,7 +168,10 @@ async function main() {
     coins = withVolume.slice(0, parseInt(args.top)).map(c => c.coin);
   }
 
-  console.error(`Analyzing ${coins.length} coins across ${TIMEFRAMES.join(', ')} timeframes...`);
+  const state = loadState();
+  const previous = state[stateKey] || {};
+
+  console.error(`Analyzing ${coins.length} coins across ${timeframes.join(', ')} timeframes (${args.intrabar ? 'incl. forming candle' : 'closed candles'})...`);
 
   const results = [];
   const batchSize = 5;
@@ -113,17 +182,14 @@ async function main() {
       const tfData = {};
       let allAligned = null;
 
-      for (const tf of TIMEFRAMES) {
-        const msPerCandle = tf === '1h' ? 3600000 : tf === '4h' ? 14400000 : 86400000;
-        const startTime = Date.now() - msPerCandle * CANDLE_COUNTS[tf];
-
+      for (const tf of timeframes) {
         try {
-          const candles = await post({
-            type: 'candleSnapshot',
-            req: { coin, interval: tf, startTime, endTime: Date.now() }
-          });
+          const raw = await candleStore.getCandles(coin, tf, CANDLE_COUNT, args.intrabar ? {} : { maxAgeMs: Infinity });
+          // Closed candles only unless --intrabar, so nothing flips mid-candle
+          const bar = signalCandles(raw, { intrabar: args.intrabar });
+          const candles = bar.candles;
 
-          if (!candles || candles.length < 50) {
+          if (candles.length < MIN_CANDLES) {
             tfData[tf] = { error: 'insufficient data' };
             continue;
           }
@@ -132,18 +198,22 @@ async function main() {
           const volumes = candles.map(c => parseFloat(c.v));
           const price = closes[closes.length - 1];
 
-          const ema20 = calcEMA(closes, 20);
-          const ema50 = calcEMA(closes, 50);
-          const ema200 = calcEMA(closes, 200);
+          const [ema20s, ema50s, ema200s] = EMA_PERIODS.map(p => ema(closes, p));
+          const [ema20, ema50, ema200] = [ema20s, ema50s, ema200s].map(last);
           const rsi = calcRSI(closes, RSI_PERIOD);
           const trend = trendDirection(ema20, ema50, ema200);
           const distFrom200 = emaDistance(price, ema200);
+          const slope = { ema20: emaSlope(ema20s), ema50: emaSlope(ema50s), ema200: emaSlope(ema200s) };
+          const tfScore = trendScore(price, ema20, ema50, ema200, slope.ema20);
 
           // Volume analysis: current vs 20-period average
           const recentVol = volumes.slice(-1)[0];
           const avgVol = volumes.slice(-21, -1).reduce((a, b) => a + b, 0) / 20;
           const volRatio = avgVol > 0 ? recentVol / avgVol : 0;
 
+          const divergences = findDivergences(toOhlcv(candles), { rsiPeriod: RSI_PERIOD })
+            .map(d => ({ timeframe: tf, ...d, confirmed: bar.confirmed, candleCloseTime: bar.closeTime }));
+
           tfData[tf] = {
             price: Math.round(price * 10000) / 10000,
             ema20: ema20 ? Math.round(ema20 * 10000) / 10000 : null,
@@ -151,9 +221,15 @@ async function main() {
             ema200: ema200 ? Math.round(ema200 * 10000) / 10000 : null,
             rsi: rsi ? Math.round(rsi * 10) / 10 : null,
             trend,
+            trendBasis: ema200 ? '20/50/200' : '20/50',
+            trendScore: tfScore === null ? null : Math.round(tfScore * 100) / 100,
+            slope: Object.fromEntries(Object.entries(slope).map(([k, v]) => [k, v === null ? null : Math.round(v * 100) / 100])),
             distFrom200: distFrom200 ? Math.round(distFrom200 * 100) / 100 : null,
             volRatio: Math.round(volRatio * 100) / 100,
+            divergences,
             candles: candles.length,
+            confirmed: bar.confirmed,
+            candleCloseTime: bar.closeTime,
           };
         } catch (e) {
           tfData[tf] = { error: e.message };
@@ -161,29 +237,33 @@ async function main() {
       }
 
       // Check alignment across timeframes
-      const trends = TIMEFRAMES.map(tf => tfData[tf]?.trend).filter(t => t && t !== 'unknown');
+      const trends = timeframes.map(tf => tfData[tf]?.trend).filter(t => t && t !== 'unknown');
       const allBullish = trends.length >= 2 && trends.every(t => t === 'bullish');
       const allBearish = trends.length >= 2 && trends.every(t => t === 'bearish');
       const alignment = allBullish ? 'BULLISH_ALIGNED' : allBearish ? 'BEARISH_ALIGNED' : 'MIXED';
 
-      // RSI divergence: short TF overbought/oversold while longer TF diverges
-      const rsi1h = tfData['1h']?.rsi;
-      const rsi4h = tfData['4h']?.rsi;
-      const rsi1d = tfData['1d']?.rsi;
-      let rsiDivergence = null;
-      if (rsi1h && rsi1d) {
-        if (rsi1h <= 30 && rsi1d >= 50) rsiDivergence = 'SHORT_TF_OVERSOLD';
-        if (rsi1h >= 70 && rsi1d <= 50) rsiDivergence = 'SHORT_TF_OVERBOUGHT';
-      }
+      // Weighted score and its bias, compared with the last run
+      const score = alignmentScore(tfData, timeframes);
+      const prev = previous[toCanonical(coin)];
+      const bias = biasLabel(score, prev?.bias);
+      const alignmentChanged = !!prev && bias !== null && prev.bias !== bias;
+
+      // Price/RSI divergences from swing points, all timeframes
+      const divergences = timeframes.flatMap(tf => tfData[tf]?.divergences || []);
 
       // Volume spike detection across any timeframe
-      const volSpikes = TIMEFRAMES.filter(tf => tfData[tf]?.volRatio >= 2.0);
+      const volSpikes = timeframes.filter(tf => tfData[tf]?.volRatio >= 2.0);
 
       return {
-        coin,
-        price: midPrices[coin] || tfData['1h']?.price,
+        coin: toCanonical(coin),
+        symbol: coin,
+        price: midPrices[coin] || timeframes.map(tf => tfData[tf]?.price).find(Boolean),
         alignment,
-        rsiDivergence,
+        alignmentScore: score,
+        bias,
+        alignmentChanged,
+        previous: prev ? { bias: prev.bias, alignmentScore: prev.score, at: prev.at } : null,
+        divergences,
         volSpikes: volSpikes.length > 0 ? volSpikes : null,
         timeframes: tfData,
       };
@@ -193,23 +273,37 @@ async function main() {
     if (i + batchSize < coins.length) await new Promise(r => setTimeout(r, 200));
   }
 
-  // Filter if --aligned
+  // Relative strength vs BTC / ETH, when relative-strength.js has run
+  const ranking = loadRanking();
+  if (ranking) {
+    for (const r of results) r.relativeStrength = ranking[r.coin] || null;
+  }
+
+  // Filter if --aligned / --changed
   let output = results;
   if (args.aligned) {
-    output = results.filter(r => r.alignment !== 'MIXED');
+    output = output.filter(r => r.alignment !== 'MIXED');
+  }
+  if (args.changed) {
+    output = output.filter(r => r.alignmentChanged);
   }
 
-  // Sort: aligned first, then by volume spikes
+  // Sort: bias changes first, then by strength of alignment, then divergences
   output.sort((a, b) => {
-    if (a.alignment !== 'MIXED' && b.alignment === 'MIXED') return -1;
-    if (a.alignment === 'MIXED' && b.alignment !== 'MIXED') return 1;
-    if (a.rsiDivergence && !b.rsiDivergence) return -1;
-    return 0;
+    if (a.alignmentChanged !== b.alignmentChanged) return a.alignmentChanged ? -1 : 1;
+    const strength = Math.abs(b.alignmentScore ?? 0) - Math.abs(a.alignmentScore ?? 0);
+    return strength || b.divergences.length - a.divergences.length;
   });
 
-  // Save JSON
+  // Save JSON, and every coin's bias for the next run's alignmentChanged
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({ ts: new Date().toISOString(), count: output.length, results: output }, null, 2));
+  const ts = new Date().toISOString();
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({ ts, intrabar: args.intrabar, timeframes, weights: Object.fromEntries(timeframes.map(tf => [tf, TF_WEIGHT[tf]])), count: output.length, results: output }, null, 2));
+  for (const r of results) {
+    if (r.bias !== null) previous[r.coin] = { bias: r.bias, score: r.alignmentScore, at: ts };
+  }
+  state[stateKey] = previous;
+  saveState(state);
 
   if (args.json) {
     console.log(JSON.stringify(output, null, 2));
@@ -219,17 +313,30 @@ async function main() {
   // Human output
   console.log(`\n⏱️ MULTI-TIMEFRAME ANALYSIS — ${output.length} coins\n`);
 
+  const changed = output.filter(r => r.alignmentChanged);
   const aligned = output.filter(r => r.alignment !== 'MIXED');
-  const divergent = output.filter(r => r.rsiDivergence);
+  const divergent = output.filter(r => r.divergences.length > 0);
   const spiking = output.filter(r => r.volSpikes);
 
+  const signed = n => n === null ? '?' : `${n > 0 ? '+' : ''}${n}`;
+
+  if (changed.length > 0) {
+    console.log(`🔄 ALIGNMENT CHANGED (${changed.length}):`);
+    for (const r of changed) {
+      const dir = r.alignmentScore > r.previous.alignmentScore ? '⬆️' : '⬇️';
+      console.log(`  ${dir} ${r.coin} — ${r.previous.bias} (${signed(r.previous.alignmentScore)}) → ${r.bias} (${signed(r.alignmentScore)})`);
+    }
+    console.log();
+  }
+
   if (aligned.length > 0) {
     console.log(`🎯 TREND-ALIGNED (${aligned.length}):`);
     for (const r of aligned) {
       const dir = r.alignment === 'BULLISH_ALIGNED' ? '🟢' : '🔴';
       const d200 = r.timeframes['1d']?.distFrom200;
       const rsi = r.timeframes['4h']?.rsi || r.timeframes['1h']?.rsi;
-      console.log(`  ${dir} ${r.coin} — ${r.alignment.replace('_', ' ')} | RSI(4h): ${rsi || '?'} | Dist 200d: ${d200 ? d200 + '%' : '?'}`);
+      const rs = r.relativeStrength ? ` | ${describeRanking(r.relativeStrength)}` : '';
+      console.log(`  ${dir} ${r.coin} — ${r.alignment.replace('_', ' ')} ${signed(r.alignmentScore)} | RSI(4h): ${rsi || '?'} | Dist 200d: ${d200 ? d200 + '%' : '?'}${rs}`);
     }
     console.log();
   }
@@ -237,9 +344,7 @@ async function main() {
   if (divergent.length > 0) {
     console.log(`⚡ RSI DIVERGENCE (${divergent.length}):`);
     for (const r of divergent) {
-      const rsi1h = r.timeframes['1h']?.rsi;
-      const rsi1d = r.timeframes['1d']?.rsi;
-      console.log(`  ${r.coin} — ${r.rsiDivergence} | RSI 1h: ${rsi1h} | RSI 1d: ${rsi1d}`);
+      for (const d of r.divergences) console.log(`  ${r.coin} — ${describeDivergence(d)} (${d.barsAgo} bars ago)`);
     }
     console.log();
   }
@@ -258,14 +363,20 @@ async function main() {
   for (const r of output) {
     const flags = [];
     if (r.alignment !== 'MIXED') flags.push(r.alignment === 'BULLISH_ALIGNED' ? '🟢aligned' : '🔴aligned');
-    if (r.rsiDivergence) flags.push('⚡rsi-div');
+    if (r.divergences.length > 0) flags.push('⚡rsi-div');
     if (r.volSpikes) flags.push('📊vol-spike');
-    const tf4h = r.timeframes['4h'];
-    const tf1d = r.timeframes['1d'];
-    console.log(`  ${r.coin.padEnd(8)} | 1h:${r.timeframes['1h']?.trend?.slice(0,4) || '?'} 4h:${tf4h?.trend?.slice(0,4) || '?'} 1d:${tf1d?.trend?.slice(0,4) || '?'} | RSI 4h:${tf4h?.rsi || '?'} 1d:${tf1d?.rsi || '?'} ${flags.length ? '| ' + flags.join(' ') : ''}`);
+    if (r.alignmentChanged) flags.push('🔄changed');
+    if (r.relativeStrength) flags.push(`RS#${r.relativeStrength.rank}`);
+    const trends = timeframes.map(tf => `${tf}:${r.timeframes[tf]?.trend?.slice(0,4) || '?'}`).join(' ');
+    const rsis = timeframes.filter(tf => tf === '4h' || tf === '1d').map(tf => `${tf}:${r.timeframes[tf]?.rsi || '?'}`).join(' ');
+    console.log(`  ${r.coin.padEnd(8)} | ${signed(r.alignmentScore).padStart(4)} | ${trends}${rsis ? ` | RSI ${rsis}` : ''} ${flags.length ? '| ' + flags.join(' ') : ''}`);
   }
 
   console.error(`\nSaved to ${OUTPUT_PATH}`);
 }
 
-main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+module.exports = { biasLabel, alignmentScore };
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
@@ -0,0 +1,157 @@
+// OI History — persisted open interest snapshots per source per coin, so every
+// run can say whether crowding is building or unwinding.
+//
+// Layout: data/oi-history/<source>.json → { "<coin>": [[t, oiUsd], ...] }
+// Points older than RETENTION_MS are pruned on write.
+
+const fs = require('fs');
+const path = require('path');
+
+const OI_DIR = path.resolve(__dirname, '..', 'data', 'oi-history');
+const HOUR_MS = 60 * 60 * 1000;
+const RETENTION_MS = 48 * HOUR_MS;
+const MIN_SPACING_MS = 5 * 60 * 1000; // two writers within 5 min → keep the newer point
+
+const WINDOWS = { d1h: HOUR_MS, d4h: 4 * HOUR_MS, d24h: 24 * HOUR_MS };
+
+// Flag thresholds (% change)
+const RISING_1H_PCT = 5;
+const RISING_4H_PCT = 10;
+const FLUSH_1H_PCT = -10;
+const FLUSH_4H_PCT = -15;
+
+function snapshotPath(source) {
+  return path.join(OI_DIR, `${source}.json`);
+}
+
+// A missing file is an empty history; a file that exists but won't parse throws, so
+// callers never mistake it for empty and write `{}` over 48h of points.
+function readSnapshots(source) {
+  let raw;
+  try { raw = fs.readFileSync(snapshotPath(source), 'utf8'); }
+  catch (e) { if (e.code === 'ENOENT') return {}; throw e; }
+  try { return JSON.parse(raw); }
+  catch (e) { throw new Error(`${snapshotPath(source)} is not valid JSON (${e.message})`); }
+}
+
+// Read-only view for scanners: an unreadable file means no OI context this run.
+function loadSnapshots(source) {
+  try { return readSnapshots(source); }
+  catch (e) { console.error(`  ⚠ OI history: ${e.message}`); return {}; }
+}
+
+// Temp file + rename so a concurrent reader never sees a half-written file
+function saveSnapshots(source, snapshots) {
+  const file = snapshotPath(source);
+  fs.mkdirSync(OI_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshots));
+  fs.renameSync(tmp, file);
+}
+
+// Change vs the stored point closest to `now - windowMs`. The point must fall within
+// a quarter of the window of that target, so a missed run doesn't pass a 2h change off as 1h.
+function deltaOver(series, current, now, windowMs) {
+  const target = now - windowMs;
+  let best = null;
+  for (const [t, oi] of series) {
+    if (t > now - MIN_SPACING_MS) continue;
+    if (!best || Math.abs(t - target) < Math.abs(best[0] - target)) best = [t, oi];
+  }
+  if (!best || Math.abs(best[0] - target) > windowMs / 4 || !(best[1] > 0)) return null;
+  const usd = current - best[1];
+  return { usd: Math.round(usd), pct: Math.round(usd / best[1] * 10000) / 100, from: Math.round(best[1]) };
+}
+
+// Stored OI closest to `t`, or null when no point is within toleranceMs of it
+function oiAt(series, t, toleranceMs) {
+  let best = null;
+  for (const [pt, oi] of series) {
+    if (!best || Math.abs(pt - t) < Math.abs(best[0] - t)) best = [pt, oi];
+  }
+  return best && Math.abs(best[0] - t) <= toleranceMs && best[1] > 0 ? best[1] : null;
+}
+
+function computeDeltas(series, current, now) {
+  const out = {};
+  for (const [key, ms] of Object.entries(WINDOWS)) out[key] = deltaOver(series, current, now, ms);
+  return out;
+}
+
+// Sum per-venue deltas into one coin-level delta. A window is only reported when
+// every venue has a point for it, otherwise a venue's whole OI would count as change.
+function combineDeltas(list) {
+  const out = {};
+  for (const key of Object.keys(WINDOWS)) {
+    const parts = list.map(d => d && d[key]);
+    if (parts.length === 0 || parts.some(p => !p)) { out[key] = null; continue; }
+    const usd = parts.reduce((sum, p) => sum + p.usd, 0);
+    const from = parts.reduce((sum, p) => sum + p.from, 0);
+    out[key] = { usd, pct: from > 0 ? Math.round(usd / from * 10000) / 100 : null, from };
+  }
+  return out;
+}
+
+// OI_RISING_INTO_EXTREME — OI building while funding is already extreme (fuel for a squeeze)
+// OI_FLUSH               — sharp OI drop, positions being closed or liquidated
+function oiFlags(deltas, { isExtreme = false } = {}) {
+  const flags = [];
+  const p1 = deltas.d1h?.pct;
+  const p4 = deltas.d4h?.pct;
+  if (isExtreme && ((p1 != null && p1 >= RISING_1H_PCT) || (p4 != null && p4 >= RISING_4H_PCT))) {
+    flags.push('OI_RISING_INTO_EXTREME');
+  }
+  if ((p1 != null && p1 <= FLUSH_1H_PCT) || (p4 != null && p4 <= FLUSH_4H_PCT)) {
+    flags.push('OI_FLUSH');
+  }
+  return flags;
+}
+
+// Record the current OI for each row and return coin → { oiDelta, oiFlags }.
+//   rows: [{ coin, oiUsd, isExtreme }]
+// Deltas are computed against earlier points before the new one is stored. If the
+// stored file can't be parsed nothing is recorded and no deltas are returned — the
+// file is left as-is for inspection rather than overwritten.
+function trackOi(source, rows, now = Date.now()) {
+  const result = new Map();
+  let snapshots;
+  try { snapshots = readSnapshots(source); }
+  catch (e) {
+    console.error(`  ⚠ OI history not updated: ${e.message}`);
+    return result;
+  }
+
+  for (const { coin, oiUsd, isExtreme } of rows) {
+    if (!Number.isFinite(oiUsd) || oiUsd <= 0) continue;
+    const series = snapshots[coin] || [];
+    const oiDelta = computeDeltas(series, oiUsd, now);
+    result.set(coin, { oiDelta, oiFlags: oiFlags(oiDelta, { isExtreme }) });
+
+    const last = series[series.length - 1];
+    if (last && now - last[0] < MIN_SPACING_MS) series.pop();
+    series.push([now, Math.round(oiUsd)]);
+    snapshots[coin] = series;
+  }
+
+  for (const coin of Object.keys(snapshots)) {
+    snapshots[coin] = snapshots[coin].filter(([t]) => now - t <= RETENTION_MS);
+    if (snapshots[coin].length === 0) delete snapshots[coin];
+  }
+
+  saveSnapshots(source, snapshots);
+  return result;
+}
+
+// One-line summary for logs / alert reasons, e.g. "OI +12.4% 4h (+$3.1M)"
+function describeOiDelta(oiDelta) {
+  if (!oiDelta) return null;
+  for (const [key, label] of [['d4h', '4h'], ['d1h', '1h'], ['d24h', '24h']]) {
+    const d = oiDelta[key];
+    if (!d) continue;
+    const sign = d.usd >= 0 ? '+' : '-';
+    return `OI ${d.pct >= 0 ? '+' : ''}${d.pct}% ${label} (${sign}$${(Math.abs(d.usd) / 1e6).toFixed(1)}M)`;
+  }
+  return null;
+}
+
+module.exports = { OI_DIR, trackOi, deltaOver, oiAt, computeDeltas, combineDeltas, oiFlags, describeOiDelta, loadSnapshots };
@@ -3,6 +3,7 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { parseArgs } = require('util');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
 
 const DATA_DIR = path.resolve(__dirname, '..', 'data');
 const OUTPUT_PATH = path.join(DATA_DIR, 'orderbook-depth-latest.json');
@@ -71,7 +72,9 @@ async function main() {
 
   let coins;
   if (args.coins) {
-    coins = args.coins.split(',').map(c => c.trim().toUpperCase());
+    // PEPE or kPEPE → HL's name
+    await ensureRegistry();
+    coins = args.coins.split(',').map(c => venueSymbol(c.trim(), 'hyperliquid'));
   } else {
     const ctxs = await post({ type: 'metaAndAssetCtxs' });
     const assetCtxs = Array.isArray(ctxs) ? ctxs[1] : (ctxs.assetCtxs || []);
@@ -126,7 +129,8 @@ async function main() {
         else if (imbalance <= 1 / MIN_IMBALANCE) pressure = 'sell_pressure';
 
         return {
-          coin,
+          coin: toCanonical(coin),
+          symbol: coin,
           mid: Math.round(mid * 10000) / 10000,
           spread: spread ? Math.round(spread * 10000) / 10000 : null,
           bidDepth: Math.round(bidDepth),
@@ -138,7 +142,7 @@ async function main() {
           askWalls: askWalls.length > 0 ? askWalls : null,
         };
       } catch (e) {
-        return { coin, error: e.message };
+        return { coin: toCanonical(coin), symbol: coin, error: e.message };
       }
     }));
 
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Relative Strength — is an alt moving on its own or just riding BTC?
+ *
+ * For every coin and timeframe (1h / 4h / 1d, closed Hyperliquid candles) against
+ * each benchmark (BTC, ETH), on candles matched by open time:
+ *   ratio         coin close / benchmark close, with EMA 20/50/200 on the ratio chart;
+ *                 trend is outperforming / underperforming / mixed from that stack
+ *                 (20/50 alone when there's no EMA 200 yet)
+ *   changePct     % change of the ratio over CHANGE_BARS (1d on 1h, 7d on 4h, 30d on 1d)
+ *   beta / correlation   of the coin's log returns to the benchmark's over STAT_BARS
+ *   alphaPct      coin move over CHANGE_BARS minus beta × the benchmark's move
+ *
+ * rsScore (0-100) ranks the coins against each other: each ratio change becomes a
+ * percentile among the coins scanned, averaged over benchmarks with TF_WEIGHT. So
+ * with --coins or --top the ranking is only among those coins; `universe` in the
+ * output is the number of perps listed when --top cut the scan short (null otherwise).
+ * `decoupled` marks coins whose 4h correlation to BTC is under DECOUPLED_CORR.
+ *
+ * multi-tf-analyzer.js and squeeze-monitor.js join the output when it exists.
+ *
+ * Usage:
+ *   node relative-strength.js                   — every HL perp
+ *   node relative-strength.js --coins PEPE,SOL  — specific coins (ranked among themselves)
+ *   node relative-strength.js --top 100 --show 15   — top 100 by 24h volume, 15 leaders / laggards
+ *   node relative-strength.js --json
+ *
+ * Output: data/relative-strength-latest.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ema, last } = require('./indicators');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const { signalCandles } = require('./candles');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
+
+const DATA_DIR = path.resolve(__dirname, '..', 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'relative-strength-latest.json');
+
+const BENCHMARKS = ['BTC', 'ETH'];
+const TIMEFRAMES = ['1h', '4h', '1d'];
+const TF_WEIGHT = { '1h': 1, '4h': 1.5, '1d': 2 };
+const EMA_PERIODS = [20, 50, 200];
+const CANDLE_COUNT = 210;
+const MIN_CANDLES = 50;
+const CHANGE_BARS = { '1h': 24, '4h': 42, '1d': 30 };
+const STAT_BARS = { '1h': 168, '4h': 180, '1d': 90 };
+const MIN_STAT_BARS = 20;
+const DECOUPLED_CORR = 0.5;
+
+const round = (x, dp) => x === null ? null : Math.round(x * 10 ** dp) / 10 ** dp;
+
+function pctChange(series, bars) {
+  const now = series[series.length - 1];
+  const before = series[series.length - 1 - bars];
+  return before ? (now - before) / before * 100 : null;
+}
+
+// Beta and correlation of xs (coin returns) to ys (benchmark returns), same length
+function betaCorrelation(xs, ys) {
+  const n = xs.length;
+  if (n < MIN_STAT_BARS) return { beta: null, correlation: null };
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0, vx = 0, vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  if (vy === 0) return { beta: null, correlation: null };
+  return { beta: cov / vy, correlation: vx > 0 ? cov / Math.sqrt(vx * vy) : null };
+}
+
+function ratioTrend(e20, e50, e200) {
+  if (!e20 || !e50) return 'unknown';
+  if (!e200) return e20 > e50 ? 'outperforming' : e20 < e50 ? 'underperforming' : 'mixed';
+  if (e20 > e50 && e50 > e200) return 'outperforming';
+  if (e20 < e50 && e50 < e200) return 'underperforming';
+  return 'mixed';
+}
+
+// Coin vs benchmark on one timeframe. Candles are HL rows, oldest first, closed only.
+function compare(coinCandles, benchCandles, tf) {
+  const benchClose = new Map(benchCandles.map(c => [c.t, parseFloat(c.c)]));
+  const pairs = coinCandles
+    .filter(c => benchClose.has(c.t))
+    .map(c => [parseFloat(c.c), benchClose.get(c.t)])
+    .filter(([a, b]) => a > 0 && b > 0);
+  if (pairs.length < MIN_CANDLES) return { error: 'insufficient data', bars: pairs.length };
+
+  const coin = pairs.map(p => p[0]);
+  const bench = pairs.map(p => p[1]);
+  const ratios = pairs.map(([a, b]) => a / b);
+  const [e20, e50, e200] = EMA_PERIODS.map(p => last(ema(ratios, p)));
+
+  const statFrom = Math.max(1, pairs.length - STAT_BARS[tf]);
+  const coinRets = [], benchRets = [];
+  for (let i = statFrom; i < pairs.length; i++) {
+    coinRets.push(Math.log(coin[i] / coin[i - 1]));
+    benchRets.push(Math.log(bench[i] / bench[i - 1]));
+  }
+  const { beta, correlation } = betaCorrelation(coinRets, benchRets);
+
+  const bars = CHANGE_BARS[tf];
+  const coinChange = pctChange(coin, bars);
+  const benchChange = pctChange(bench, bars);
+  const ratio = ratios[ratios.length - 1];
+  return {
+    ratio,
+    ema20: e20,
+    ema50: e50,
+    ema200: e200,
+    trend: ratioTrend(e20, e50, e200),
+    ratioVsEma50Pct: e50 ? round((ratio - e50) / e50 * 100, 2) : null,
+    changePct: round(pctChange(ratios, bars), 2),
+    coinChangePct: round(coinChange, 2),
+    benchmarkChangePct: round(benchChange, 2),
+    beta: round(beta, 2),
+    correlation: round(correlation, 2),
+    alphaPct: beta !== null && coinChange !== null && benchChange !== null ? round(coinChange - beta * benchChange, 2) : null,
+    bars: pairs.length,
+  };
+}
+
+// Share of values below v (ties count half), 0-100
+function percentile(values, v) {
+  const below = values.filter(x => x < v).length;
+  const equal = values.filter(x => x === v).length;
+  return (below + equal / 2) / values.length * 100;
+}
+
+// Adds rsScore and rank to every row ({ vs: { BTC: { '1h': {...} } } }), best first
+function rank(rows) {
+  const pools = {};
+  for (const bench of BENCHMARKS) {
+    for (const tf of TIMEFRAMES) {
+      pools[`${bench}_${tf}`] = rows.map(r => r.vs[bench]?.[tf]?.changePct).filter(x => typeof x === 'number');
+    }
+  }
+  for (const r of rows) {
+    let sum = 0, weight = 0;
+    for (const bench of BENCHMARKS) {
+      for (const tf of TIMEFRAMES) {
+        const v = r.vs[bench]?.[tf]?.changePct;
+        if (typeof v !== 'number') continue;
+        sum += TF_WEIGHT[tf] * percentile(pools[`${bench}_${tf}`], v);
+        weight += TF_WEIGHT[tf];
+      }
+    }
+    r.rsScore = weight > 0 ? Math.round(sum / weight) : null;
+  }
+  const ranked = rows.filter(r => r.rsScore !== null).sort((a, b) => b.rsScore - a.rsScore);
+  ranked.forEach((r, i) => { r.rank = i + 1; });
+  return ranked;
+}
+
+// What the scanners join: coin → { rsScore, rank, of, trendVsBtc, trendVsEth, betaBtc, correlationBtc, decoupled }
+function loadRanking(file = OUTPUT_PATH) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const out = {};
+    for (const r of data.results || []) {
+      out[toCanonical(r.coin)] = {
+        rsScore: r.rsScore,
+        rank: r.rank,
+        of: data.count,
+        trendVsBtc: r.vs.BTC?.['1d']?.trend ?? null,
+        trendVsEth: r.vs.ETH?.['1d']?.trend ?? null,
+        betaBtc: r.vs.BTC?.['4h']?.beta ?? null,
+        correlationBtc: r.vs.BTC?.['4h']?.correlation ?? null,
+        decoupled: r.decoupled,
+        ts: data.ts,
+      };
+    }
+    return out;
+  } catch {
+    return null;
+  }
+}
+
+function describeRanking(rs) {
+  const trend = rs.trendVsBtc && rs.trendVsBtc !== 'unknown' ? `, 1d ${rs.trendVsBtc} vs BTC` : '';
+  const beta = rs.betaBtc !== null ? `, β ${rs.betaBtc}` : '';
+  return `RS #${rs.rank}/${rs.of} (${rs.rsScore}${trend}${beta}${rs.decoupled ? ', decoupled' : ''})`;
+}
+
+module.exports = { compare, betaCorrelation, rank, loadRanking, describeRanking, BENCHMARKS, TIMEFRAMES, OUTPUT_PATH };
+
+async function closedCandles(symbol, tf) {
+  const raw = await candleStore.getCandles(symbol, tf, CANDLE_COUNT, { maxAgeMs: Infinity });
+  return signalCandles(raw).candles;
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'coins': { type: 'string', default: '' },
+      'top': { type: 'string', default: '' },   // opt-in limit: top N by 24h volume
+      'show': { type: 'string', default: '10' },  // leaders / laggards listed
+      'json': { type: 'boolean', default: false },
+    },
+    strict: false,
+  });
+
+  let coins;
+  let universe = null;  // perps listed, when the scan was cut down with --top
+  if (args.coins) {
+    await ensureRegistry();
+    coins = args.coins.split(',').map(c => venueSymbol(c.trim(), 'hyperliquid'));
+  } else {
+    const [meta, assetCtxs] = await hl.info({ type: 'metaAndAssetCtxs' });
+    coins = meta.universe
+      .map((u, i) => ({ coin: u.name, volume: parseFloat(assetCtxs[i]?.dayNtlVlm || '0') }))
+      .sort((a, b) => b.volume - a.volume)
+      .map(c => c.coin);
+    const top = parseInt(args.top);
+    if (top > 0 && top < coins.length) {
+      universe = coins.length;
+      coins = coins.slice(0, top);
+    }
+  }
+  const coverage = universe ? ` (top ${coins.length} of ${universe} by 24h volume — ranks exclude the rest)` : '';
+
+  console.error(`Relative strength for ${coins.length} coins${coverage} vs ${BENCHMARKS.join(' / ')} on ${TIMEFRAMES.join(', ')}...`);
+
+  const benchCandles = {};
+  for (const bench of BENCHMARKS) {
+    benchCandles[bench] = {};
+    for (const tf of TIMEFRAMES) benchCandles[bench][tf] = await closedCandles(bench, tf);
+  }
+
+  const rows = [];
+  const batchSize = 5;
+  for (let i = 0; i < coins.length; i += batchSize) {
+    const batch = coins.slice(i, i + batchSize);
+    const batchResults = await Promise.all(batch.map(async (symbol) => {
+      const coin = toCanonical(symbol);
+      const vs = {};
+      try {
+        for (const tf of TIMEFRAMES) {
+          const candles = await closedCandles(symbol, tf);
+          for (const bench of BENCHMARKS) {
+            if (bench === coin) continue;
+            vs[bench] = vs[bench] || {};
+            vs[bench][tf] = compare(candles, benchCandles[bench][tf], tf);
+          }
+        }
+      } catch (e) {
+        return { coin, symbol, error: e.message };
+      }
+      const corr = vs.BTC?.['4h']?.correlation;
+      return { coin, symbol, decoupled: typeof corr === 'number' && corr < DECOUPLED_CORR, vs };
+    }));
+    rows.push(...batchResults);
+  }
+
+  const ranked = rank(rows.filter(r => !r.error));
+  const failed = rows.filter(r => r.error || r.rsScore === null)
+    .map(r => ({ coin: r.coin, error: r.error || 'insufficient data' }));
+  const show = parseInt(args.show);
+  const leaders = ranked.slice(0, show).map(r => r.coin);
+  const laggards = ranked.slice(-show).reverse().filter(r => !leaders.includes(r.coin)).map(r => r.coin);
+
+  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+    ts: new Date().toISOString(),
+    benchmarks: BENCHMARKS,
+    timeframes: TIMEFRAMES,
+    count: ranked.length,
+    universe,
+    leaders,
+    laggards,
+    failed,
+    results: ranked,
+  }, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify({ universe, leaders, laggards, results: ranked }, null, 2));
+    return;
+  }
+
+  const byCoin = Object.fromEntries(ranked.map(r => [r.coin, r]));
+  const signed = x => x === null || x === undefined ? '?' : `${x > 0 ? '+' : ''}${x}%`;
+  const line = r => {
+    const btc = r.vs.BTC || r.vs.ETH;
+    const base = r.vs.BTC ? 'BTC' : 'ETH';
+    const changes = TIMEFRAMES.map(tf => `${tf} ${signed(btc[tf]?.changePct)}`).join(' ');
+    const s = btc['4h'] || {};
+    return `  #${String(r.rank).padEnd(3)} ${r.coin.padEnd(8)} ${String(r.rsScore).padStart(3)} | vs ${base}: ${changes} | 1d ${btc['1d']?.trend || '?'} | β ${s.beta ?? '?'} ρ ${s.correlation ?? '?'} α ${signed(s.alphaPct)}`;
+  };
+
+  console.log(`\n🏁 RELATIVE STRENGTH vs ${BENCHMARKS.join(' / ')} — ${ranked.length} coins${coverage}\n`);
+  console.log(`🚀 LEADERS:`);
+  for (const c of leaders) console.log(line(byCoin[c]));
+  if (laggards.length > 0) {
+    console.log(`\n🐢 LAGGARDS:`);
+    for (const c of laggards) console.log(line(byCoin[c]));
+  }
+  const decoupled = ranked.filter(r => r.decoupled);
+  if (decoupled.length > 0) {
+    console.log(`\n🧭 DECOUPLED (4h ρ to BTC < ${DECOUPLED_CORR}) — moving on their own:`);
+    console.log(`  ${decoupled.map(r => `${r.coin} (ρ ${r.vs.BTC['4h'].correlation}, #${r.rank})`).join(', ')}`);
+  }
+  if (failed.length > 0) console.error(`\n⚠️ ${failed.length} coins failed: ${failed.map(r => r.coin).join(', ')}`);
+  console.error(`\nSaved to ${OUTPUT_PATH}`);
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
@@ -1,86 +1,67 @@
-require("./env");
 #!/usr/bin/env node
+require("./env");
 /**
- * RSI Checker — calculates 14-period RSI for given coins
- * Uses CoinGecko OHLC data (free, no key)
+ * RSI Checker — calculates 14-period Wilder RSI per timeframe for given coins
+ * Candles come from the shared Hyperliquid candle store (candle-store.js); coins HL
+ * doesn't list fall back to CryptoCompare (histohour / histoday).
  * 
  * Usage: 
  *   node rsi-checker.js BTC ETH SOL         — check specific coins
- *   node rsi-checker.js --extreme            — check coins with extreme funding rates
+ *   node rsi-checker.js --extreme            — check coins with extreme funding (funding-unified-latest.json)
  *   node rsi-checker.js --all-notable        — check extreme + high OI coins
+ *   node rsi-checker.js BTC --tf 4h,1d       — only these timeframes (default 1h,4h,1d)
+ *
+ * Output: data/rsi-latest.json — per coin, `timeframes` holds the RSI for each
+ * timeframe and `rsi` repeats the highest one (1d by default).
  */
 
 const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { rsi: rsiSeries, last } = require('./indicators');
+const { getJson } = require('./http');
+const { toCanonical, venueSymbol, ensureRegistry } = require('./symbols');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const candleStore = require('./candle-store');
 
-const FUNDING_PATH = '' + path.resolve(__dirname, '..', 'data') + '/funding-rates-latest.json';
+const FUNDING_PATH = '' + path.resolve(__dirname, '..', 'data') + '/funding-unified-latest.json';
 const OUTPUT_PATH = '' + path.resolve(__dirname, '..', 'data') + '/rsi-latest.json';
 
-// Map common perp ticker symbols to CoinGecko IDs
-const TICKER_TO_GECKO = {
-  'BTC': 'bitcoin', 'ETH': 'ethereum', 'SOL': 'solana', 'XRP': 'ripple',
-  'DOGE': 'dogecoin', 'ADA': 'cardano', 'AVAX': 'avalanche-2', 'DOT': 'polkadot',
-  'LINK': 'chainlink', 'MATIC': 'matic-network', 'UNI': 'uniswap', 'ATOM': 'cosmos',
-  'FIL': 'filecoin', 'APT': 'aptos', 'ARB': 'arbitrum', 'OP': 'optimism',
-  'SUI': 'sui', 'SEI': 'sei-network', 'TIA': 'celestia', 'INJ': 'injective-protocol',
-  'NEAR': 'near', 'FTM': 'fantom', 'ALGO': 'algorand', 'AAVE': 'aave',
-  'MKR': 'maker', 'LDO': 'lido-dao', 'CRV': 'curve-dao-token', 'RUNE': 'thorchain',
-  'STX': 'blockstack', 'IMX': 'immutable-x', 'PEPE': 'pepe', 'WIF': 'dogwifcoin',
-  'BONK': 'bonk', 'FLOKI': 'floki', 'SHIB': 'shiba-inu', 'LTC': 'litecoin',
-  'BCH': 'bitcoin-cash', 'ETC': 'ethereum-classic', 'RENDER': 'render-token',
-  'FET': 'fetch-ai', 'RNDR': 'render-token', 'TAO': 'bittensor', 'GRT': 'the-graph',
-  'BERA': 'berachain', 'JUP': 'jupiter-exchange-solana', 'WLD': 'worldcoin-wld',
-  'PYTH': 'pyth-network', 'JTO': 'jito-governance-token', 'ONDO': 'ondo-finance',
-  'PENDLE': 'pendle', 'ENA': 'ethena', 'W': 'wormhole', 'STRK': 'starknet',
-  'ZK': 'zksync', 'BLAST': 'blast', 'MEME': 'memecoin-2', 'ORDI': 'ordinals',
-  'SATS': '1000sats', 'TRX': 'tron', 'TON': 'the-open-network', 'NOT': 'notcoin',
-  'BNB': 'binancecoin', 'VANA': 'vana', 'ZKP': 'panther',
-  'TRUMP': 'official-trump', 'MELANIA': 'melania-meme', 'AI16Z': 'ai16z',
-  'VIRTUAL': 'virtual-protocol', 'FARTCOIN': 'fartcoin', 'GRIFFAIN': 'griffain',
-  'POPCAT': 'popcat', 'MEW': 'cat-in-a-dogs-world', 'PNUT': 'peanut-the-squirrel',
-  'KAITO': 'kaito', 'IP': 'story-protocol', 'ANIME': 'animecoin',
-  'LAYER': 'solayer', 'TST': 'the-standard-token', 'VINE': 'vine',
-  'SPX': 'spx6900', 'AIXBT': 'aixbt',
+const RSI_PERIOD = 14;
+const CANDLE_COUNT = 200; // enough for the Wilder smoothing to settle
+const TIMEFRAME_MS = { '1h': 3600000, '4h': 14400000, '1d': 86400000 };
+// CryptoCompare endpoint + aggregate per timeframe
+const CC_TIMEFRAMES = {
+  '1h': { endpoint: 'histohour', aggregate: 1 },
+  '4h': { endpoint: 'histohour', aggregate: 4 },
+  '1d': { endpoint: 'histoday', aggregate: 1 },
 };
 
 function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) return null;
-  
-  let gains = 0;
-  let losses = 0;
-  
-  // First average
-  for (let i = 1; i <= period; i++) {
-    const change = closes[i] - closes[i - 1];
-    if (change > 0) gains += change;
-    else losses += Math.abs(change);
-  }
-  
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
-  
-  // Smoothed RSI for remaining periods
-  for (let i = period + 1; i < closes.length; i++) {
-    const change = closes[i] - closes[i - 1];
-    const gain = change > 0 ? change : 0;
-    const loss = change < 0 ? Math.abs(change) : 0;
-    
-    avgGain = (avgGain * (period - 1) + gain) / period;
-    avgLoss = (avgLoss * (period - 1) + loss) / period;
+  const value = last(rsiSeries(closes, period));
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+async function fetchHyperliquidCloses(ticker, tf) {
+  try {
+    const candles = await candleStore.getCandles(venueSymbol(ticker, 'hyperliquid'), tf, CANDLE_COUNT);
+    if (candles.length === 0) return null;
+    return candles.map(c => parseFloat(c.c)).filter(c => c > 0);
+  } catch {
+    return null;
   }
-  
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return Math.round((100 - (100 / (1 + rs))) * 100) / 100;
 }
 
-async function fetchCloses(ticker) {
+async function fetchCryptoCompareCloses(ticker, tf) {
+  const { endpoint, aggregate } = CC_TIMEFRAMES[tf];
+  const headers = process.env.CRYPTOCOMPARE_API_KEY
+    ? { authorization: `Apikey ${process.env.CRYPTOCOMPARE_API_KEY}` }
+    : {};
   try {
-    // Use CryptoCompare — free, no key needed, generous rate limits
-    const resp = await fetch(
-      `https://min-api.cryptocompare.com/data/v2/histoday?fsym=${ticker}&tsym=USD&limit=20`
+    const data = await getJson(
+      `https://min-api.cryptocompare.com/data/v2/${endpoint}?fsym=${ticker}&tsym=USD&limit=${CANDLE_COUNT}&aggregate=${aggregate}`,
+      { headers }
     );
-    if (!resp.ok) return null;
-    const data = await resp.json();
     if (data.Response !== 'Success') return null;
     return data.Data.Data.map(d => d.close).filter(c => c > 0);
   } catch {
@@ -88,6 +69,15 @@ async function fetchCloses(ticker) {
   }
 }
 
+// Hyperliquid first; CryptoCompare for coins HL doesn't list (or returns too little for)
+async function fetchCloses(ticker, tf) {
+  const hl = await fetchHyperliquidCloses(ticker, tf);
+  if (hl && hl.length > RSI_PERIOD) return { closes: hl, source: 'hyperliquid' };
+  const cc = await fetchCryptoCompareCloses(ticker, tf);
+  if (cc && cc.length > RSI_PERIOD) return { closes: cc, source: 'cryptocompare' };
+  return null;
+}
+
 function getRSILabel(rsi) {
   if (rsi >= 80) return 'EXTREMELY OVERBOUGHT';
   if (rsi >= 70) return 'OVERBOUGHT';
@@ -98,108 +88,149 @@ function getRSILabel(rsi) {
   return 'EXTREMELY OVERSOLD';
 }
 
+// fundingRate is the 8h rate (funding-unified bestFunding)
 function getConfluenceSignal(rsi, fundingRate) {
+  const { noteworthy, extreme } = FUNDING_THRESHOLDS_8H;
   // RSI oversold + negative funding (shorts crowded) = potential long squeeze
-  if (rsi <= 30 && fundingRate < -0.003) {
+  if (rsi <= 30 && fundingRate < -noteworthy) {
     return '🔥 CONFLUENCE: Oversold RSI + shorts crowded = potential reversal UP';
   }
   // RSI overbought + positive funding (longs crowded) = potential short squeeze  
-  if (rsi >= 70 && fundingRate > 0.003) {
+  if (rsi >= 70 && fundingRate > noteworthy) {
     return '🔥 CONFLUENCE: Overbought RSI + longs crowded = potential reversal DOWN';
   }
   // RSI extreme + extreme funding = strongest signal
-  if (rsi <= 20 && fundingRate < -0.006) {
+  if (rsi <= 20 && fundingRate < -extreme) {
     return '⚡ STRONG CONFLUENCE: Extremely oversold + extreme short crowding = high probability bounce';
   }
-  if (rsi >= 80 && fundingRate > 0.006) {
+  if (rsi >= 80 && fundingRate > extreme) {
     return '⚡ STRONG CONFLUENCE: Extremely overbought + extreme long crowding = high probability dump';
   }
   return null;
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { values: args, positionals } = parseArgs({
+    options: {
+      'extreme': { type: 'boolean', default: false },
+      'all-notable': { type: 'boolean', default: false },
+      'tf': { type: 'string', default: '1h,4h,1d' },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  const timeframes = args.tf.split(',').map(t => t.trim()).filter(Boolean);
+  const unknown = timeframes.filter(tf => !TIMEFRAME_MS[tf]);
+  if (unknown.length > 0 || timeframes.length === 0) {
+    console.error(`Unknown --tf ${unknown.join(',') || '(empty)'} (use ${Object.keys(TIMEFRAME_MS).join(', ')})`);
+    process.exit(1);
+  }
+  // Headline RSI = the longest timeframe requested
+  const primaryTf = [...timeframes].sort((a, b) => TIMEFRAME_MS[b] - TIMEFRAME_MS[a])[0];
+
   let coins = [];
   
-  if (args.includes('--extreme') || args.includes('--all-notable')) {
+  if (args.extreme || args['all-notable']) {
     // Load from funding rates
     try {
       const funding = JSON.parse(fs.readFileSync(FUNDING_PATH, 'utf8'));
       
-      if (args.includes('--extreme')) {
+      if (args.extreme) {
         coins = funding.coins
           .filter(c => c.isExtreme)
-          .map(c => ({ ticker: c.coin, rate: c.avgRate, oi: c.oiUsd }));
+          .map(c => ({ ticker: c.coin, rate: c.bestFunding, oi: c.totalOiUsd }));
       } else {
         // All notable: extreme + top OI
         const extreme = funding.coins.filter(c => c.isExtreme);
         const topOI = funding.coins
-          .filter(c => c.oiUsd && c.oiUsd > 5000000)
-          .sort((a, b) => b.oiUsd - a.oiUsd)
+          .filter(c => c.totalOiUsd && c.totalOiUsd > 5000000)
+          .sort((a, b) => b.totalOiUsd - a.totalOiUsd)
           .slice(0, 15);
         
         const seen = new Set();
         coins = [...extreme, ...topOI]
           .filter(c => { if (seen.has(c.coin)) return false; seen.add(c.coin); return true; })
-          .map(c => ({ ticker: c.coin, rate: c.avgRate, oi: c.oiUsd }));
+          .map(c => ({ ticker: c.coin, rate: c.bestFunding, oi: c.totalOiUsd }));
       }
     } catch (e) {
       console.error('Failed to load funding rates:', e.message);
       process.exit(1);
     }
-  } else if (args.length > 0) {
-    coins = args.map(t => ({ ticker: t.toUpperCase(), rate: null, oi: null }));
+  } else if (positionals.length > 0) {
+    coins = positionals.map(t => ({ ticker: toCanonical(t), rate: null, oi: null }));
   } else {
     console.log('Usage:');
     console.log('  node rsi-checker.js BTC ETH SOL');
     console.log('  node rsi-checker.js --extreme        (coins with extreme funding)');
     console.log('  node rsi-checker.js --all-notable     (extreme + high OI coins)');
+    console.log('  node rsi-checker.js BTC --tf 4h,1d   (timeframes, default 1h,4h,1d)');
     process.exit(0);
   }
   
-  console.log(`\n📊 RSI CHECK — ${coins.length} coins\n${'='.repeat(50)}\n`);
+  await ensureRegistry();
+  console.log(`\n📊 RSI CHECK — ${coins.length} coins (${timeframes.join(', ')})\n${'='.repeat(50)}\n`);
   
   const results = [];
   
   for (const coin of coins) {
-    // Rate limit: CryptoCompare is generous but be polite
-    await new Promise(r => setTimeout(r, 500));
-    
-    const closes = await fetchCloses(coin.ticker);
-    if (!closes || closes.length < 15) {
-      console.log(`  ${coin.ticker}: Insufficient data — skipped`);
+    const byTf = {};
+    for (const tf of timeframes) {
+      // Be polite to both APIs
+      await new Promise(r => setTimeout(r, 200));
+
+      const fetched = await fetchCloses(coin.ticker, tf);
+      if (!fetched) continue;
+      const rsi = calculateRSI(fetched.closes, RSI_PERIOD);
+      if (rsi === null) continue;
+      byTf[tf] = {
+        rsi,
+        label: getRSILabel(rsi),
+        source: fetched.source,
+        candles: fetched.closes.length,
+        price: fetched.closes[fetched.closes.length - 1],
+      };
+    }
+
+    const primary = byTf[primaryTf];
+    if (!primary) {
+      console.log(`  ${coin.ticker}: Insufficient ${primaryTf} data — skipped`);
       continue;
     }
     
-    const rsi = calculateRSI(closes);
-    if (rsi === null) continue;
-    
-    const label = getRSILabel(rsi);
+    const rsi = primary.rsi;
+    const label = primary.label;
     const confluence = coin.rate ? getConfluenceSignal(rsi, coin.rate) : null;
     
     const result = {
       ticker: coin.ticker,
       rsi,
       label,
+      timeframe: primaryTf,
+      timeframes: byTf,
       fundingRate: coin.rate ? Math.round(coin.rate * 10000) / 100 : null,
       oiUsd: coin.oi,
       confluence: confluence || null,
-      price: closes[closes.length - 1]
+      price: primary.price
     };
     results.push(result);
     
     // Print
-    const rsiStr = rsi <= 30 || rsi >= 70 ? `⚠️ ${rsi}` : `${rsi}`;
+    const fmt = v => v <= 30 || v >= 70 ? `⚠️ ${v}` : `${v}`;
+    const tfStr = timeframes.map(tf => `${tf} ${byTf[tf] ? fmt(byTf[tf].rsi) : '?'}`).join(' | ');
     const fundStr = coin.rate ? ` | Funding: ${result.fundingRate}%` : '';
     const oiStr = coin.oi ? ` | OI: $${Math.round(coin.oi / 1000000)}M` : '';
-    console.log(`  ${coin.ticker}: RSI ${rsiStr} (${label})${fundStr}${oiStr}`);
+    const srcStr = primary.source !== 'hyperliquid' ? ` [${primary.source}]` : '';
+    console.log(`  ${coin.ticker}: RSI ${tfStr} (${label})${fundStr}${oiStr}${srcStr}`);
     if (confluence) console.log(`    ${confluence}`);
   }
   
   // Save output
   const output = {
     generated: new Date().toISOString(),
-    period: 14,
+    period: RSI_PERIOD,
+    timeframes,
+    primaryTimeframe: primaryTf,
     coins: results,
     confluenceAlerts: results.filter(r => r.confluence)
   };
@@ -211,7 +242,7 @@ async function main() {
   const oversold = results.filter(r => r.rsi <= 30);
   const confluences = results.filter(r => r.confluence);
   
-  console.log(`\n--- SUMMARY ---`);
+  console.log(`\n--- SUMMARY (${primaryTf}) ---`);
   console.log(`Checked: ${results.length} coins`);
   if (overbought.length) console.log(`Overbought (RSI≥70): ${overbought.map(r => r.ticker).join(', ')}`);
   if (oversold.length) console.log(`Oversold (RSI≤30): ${oversold.map(r => r.ticker).join(', ')}`);
@@ -219,4 +250,8 @@ async function main() {
   if (!overbought.length && !oversold.length) console.log('No overbought/oversold coins detected');
 }
 
-main().catch(console.error);
+module.exports = { calculateRSI, getRSILabel, RSI_PERIOD, CANDLE_COUNT };
+
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -1,245 +1,437 @@
-require("./env");
 #!/usr/bin/env node
+require("./env");
 /**
- * Squeeze Monitor v2 — reads funding-rates-latest.json and flags squeeze candidates
+ * Squeeze Monitor v2 — reads funding-unified-latest.json (CEX + Hyperliquid) and
+ * flags squeeze candidates
  * 
  * Criteria:
- *   1. Extreme funding (shorts_crowded or longs_crowded) + OI > $5M
- *   2. Big exchange divergence (max-min spread > 0.002)
+ *   1. Extreme funding (shorts_crowded or longs_crowded) + OI > thresholds.minOiUsd ($1M)
+ *   2. Big venue divergence (max-min 8h rate spread > 0.002)
+ * 
+ * Each candidate lists the venues whose own 8h rate is crowded. When only one of
+ * several venues is crowded it has to hold SINGLE_VENUE_MIN_OI_SHARE of the coin's
+ * OI — otherwise it's a venue dislocation (see funding-arb.js), not a squeeze.
+ * 
+ * "Extreme" is relative to the coin's own funding history (30d z-score + percentile)
+ * once enough history exists; otherwise |8h rate| >= FUNDING_THRESHOLDS_8H.extreme
+ * (0.06%, funding-intervals.js) counts as crowded. Pass --fixed-thresholds to always
+ * use the fixed one. Note: before this read funding-unified the fixed gate was
+ * funding-rates.js's 0.6%/8h — it is 10x lower now, the same line every script uses.
+ * 
+ * RSI gate: by default the headline RSI from rsi-latest.json must confirm.
+ * --rsi-tfs 4h,1d requires every listed timeframe to confirm instead.
+ * 
+ * EMA confirmation only counts signals from closed candles; --intrabar also
+ * counts ones ema-checker computed on the candle still forming.
+ * 
+ * Conviction is scored by config/squeeze-rules.json (see squeeze-scoring.js): the
+ * RSI gate thresholds plus weighted funding / RSI depth / EMA / multi-TF / orderbook /
+ * volume / liquidation factors.
+ * --rules <file> scores with another rules file.
+ * 
+ * Liquidation fuel: the estimated liquidations (liquidation-map.js) on the side a
+ * squeeze would hit, within thresholds.liquidationFuelRangePct of the mark.
+ * 
+ * New alerts are stored with their HL entry price and tracked by alert-outcomes.js
+ * on every run (forward returns, excursions, funding normalization).
  * 
  * Output: data/squeeze-latest.json
  */
 
 const fs = require('fs');
 const path = require('path');
+const { describeOiDelta } = require('./oi-history');
+const { describeDivergence } = require('./divergence');
+const { describeCluster } = require('./liquidation-map');
+const { loadRanking, describeRanking } = require('./relative-strength');
+const { recordAlerts, updateOutcomes } = require('./alert-outcomes');
+// Every input is keyed by canonical asset, so PEPE funding meets kPEPE / 1000PEPE data
+const { toCanonical } = require('./symbols');
+const { loadRules, evaluate, DEFAULT_RULES_PATH } = require('./squeeze-scoring');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
 
-const INPUT_FILE = path.join(__dirname, '../data/funding-rates-latest.json');
+const INPUT_FILE = path.join(__dirname, '../data/funding-unified-latest.json');
 const STATE_FILE = path.join(__dirname, '../data/squeeze-state.json');
 const OUTPUT_FILE = path.join(__dirname, '../data/squeeze-latest.json');
 
-const OI_THRESHOLD = 1_000_000; // $1M
 const DIVERGENCE_THRESHOLD = 0.002;
+const CROWDED_8H = FUNDING_THRESHOLDS_8H.extreme; // fixed crowding gate, per coin and per venue
+const SINGLE_VENUE_MIN_OI_SHARE = 0.25;
 const COOLDOWN = 4 * 60 * 60 * 1000; // 4h cooldown per coin
 const RSI_FILE = path.join(__dirname, '../data/rsi-latest.json');
 const EMA_FILE = path.join(__dirname, '../data/ema-latest.json');
 const MULTI_TF_FILE = path.join(__dirname, '../data/multi-tf-latest.json');
 const ORDERBOOK_FILE = path.join(__dirname, '../data/orderbook-depth-latest.json');
 const VOLUME_FILE = path.join(__dirname, '../data/volume-scanner-latest.json');
+const LIQUIDATIONS_FILE = path.join(__dirname, '../data/liquidations-latest.json');
 
-function loadState() {
-  try {
-    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-  } catch {
-    return { lastAlerted: {} };
+// Relative crowding (see funding-history.js)
+const MIN_HISTORY_SAMPLES = 30; // ~10 days of 8h periods
+const Z_EXTREME = 2;
+const PCTL_EXTREME = 5;         // bottom/top 5% of the last 30d
+
+// Decide crowding from the coin's history when there's enough of it, else fall back
+// to the fixed CROWDED_8H sentiment from coinView
+function classifyCrowding(coin, { fixedThresholds = false } = {}) {
+  const h = coin.history;
+  if (fixedThresholds || !h || h.samples30d < MIN_HISTORY_SAMPLES || h.z30d === null) {
+    const crowded = coin.sentiment === 'shorts_crowded' || coin.sentiment === 'longs_crowded';
+    return { sentiment: coin.sentiment, isExtreme: crowded, relative: false };
+  }
+  if (coin.avgRate < 0 && h.z30d <= -Z_EXTREME && h.pctl30d <= PCTL_EXTREME) {
+    return { sentiment: 'shorts_crowded', isExtreme: true, relative: true };
   }
+  if (coin.avgRate > 0 && h.z30d >= Z_EXTREME && h.pctl30d >= 100 - PCTL_EXTREME) {
+    return { sentiment: 'longs_crowded', isExtreme: true, relative: true };
+  }
+  return { sentiment: coin.sentiment, isExtreme: false, relative: true };
 }
 
-function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+// Scorer options from the command line (squeeze-monitor and squeeze-scoring). Read only
+// by the CLIs — modules that require this one (backtest) pass their own to findCandidates.
+//   fixedThresholds  --fixed-thresholds: always use CROWDED_8H, never the coin's history
+//   rsiTfs           --rsi-tfs 4h,1d: every listed timeframe must confirm (null → headline RSI)
+//   intrabar         --intrabar: EMA signals on the forming candle count too
+//   rulesPath        --rules <file>
+function parseOptions(argv = process.argv.slice(2)) {
+  const valueOf = flag => {
+    const i = argv.indexOf(flag);
+    return i !== -1 && argv[i + 1] ? argv[i + 1] : null;
+  };
+  const rsiTfs = valueOf('--rsi-tfs');
+  const rules = valueOf('--rules');
+  return {
+    fixedThresholds: argv.includes('--fixed-thresholds'),
+    rsiTfs: rsiTfs ? rsiTfs.split(',').map(t => t.trim()).filter(Boolean) : null,
+    intrabar: argv.includes('--intrabar'),
+    rulesPath: rules ? path.resolve(rules) : DEFAULT_RULES_PATH,
+  };
 }
 
-function main() {
-  console.log('🔍 Squeeze Monitor v2\n');
+// The readings the RSI gate checks: [{ tf, rsi }], or null if any is missing
+function rsiReadings(entry, rsiTfs = null) {
+  if (!entry) return null;
+  if (!rsiTfs) return entry.rsi != null ? [{ tf: entry.timeframe || null, rsi: entry.rsi }] : null;
+  const readings = rsiTfs.map(tf => ({ tf, rsi: entry.timeframes?.[tf]?.rsi ?? null }));
+  return readings.every(r => r.rsi !== null) ? readings : null;
+}
 
-  if (!fs.existsSync(INPUT_FILE)) {
-    console.error('❌ No funding-rates-latest.json found. Run funding-rates.js first.');
-    process.exit(1);
-  }
+function describeRsi(readings) {
+  return readings.map(r => r.tf ? `${r.tf} ${r.rsi}` : `${r.rsi}`).join(', ');
+}
 
-  const data = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf8'));
-  const coins = data.coins || [];
-  const state = loadState();
-  const now = Date.now();
-  const alerts = [];
+// EMA signals are weighed by the timeframe they fired on: signal weight × this.
+// A score of thresholds.emaConfirmScore confirms (daily NEAR_EMA200 = 3, 4h = 2.25).
+const EMA_TF_WEIGHT = { '1h': 0.5, '4h': 0.75, '1d': 1, '1w': 1.25 };
+const STRUCTURE_TF_ORDER = ['1d', '1w', '4h', '1h'];
 
-  // Load RSI data if available
-  let rsiData = {};
-  try {
-    const rsiRaw = JSON.parse(fs.readFileSync(RSI_FILE, 'utf8'));
-    for (const c of (rsiRaw.coins || [])) {
-      rsiData[c.ticker] = c.rsi;
+// ema-latest.json coin → { tf: data }. Files from before per-timeframe output were daily-only.
+function emaTimeframes(entry) {
+  if (entry.timeframes) return entry.timeframes;
+  return {
+    '1d': {
+      ...entry,
+      priceVsSlow: entry.priceVsEMA200,
+      signals: (entry.signals || []).map(s => ({ ...s, timeframe: s.timeframe || '1d' })),
+    },
+  };
+}
+
+// The timeframe trend/alignment notes describe — daily when available
+function structureTimeframe(tfs) {
+  const tf = STRUCTURE_TF_ORDER.find(t => tfs[t] && !tfs[t].error && tfs[t].alignment);
+  return tf ? { timeframe: tf, ...tfs[tf] } : null;
+}
+
+// Highest-scoring signal whose type matches, with its timeframe-weighted score.
+// Signals from the forming candle only count with `intrabar`.
+function bestEmaSignal(tfs, matchType, intrabar = false) {
+  let best = null;
+  for (const [tf, data] of Object.entries(tfs)) {
+    for (const s of data.signals || []) {
+      if (!matchType(s.type)) continue;
+      if (s.confirmed === false && !intrabar) continue;
+      const timeframe = s.timeframe || tf;
+      const score = s.weight * (EMA_TF_WEIGHT[timeframe] ?? 1);
+      if (!best || score > best.score) {
+        best = { type: s.type, timeframe, weight: s.weight, score, confirmed: s.confirmed !== false, candleCloseTime: s.candleCloseTime ?? null };
+      }
     }
-    console.log(`📊 RSI data loaded for ${Object.keys(rsiData).length} coins`);
-  } catch {
-    console.log('⚠️ No RSI data available — run rsi-checker.js first');
   }
+  return best;
+}
+
+// funding-unified coin → the fields the checks below use, plus which venues are crowded
+function coinView(u) {
+  const rate = u.bestFunding;
+  const side = rate < 0 ? -1 : 1;
+  const venues = (u.venues || []).filter(v => Number.isFinite(v.rate8h));
+  const rates = venues.map(v => v.rate8h);
+  const crowdedVenues = venues
+    .filter(v => Math.sign(v.rate8h) === side && Math.abs(v.rate8h) >= CROWDED_8H)
+    .map(v => ({ venue: v.venue, rate8h: v.rate8h, oiUsd: v.oiUsd ?? null }));
+  const crowdedOi = crowdedVenues.reduce((sum, v) => sum + (v.oiUsd || 0), 0);
+  const oiKnown = crowdedVenues.every(v => v.oiUsd > 0) && u.totalOiUsd > 0;
+  const hl = u.hyperliquid;
+  const bestSide = u.bestVenue === 'hyperliquid' ? hl : u.cex;
+  const otherSide = u.bestVenue === 'hyperliquid' ? u.cex : hl;
+  return {
+    coin: u.coin,
+    avgRate: rate,
+    oiUsd: u.totalOiUsd,
+    sentiment: Math.abs(rate) >= CROWDED_8H ? (rate < 0 ? 'shorts_crowded' : 'longs_crowded')
+      : rate > 0 ? 'bullish' : rate < 0 ? 'bearish' : 'neutral',
+    history: u.history || null,
+    oiDelta: bestSide?.oiDelta || otherSide?.oiDelta || null,
+    oiFlags: u.oiFlags || [],
+    minRate: rates.length ? Math.min(...rates) : rate,
+    maxRate: rates.length ? Math.max(...rates) : rate,
+    exchangeCount: venues.length,
+    bestVenue: u.bestVenue,
+    hlSymbol: hl?.symbol || null,
+    markPrice: hl?.markPrice ?? null,
+    crowdedVenues,
+    // 'broad' = more than one venue crowded, 'single-venue' = one of several, 'only-venue' = listed on one venue
+    crowdingScope: venues.length <= 1 ? 'only-venue' : crowdedVenues.length > 1 ? 'broad' : 'single-venue',
+    crowdedOiShare: oiKnown ? Math.round(crowdedOi / u.totalOiUsd * 100) / 100 : null,
+  };
+}
+
+function describeVenues(c) {
+  return c.crowdedVenues.map(v => `${v.venue} ${(v.rate8h * 100).toFixed(3)}%`).join(', ');
+}
 
-  // Load EMA data if available
-  let emaData = {};
+function describeHistory(h) {
+  const parts = [`z ${h.z30d}`, `${h.pctl30d}th pctl 30d`];
+  if (h.extremeStreak > 1) parts.push(`${h.extremeStreak} periods extreme`);
+  return parts.join(', ');
+}
+
+function loadState() {
   try {
-    const emaRaw = JSON.parse(fs.readFileSync(EMA_FILE, 'utf8'));
-    for (const c of (emaRaw.coins || [])) {
-      if (!c.error) emaData[c.ticker] = c;
-    }
-    console.log(`📊 EMA data loaded for ${Object.keys(emaData).length} coins`);
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
   } catch {
-    console.log('⚠️ No EMA data available — run ema-checker.js first');
+    return { lastAlerted: {} };
   }
+}
 
-  // Load multi-timeframe data if available
-  let mtfData = {};
+function saveState(state) {
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Read a pipeline output into { canonical coin: entry }; null if the file is missing
+function loadKeyed(file, listKey, coinKey, keep = () => true) {
   try {
-    const mtfRaw = JSON.parse(fs.readFileSync(MULTI_TF_FILE, 'utf8'));
-    for (const r of (mtfRaw.results || [])) {
-      mtfData[r.coin] = r;
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const out = {};
+    for (const r of (raw[listKey] || [])) {
+      if (keep(r)) out[toCanonical(r[coinKey])] = r;
     }
-    console.log(`📊 Multi-TF data loaded for ${Object.keys(mtfData).length} coins`);
+    return out;
   } catch {
-    console.log('⚠️ No multi-TF data — run multi-tf-analyzer.js first');
+    return null;
   }
+}
 
-  // Load orderbook data if available
-  let obData = {};
-  try {
-    const obRaw = JSON.parse(fs.readFileSync(ORDERBOOK_FILE, 'utf8'));
-    for (const r of (obRaw.results || [])) {
-      if (!r.error) obData[r.coin] = r;
-    }
-    console.log(`📊 Orderbook data loaded for ${Object.keys(obData).length} coins`);
-  } catch {
-    console.log('⚠️ No orderbook data — run orderbook-depth.js first');
+// Every data file the checks read. Throws if the funding file is missing.
+//   rsiTfs: only for the log line, the gate itself is findCandidates'
+function loadInputs({ quiet = false, rsiTfs = null } = {}) {
+  const log = quiet ? () => {} : console.log;
+  if (!fs.existsSync(INPUT_FILE)) {
+    throw new Error('No funding-unified-latest.json found. Run funding-unified.js first.');
   }
 
-  // Load volume data if available
-  let volData = {};
-  try {
-    const volRaw = JSON.parse(fs.readFileSync(VOLUME_FILE, 'utf8'));
-    for (const r of (volRaw.results || [])) {
-      volData[r.coin] = r;
-    }
-    console.log(`📊 Volume data loaded for ${Object.keys(volData).length} coins`);
-  } catch {
-    console.log('⚠️ No volume data — run volume-scanner.js first');
+  const data = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf8'));
+  const coins = (data.coins || []).map(coinView);
+  log(`📊 Funding: ${coins.length} coins from ${(data.sources || []).join(', ') || 'unknown sources'}${data.partial ? ' (partial)' : ''}`);
+
+  const sources = [
+    ['rsi', RSI_FILE, 'coins', 'ticker', () => true, 'RSI data', 'No RSI data available — run rsi-checker.js first'],
+    ['ema', EMA_FILE, 'coins', 'ticker', c => !c.error, 'EMA data', 'No EMA data available — run ema-checker.js first'],
+    ['mtf', MULTI_TF_FILE, 'results', 'coin', () => true, 'Multi-TF data', 'No multi-TF data — run multi-tf-analyzer.js first'],
+    ['ob', ORDERBOOK_FILE, 'results', 'coin', r => !r.error, 'Orderbook data', 'No orderbook data — run orderbook-depth.js first'],
+    ['vol', VOLUME_FILE, 'results', 'coin', () => true, 'Volume data', 'No volume data — run volume-scanner.js first'],
+    ['liq', LIQUIDATIONS_FILE, 'results', 'coin', () => true, 'Liquidation map', 'No liquidation map — run liquidation-map.js first'],
+  ];
+  const inputs = { coins };
+  for (const [key, file, listKey, coinKey, keep, label, missing] of sources) {
+    const loaded = loadKeyed(file, listKey, coinKey, keep);
+    inputs[key] = loaded || {};
+    if (!loaded) log(`⚠️ ${missing}`);
+    else log(`📊 ${label} loaded for ${Object.keys(loaded).length} coins${key === 'rsi' && rsiTfs ? ` (gate: ${rsiTfs.join(' + ')})` : ''}`);
   }
+  // Relative strength is context only — it doesn't gate or score by default
+  const rs = loadRanking();
+  inputs.rs = rs || {};
+  if (!rs) log('⚠️ No relative-strength data — run relative-strength.js first');
+  else log(`📊 Relative strength loaded for ${Object.keys(rs).length} coins`);
+  return inputs;
+}
 
-  for (const coin of coins) {
+// Coins that pass the funding + RSI gates, scored by `rules`.
+//   options: { fixedThresholds, rsiTfs, intrabar } — see parseOptions; all off by default
+// → { candidates: [alert], skipped: [{ coin, reason }] }
+function findCandidates(inputs, rules, { fixedThresholds = false, rsiTfs = null, intrabar = false } = {}) {
+  const { minOiUsd, rsiOversold, rsiOverbought, emaConfirmScore, capitulationPriceVsSlow, liquidationFuelRangePct } = rules.thresholds;
+  const candidates = [];
+  const skipped = [];
+
+  for (const coin of inputs.coins) {
     const reasons = [];
 
     // Check extreme funding + high OI
-    const isCrowded = coin.sentiment === 'shorts_crowded' || coin.sentiment === 'longs_crowded';
-    const hasHighOI = coin.oiUsd && coin.oiUsd > OI_THRESHOLD;
+    const crowding = classifyCrowding(coin, { fixedThresholds });
+    const sentiment = crowding.sentiment;
+    const isCrowded = crowding.isExtreme && (sentiment === 'shorts_crowded' || sentiment === 'longs_crowded');
+    const hasHighOI = coin.oiUsd && coin.oiUsd > minOiUsd;
 
     if (isCrowded && hasHighOI) {
-      reasons.push(`${coin.sentiment} with $${Math.round(coin.oiUsd / 1_000_000)}M OI`);
+      const ctx = crowding.relative ? ` (${describeHistory(coin.history)})` : '';
+      const where = coin.crowdedVenues.length > 0 ? ` on ${describeVenues(coin)}` : '';
+      reasons.push(`${sentiment}${ctx}${where} with $${Math.round(coin.oiUsd / 1_000_000)}M OI`);
     }
 
-    // Check exchange divergence (requires OI > $5M AND funding at least noteworthy ±0.3%)
+    // Check venue divergence (requires OI > $1M AND extreme funding)
     const spread = coin.maxRate - coin.minRate;
-    const absRate = Math.abs(coin.avgRate);
-    if (spread > DIVERGENCE_THRESHOLD && coin.oiUsd && coin.oiUsd > OI_THRESHOLD && absRate >= 0.006) {
-      reasons.push(`exchange divergence ${(spread * 100).toFixed(3)}% spread`);
+    if (spread > DIVERGENCE_THRESHOLD && coin.oiUsd && coin.oiUsd > minOiUsd && crowding.isExtreme) {
+      reasons.push(`venue divergence ${(spread * 100).toFixed(3)}% spread`);
     }
 
     if (reasons.length === 0) continue;
 
-    // RSI GATE: Only alert if RSI confirms the reversal thesis
-    const rsi = rsiData[coin.coin];
-    let rsiValid = false;
+    // One crowded venue among several: only a squeeze if that venue holds real OI
+    // (venues that don't report OI get the benefit of the doubt)
+    if (coin.crowdingScope === 'single-venue' && coin.crowdedOiShare !== null && coin.crowdedOiShare < SINGLE_VENUE_MIN_OI_SHARE) {
+      skipped.push({ coin: coin.coin, reason: `crowded on ${describeVenues(coin)} only (${Math.round(coin.crowdedOiShare * 100)}% of OI) — venue dislocation` });
+      continue;
+    }
+
+    // OI build-up / flush — cited once the coin already qualifies on funding
+    const oiFlags = coin.oiFlags || [];
+    if (oiFlags.includes('OI_RISING_INTO_EXTREME')) {
+      reasons.push(`${describeOiDelta(coin.oiDelta)} into extreme funding`);
+    } else if (oiFlags.includes('OI_FLUSH')) {
+      reasons.push(`OI flush: ${describeOiDelta(coin.oiDelta)}`);
+    }
+
+    // RSI GATE: Only alert if RSI confirms the reversal thesis (on every gated timeframe)
+    const rsiEntry = inputs.rsi[coin.coin];
+    const readings = rsiReadings(rsiEntry, rsiTfs);
+    const rsi = rsiEntry ? rsiEntry.rsi : undefined;
     let rsiNote = '';
-    
-    if (rsi !== undefined) {
-      // Shorts crowded → only alert if RSI ≤ 35 (oversold, bounce likely = LONG setup)
-      if (coin.sentiment === 'shorts_crowded' && rsi <= 35) {
-        rsiValid = true;
-        rsiNote = `RSI ${rsi} (oversold) — long setup`;
+
+    if (readings) {
+      // Shorts crowded → only alert if RSI oversold (bounce likely = LONG setup)
+      if (sentiment === 'shorts_crowded' && readings.every(r => r.rsi <= rsiOversold)) {
+        rsiNote = `RSI ${describeRsi(readings)} (oversold) — long setup`;
       }
-      // Longs crowded → only alert if RSI ≥ 65 (overbought, dump likely = SHORT setup)
-      else if (coin.sentiment === 'longs_crowded' && rsi >= 65) {
-        rsiValid = true;
-        rsiNote = `RSI ${rsi} (overbought) — short setup`;
+      // Longs crowded → only alert if RSI overbought (dump likely = SHORT setup)
+      else if (sentiment === 'longs_crowded' && readings.every(r => r.rsi >= rsiOverbought)) {
+        rsiNote = `RSI ${describeRsi(readings)} (overbought) — short setup`;
       }
       else {
         // RSI doesn't confirm — NO ALERT. Confluence required.
-        console.log(`  ${coin.coin}: ${coin.sentiment} but RSI ${rsi} doesn't confirm — skipped (confluence required)`);
+        skipped.push({ coin: coin.coin, reason: `${sentiment} but RSI ${describeRsi(readings)} doesn't confirm (confluence required)` });
         continue;
       }
     } else {
       // No RSI data = no confluence = no alert. Period.
-      console.log(`  ${coin.coin}: No RSI data — skipped (confluence required)`);
+      const missing = rsiEntry && rsiTfs ? ` for ${rsiTfs.join(' + ')}` : '';
+      skipped.push({ coin: coin.coin, reason: `No RSI data${missing} (confluence required)` });
       continue;
     }
 
-    const setupDirection = coin.sentiment === 'shorts_crowded' ? 'LONG' : 'SHORT';
+    const setupDirection = sentiment === 'shorts_crowded' ? 'LONG' : 'SHORT';
     
     // EMA confluence check
-    const ema = emaData[coin.coin];
+    const ema = inputs.ema[coin.coin];
     let emaNote = '';
     let emaConfirms = false;
-    let conviction = 'MEDIUM'; // base: funding + RSI
+    let emaSignal = null;
+    let structure = null;
     
     if (ema) {
-      const { trend, alignment, priceVsEMA200, signals: emaSigs } = ema;
+      const tfs = emaTimeframes(ema);
+      structure = structureTimeframe(tfs);
+      const { trend, alignment, priceVsSlow } = structure || {};
       
       // For LONG setup (shorts crowded): EMA confirms if price near support or oversold at EMA level
       if (setupDirection === 'LONG') {
-        // Best: bearish stack BUT near EMA support (200 nearby) = max squeeze potential
-        if (emaSigs && emaSigs.some(s => s.type === 'NEAR_EMA200' || s.type === 'CROSS_ABOVE_200')) {
-          emaConfirms = true;
-          emaNote = `EMA 200 battle zone (${priceVsEMA200}% away) — squeeze has structure`;
-          conviction = 'HIGH';
+        // Best: bearish stack BUT near EMA support (slow EMA nearby) = max squeeze potential
+        emaSignal = bestEmaSignal(tfs, t => t.startsWith('NEAR_EMA') || t.startsWith('CROSS_ABOVE_'), intrabar);
+        if (emaSignal) {
+          const strong = emaSignal.score >= emaConfirmScore;
+          emaConfirms = strong;
+          emaNote = `${emaSignal.timeframe} EMA battle zone (${tfs[emaSignal.timeframe].priceVsSlow}% away)${strong ? ' — squeeze has structure' : ' — lower timeframe only'}${emaSignal.confirmed ? '' : ' (intrabar)'}`;
         }
-        // Good: deeply below 200 + extreme funding = capitulation bounce
-        else if (priceVsEMA200 < -30) {
-          emaNote = `${priceVsEMA200}% below EMA 200 — extended, capitulation bounce possible`;
-          conviction = 'MEDIUM-HIGH';
+        // Good: deeply below the slow EMA + extreme funding = capitulation bounce
+        else if (priceVsSlow < capitulationPriceVsSlow) {
+          emaNote = `${priceVsSlow}% below ${structure.timeframe} slow EMA — extended, capitulation bounce possible`;
         }
         // Caution: bearish stack, far from support
-        else {
-          emaNote = `${trend} ${alignment} (${priceVsEMA200}% from 200)`;
+        else if (structure) {
+          emaNote = `${structure.timeframe} ${trend} ${alignment} (${priceVsSlow}% from slow EMA)`;
         }
       }
       
       // For SHORT setup (longs crowded): EMA confirms if price at resistance
       if (setupDirection === 'SHORT') {
-        if (emaSigs && emaSigs.some(s => s.type === 'NEAR_EMA200' || s.type === 'CROSS_BELOW_200')) {
-          emaConfirms = true;
-          emaNote = `Rejected at EMA 200 — short has structure`;
-          conviction = 'HIGH';
+        emaSignal = bestEmaSignal(tfs, t => t.startsWith('NEAR_EMA') || t.startsWith('CROSS_BELOW_'), intrabar);
+        if (emaSignal) {
+          const strong = emaSignal.score >= emaConfirmScore;
+          emaConfirms = strong;
+          emaNote = `Rejected at ${emaSignal.timeframe} slow EMA${strong ? ' — short has structure' : ' — lower timeframe only'}${emaSignal.confirmed ? '' : ' (intrabar)'}`;
         }
         else if (alignment === 'BEARISH') {
-          emaNote = `Bearish EMA stack confirms short bias`;
+          emaNote = `Bearish ${structure.timeframe} EMA stack confirms short bias`;
           emaConfirms = true;
-          conviction = 'MEDIUM-HIGH';
         }
-        else {
-          emaNote = `${trend} ${alignment} (${priceVsEMA200}% from 200)`;
+        else if (structure) {
+          emaNote = `${structure.timeframe} ${trend} ${alignment} (${priceVsSlow}% from slow EMA)`;
         }
       }
     } else {
       emaNote = 'No EMA data';
     }
     
-    // Triple confluence: funding + RSI + EMA all confirm
-    const tripleConfluence = rsiValid && emaConfirms;
-    if (tripleConfluence) conviction = 'HIGH';
+    // Triple confluence: funding + RSI (gated above) + EMA all confirm
+    const tripleConfluence = emaConfirms;
 
-    // --- NEW: Multi-timeframe alignment boost ---
-    const mtf = mtfData[coin.coin];
+    // Multi-timeframe alignment
+    const mtf = inputs.mtf[coin.coin];
+    const mtfAgainstSetup = !!mtf && (
+      (setupDirection === 'LONG' && mtf.alignment === 'BEARISH_ALIGNED') ||
+      (setupDirection === 'SHORT' && mtf.alignment === 'BULLISH_ALIGNED'));
     let mtfNote = '';
     if (mtf) {
-      if (setupDirection === 'LONG' && mtf.alignment === 'BEARISH_ALIGNED') {
-        mtfNote = 'All TFs bearish — max squeeze potential if reversal triggers';
-        if (tripleConfluence) conviction = 'VERY HIGH';
-      } else if (setupDirection === 'SHORT' && mtf.alignment === 'BULLISH_ALIGNED') {
-        mtfNote = 'All TFs bullish — max squeeze potential if reversal triggers';
-        if (tripleConfluence) conviction = 'VERY HIGH';
-      } else if (mtf.rsiDivergence) {
-        mtfNote = `RSI divergence: ${mtf.rsiDivergence}`;
-      } else {
-        mtfNote = `TF alignment: ${mtf.alignment}`;
-      }
+      mtfNote = mtfAgainstSetup
+        ? `All TFs ${setupDirection === 'LONG' ? 'bearish' : 'bullish'} — max squeeze potential if reversal triggers`
+        : `TF alignment: ${mtf.alignment}${typeof mtf.alignmentScore === 'number' ? ` (${mtf.alignmentScore > 0 ? '+' : ''}${mtf.alignmentScore})` : ''}`;
+      if (mtf.alignmentChanged) mtfNote += ` — was ${mtf.previous.bias}`;
+    }
+
+    // Price/RSI divergence — a regular divergence in the setup direction is the
+    // reversal we're betting on; hidden ones are noted only
+    const setupBias = setupDirection === 'LONG' ? 'bullish' : 'bearish';
+    const divergences = mtf?.divergences || [];
+    const confirmingDivs = divergences.filter(d => d.bias === setupBias);
+    const conflictingDivs = divergences.filter(d => d.bias !== setupBias);
+    let divergenceNote = '';
+    if (confirmingDivs.length > 0) {
+      divergenceNote = confirmingDivs.map(describeDivergence).join(' | ');
+    } else if (conflictingDivs.length > 0) {
+      divergenceNote = `Conflicts with setup: ${conflictingDivs.map(describeDivergence).join(' | ')}`;
     }
 
-    // --- NEW: Orderbook pressure ---
-    const ob = obData[coin.coin];
+    // Orderbook pressure
+    const ob = inputs.ob[coin.coin];
+    const obSupports = !!ob && (
+      (setupDirection === 'LONG' && ob.pressure === 'buy_pressure') ||
+      (setupDirection === 'SHORT' && ob.pressure === 'sell_pressure'));
     let obNote = '';
     if (ob) {
-      if (setupDirection === 'LONG' && ob.pressure === 'buy_pressure') {
-        obNote = `Book supports long — ${ob.imbalance}x bid/ask ratio`;
-        if (conviction === 'HIGH') conviction = 'VERY HIGH';
-      } else if (setupDirection === 'SHORT' && ob.pressure === 'sell_pressure') {
-        obNote = `Book supports short — ${ob.imbalance}x ask/bid ratio`;
-        if (conviction === 'HIGH') conviction = 'VERY HIGH';
+      if (obSupports) {
+        obNote = `Book supports ${setupDirection.toLowerCase()} — ${ob.imbalance}x ${setupDirection === 'LONG' ? 'bid/ask' : 'ask/bid'} ratio`;
       } else if (ob.pressure !== 'neutral') {
         obNote = `Book ${ob.pressure} (${ob.imbalance}x) — conflicts with setup`;
       }
@@ -249,8 +441,8 @@ function main() {
       }
     }
 
-    // --- NEW: Volume context ---
-    const vol = volData[coin.coin];
+    // Volume context
+    const vol = inputs.vol[coin.coin];
     let volNote = '';
     if (vol) {
       if (vol.isSpike) {
@@ -262,27 +454,163 @@ function main() {
         volNote += (volNote ? ' | ' : '') + `High OI/Vol: ${vol.oiToVolRatio}x — crowded`;
       }
     }
+
+    // Liquidation fuel — the crowded side's liquidations the squeeze would run into
+    const liq = inputs.liq[coin.coin];
+    let liquidationFuel = null;
+    let liqNote = '';
+    if (liq) {
+      const side = setupDirection === 'LONG' ? 'shorts' : 'longs';
+      const near = (liq[side]?.bands || []).filter(b => Math.abs(b.distPct) <= liquidationFuelRangePct);
+      const usd = near.reduce((sum, b) => sum + b.usd, 0);
+      const biggest = near.reduce((best, b) => (!best || b.usd > best.usd ? b : best), null);
+      liquidationFuel = {
+        side,
+        usd,
+        oiShare: liq.oiUsd > 0 ? Math.round(usd / liq.oiUsd * 100) / 100 : null,
+        biggestCluster: biggest,
+      };
+      if (biggest) {
+        liqNote = `$${(usd / 1e6).toFixed(1)}M ${side} liquidate within ${liquidationFuelRangePct}%, biggest ${describeCluster(biggest, side)}`;
+      }
+    }
+
+    // Relative strength vs BTC / ETH
+    const rs = inputs.rs[coin.coin];
+    const rsNote = rs ? describeRanking(rs) : '';
+
+    // What the rules file scores. A section is null when its data file doesn't cover the coin.
+    const rsiValues = readings.map(r => r.rsi);
+    const facts = {
+      setup: setupDirection,
+      funding: {
+        rate8h: coin.avgRate,
+        relative: crowding.relative,
+        z30d: coin.history?.z30d ?? null,
+        pctl30d: coin.history?.pctl30d ?? null,
+        extremeStreak: coin.history?.extremeStreak ?? null,
+        crowdingScope: coin.crowdingScope,
+        crowdedVenues: coin.crowdedVenues.length,
+        oiFlags,
+        oiUsd: coin.oiUsd,
+      },
+      rsi: {
+        min: Math.min(...rsiValues),
+        max: Math.max(...rsiValues),
+        // How far every gated reading is past the gate, in RSI points
+        depth: setupDirection === 'LONG' ? rsiOversold - Math.max(...rsiValues) : Math.min(...rsiValues) - rsiOverbought,
+      },
+      ema: ema ? {
+        signalScore: emaSignal ? Math.round(emaSignal.score * 100) / 100 : 0,
+        signalTimeframe: emaSignal?.timeframe ?? null,
+        priceVsSlow: structure?.priceVsSlow ?? null,
+        alignment: structure?.alignment ?? null,
+        trend: structure?.trend ?? null,
+      } : null,
+      multiTf: mtf ? {
+        alignment: mtf.alignment,
+        againstSetup: mtfAgainstSetup,
+        // + = trending with the setup, - = against it
+        setupScore: typeof mtf.alignmentScore === 'number' ? (setupDirection === 'LONG' ? 1 : -1) * mtf.alignmentScore : null,
+        bias: mtf.bias ?? null,
+        changed: mtf.alignmentChanged ?? false,
+      } : null,
+      divergence: mtf ? {
+        regularConfirming: confirmingDivs.some(d => d.type.startsWith('REGULAR_')),
+        hiddenConfirming: confirmingDivs.some(d => d.type.startsWith('HIDDEN_')),
+        conflictingOnly: confirmingDivs.length === 0 && conflictingDivs.length > 0,
+      } : null,
+      orderbook: ob ? {
+        supportsSetup: obSupports,
+        conflicts: !obSupports && ob.pressure !== 'neutral',
+        imbalance: ob.imbalance ?? null,
+      } : null,
+      volume: vol ? {
+        isSpike: !!vol.isSpike,
+        isDryUp: !!vol.isDryUp,
+        spike24h: vol.spike24h ?? null,
+        oiToVolRatio: vol.oiToVolRatio ?? null,
+      } : null,
+      liquidations: liquidationFuel ? {
+        fuelUsd: liquidationFuel.usd,
+        fuelOiShare: liquidationFuel.oiShare,
+        biggestClusterUsd: liquidationFuel.biggestCluster?.usd ?? 0,
+        biggestClusterDistPct: liquidationFuel.biggestCluster ? Math.abs(liquidationFuel.biggestCluster.distPct) : null,
+      } : null,
+      relativeStrength: rs ? {
+        score: rs.rsScore,
+        rank: rs.rank,
+        trendVsBtc: rs.trendVsBtc,
+        trendVsEth: rs.trendVsEth,
+        betaBtc: rs.betaBtc,
+        decoupled: rs.decoupled,
+      } : null,
+    };
+    const scored = evaluate(rules, facts);
     
-    alerts.push({
+    candidates.push({
       coin: coin.coin,
       avgRate: coin.avgRate,
       oiUsd: coin.oiUsd,
-      sentiment: coin.sentiment,
+      sentiment,
+      fundingHistory: coin.history || null,
+      oiDelta: coin.oiDelta || null,
+      oiFlags,
       setupDirection,
       exchangeCount: coin.exchangeCount,
+      bestVenue: coin.bestVenue,
+      hlSymbol: coin.hlSymbol,
+      entryPrice: coin.markPrice,
+      crowdedVenues: coin.crowdedVenues,
+      crowdingScope: coin.crowdingScope,
+      crowdedOiShare: coin.crowdedOiShare,
       rsi: rsi || null,
+      rsiTimeframes: rsiEntry.timeframes
+        ? Object.fromEntries(Object.entries(rsiEntry.timeframes).map(([tf, v]) => [tf, v.rsi]))
+        : null,
       rsiNote,
       emaNote,
       emaConfirms,
+      emaSignal,
       mtfNote,
+      divergences: confirmingDivs,
+      divergenceNote,
       obNote,
       volNote,
+      liquidationFuel,
+      liqNote,
+      rsNote,
       tripleConfluence,
-      conviction,
+      score: scored.score,
+      conviction: scored.conviction,
+      scoreFactors: scored.factors,
+      facts,
       reason: reasons.join('; ')
     });
   }
 
+  return { candidates, skipped };
+}
+
+async function main() {
+  console.log('🔍 Squeeze Monitor v2\n');
+
+  const options = parseOptions();
+  let rules, inputs;
+  try {
+    rules = loadRules(options.rulesPath);
+    inputs = loadInputs({ rsiTfs: options.rsiTfs });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (options.rulesPath !== DEFAULT_RULES_PATH) console.log(`📐 Rules: ${options.rulesPath}`);
+
+  const state = loadState();
+  const now = Date.now();
+  const { candidates: alerts, skipped } = findCandidates(inputs, rules, options);
+  for (const s of skipped) console.log(`  ${s.coin}: ${s.reason} — skipped`);
+
   // Filter by cooldown for "new" alerts
   const newAlerts = alerts.filter(a => {
     const key = `${a.sentiment}_${a.coin}`;
@@ -313,9 +641,13 @@ function main() {
       const emaStr = a.emaNote ? ` | EMA: ${a.emaNote}` : '';
       const confStr = a.tripleConfluence ? ' ⚡TRIPLE CONFLUENCE' : '';
       const mtfStr = a.mtfNote ? ` | MTF: ${a.mtfNote}` : '';
+      const divStr = a.divergenceNote ? ` | Div: ${a.divergenceNote}` : '';
       const obStr = a.obNote ? ` | OB: ${a.obNote}` : '';
       const volStr = a.volNote ? ` | Vol: ${a.volNote}` : '';
-      console.log(`  ${a.coin} [${a.conviction}]: ${rate}% funding, ${oi} OI${rsiStr}${emaStr}${mtfStr}${obStr}${volStr} — ${a.setupDirection}${confStr}${isNew}`);
+      const liqStr = a.liqNote ? ` | Liq: ${a.liqNote}` : '';
+      const rsStr = a.rsNote ? ` | ${a.rsNote}` : '';
+      const venueStr = a.crowdedVenues.length > 0 ? ` (${a.crowdingScope}: ${a.crowdedVenues.map(v => v.venue).join(', ')})` : '';
+      console.log(`  ${a.coin} [${a.conviction} ${a.score}]: ${rate}% funding${venueStr}, ${oi} OI${rsiStr}${emaStr}${mtfStr}${divStr}${obStr}${volStr}${liqStr}${rsStr} — ${a.setupDirection}${confStr}${isNew}`);
     }
   } else {
     console.log('No squeeze candidates detected.');
@@ -324,6 +656,19 @@ function main() {
   fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2));
   saveState(state);
   console.log(`\nSaved to ${OUTPUT_FILE}`);
+
+  // Outcome tracking — a failed price fetch mustn't cost the alerts above
+  try {
+    const recorded = recordAlerts(newAlerts, now);
+    const r = await updateOutcomes({ now });
+    console.log(`📒 Outcomes: ${recorded} recorded, ${r.updated} open alerts updated (${r.completed} completed)${r.failed.length ? `, ${r.failed.length} failed` : ''}`);
+  } catch (e) {
+    console.log(`⚠️ Outcome tracking failed: ${e.message}`);
+  }
 }
 
-main();
+module.exports = { loadInputs, findCandidates, coinView, classifyCrowding, parseOptions };
+
+if (require.main === module) {
+  main().catch(e => { console.error('Fatal:', e.message); process.exit(1); });
+}
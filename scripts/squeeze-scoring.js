@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Squeeze Scoring — declarative conviction rules for squeeze-monitor.js.
+ *
+ * Rules live in config/squeeze-rules.json:
+ *   thresholds  minOiUsd (the OI gate), rsiOversold / rsiOverbought (the RSI gate), emaConfirmScore and
+ *               capitulationPriceVsSlow (also shape the EMA note), liquidationFuelRangePct
+ *   base        points every candidate starts with (it passed funding + RSI)
+ *   factors     [{ id, factor, description, when, points }] — points added when `when` holds
+ *   conviction  [{ min, label }] — highest band whose min the score reaches
+ *
+ * A condition is { fact, op, value } or { all: [...] } / { any: [...] } / { not: {...} }.
+ * Ops: == != < <= > >= in includes exists. A value of { threshold: name } reads
+ * thresholds[name], so one number tunes both the gate/notes and the factor. A fact
+ * that's missing (no data file, coin not covered) fails every op except `exists: false`.
+ *
+ * Facts squeeze-monitor.js provides per candidate:
+ *   setup                    'LONG' | 'SHORT'
+ *   funding.rate8h           headline 8h rate (raw decimal)
+ *   funding.relative         crowding judged against the coin's own history
+ *   funding.z30d / funding.pctl30d / funding.extremeStreak
+ *   funding.crowdingScope    'broad' | 'single-venue' | 'only-venue'
+ *   funding.crowdedVenues    number of crowded venues
+ *   funding.oiFlags          e.g. ['OI_RISING_INTO_EXTREME']
+ *   funding.oiUsd
+ *   rsi.min / rsi.max        across the gated RSI readings
+ *   rsi.depth                RSI points past the gate on the setup side (0 = right at rsiOversold / rsiOverbought)
+ *   ema.signalScore          timeframe-weighted score of the best EMA signal for the setup (0 = none)
+ *   ema.signalTimeframe / ema.priceVsSlow / ema.alignment / ema.trend
+ *   multiTf.alignment        'BULLISH_ALIGNED' | 'BEARISH_ALIGNED' | 'MIXED'
+ *   multiTf.againstSetup     every timeframe trends against the setup
+ *   multiTf.setupScore       weighted alignment score signed to the setup (-100..+100, + = with it)
+ *   multiTf.bias / multiTf.changed  bias label, and whether it changed since the previous multi-tf run
+ *   divergence.regularConfirming / divergence.hiddenConfirming / divergence.conflictingOnly
+ *   orderbook.supportsSetup / orderbook.conflicts / orderbook.imbalance
+ *   volume.isSpike / volume.isDryUp / volume.spike24h / volume.oiToVolRatio
+ *   liquidations.fuelUsd     estimated liquidations on the squeezed side within liquidationFuelRangePct
+ *   liquidations.fuelOiShare / liquidations.biggestClusterUsd / liquidations.biggestClusterDistPct
+ *   relativeStrength.score   0-100 rank score vs BTC / ETH (relative-strength.js); .rank
+ *   relativeStrength.trendVsBtc / .trendVsEth   'outperforming' | 'underperforming' | 'mixed' on the 1d ratio
+ *   relativeStrength.betaBtc / relativeStrength.decoupled
+ *
+ * Usage (evaluates the current data/ files, writes nothing):
+ *   node squeeze-scoring.js                              — score every candidate with config/squeeze-rules.json
+ *   node squeeze-scoring.js --rules my-rules.json        — another rules file
+ *   node squeeze-scoring.js --compare my-rules.json      — default rules vs this file, side by side
+ *   node squeeze-scoring.js --coin PEPE                  — one coin, with its facts and every factor's outcome
+ *   node squeeze-scoring.js --check my-rules.json        — validate a rules file only
+ * squeeze-monitor's --rsi-tfs / --intrabar / --fixed-thresholds apply here too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const DEFAULT_RULES_PATH = path.resolve(__dirname, '..', 'config', 'squeeze-rules.json');
+const OPS = new Set(['==', '!=', '<', '<=', '>', '>=', 'in', 'includes', 'exists']);
+const THRESHOLD_KEYS = ['minOiUsd', 'rsiOversold', 'rsiOverbought', 'emaConfirmScore', 'capitulationPriceVsSlow', 'liquidationFuelRangePct'];
+
+function validateCondition(cond, where, thresholds) {
+  if (!cond || typeof cond !== 'object') throw new Error(`${where}: condition must be an object`);
+  if (cond.all || cond.any) {
+    const list = cond.all || cond.any;
+    if (!Array.isArray(list) || list.length === 0) throw new Error(`${where}: all/any needs a non-empty array`);
+    list.forEach((c, i) => validateCondition(c, `${where}.${cond.all ? 'all' : 'any'}[${i}]`, thresholds));
+    return;
+  }
+  if (cond.not) return validateCondition(cond.not, `${where}.not`, thresholds);
+  if (typeof cond.fact !== 'string') throw new Error(`${where}: missing "fact"`);
+  if (!OPS.has(cond.op)) throw new Error(`${where}: unknown op "${cond.op}" (use ${[...OPS].join(' ')})`);
+  if (cond.op === 'in' && !Array.isArray(cond.value)) throw new Error(`${where}: "in" needs an array value`);
+  const ref = cond.value?.threshold;
+  if (ref !== undefined && !Number.isFinite(thresholds[ref])) throw new Error(`${where}: unknown threshold "${ref}"`);
+}
+
+// Throws with the offending path so a typo in the rules file is obvious
+function validateRules(rules) {
+  if (!rules || typeof rules !== 'object') throw new Error('rules: not an object');
+  for (const key of THRESHOLD_KEYS) {
+    if (!Number.isFinite(rules.thresholds?.[key])) throw new Error(`thresholds.${key}: must be a number`);
+  }
+  if (!Number.isFinite(rules.base)) throw new Error('base: must be a number');
+  if (!Array.isArray(rules.factors)) throw new Error('factors: must be an array');
+  const ids = new Set();
+  rules.factors.forEach((f, i) => {
+    const where = `factors[${i}]${f && f.id ? ` (${f.id})` : ''}`;
+    if (typeof f.id !== 'string' || !f.id) throw new Error(`${where}: missing "id"`);
+    if (ids.has(f.id)) throw new Error(`${where}: duplicate id`);
+    ids.add(f.id);
+    if (!Number.isFinite(f.points)) throw new Error(`${where}: "points" must be a number`);
+    validateCondition(f.when, `${where}.when`, rules.thresholds);
+  });
+  if (!Array.isArray(rules.conviction) || rules.conviction.length === 0) throw new Error('conviction: needs at least one band');
+  rules.conviction.forEach((b, i) => {
+    if (!Number.isFinite(b.min) || typeof b.label !== 'string') throw new Error(`conviction[${i}]: needs numeric "min" and "label"`);
+  });
+  return rules;
+}
+
+function loadRules(file = DEFAULT_RULES_PATH) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Can't read rules ${file}: ${e.message}`);
+  }
+  try {
+    return validateRules(rules);
+  } catch (e) {
+    throw new Error(`Invalid rules ${file}: ${e.message}`);
+  }
+}
+
+function getFact(facts, name) {
+  let v = facts;
+  for (const part of name.split('.')) {
+    if (v === null || v === undefined) return undefined;
+    v = v[part];
+  }
+  return v;
+}
+
+function test(cond, facts, thresholds = {}) {
+  if (cond.all) return cond.all.every(c => test(c, facts, thresholds));
+  if (cond.any) return cond.any.some(c => test(c, facts, thresholds));
+  if (cond.not) return !test(cond.not, facts, thresholds);
+
+  const v = getFact(facts, cond.fact);
+  const value = cond.value?.threshold !== undefined ? thresholds[cond.value.threshold] : cond.value;
+  if (cond.op === 'exists') return (v !== undefined && v !== null) === (value !== false);
+  if (v === undefined || v === null) return false;
+  switch (cond.op) {
+    case '==': return v === value;
+    case '!=': return v !== value;
+    case '<': return v < value;
+    case '<=': return v <= value;
+    case '>': return v > value;
+    case '>=': return v >= value;
+    case 'in': return value.includes(v);
+    case 'includes': return Array.isArray(v) && v.includes(value);
+    default: return false;
+  }
+}
+
+// → { score, conviction, factors: [{ id, factor, points }] } — only the factors that matched
+function evaluate(rules, facts) {
+  const matched = rules.factors
+    .filter(f => test(f.when, facts, rules.thresholds))
+    .map(f => ({ id: f.id, factor: f.factor || null, points: f.points }));
+  const raw = matched.reduce((sum, f) => sum + f.points, rules.base);
+  const score = Math.max(0, Math.min(100, raw));
+  const band = [...rules.conviction].sort((a, b) => b.min - a.min).find(b => score >= b.min);
+  return { score, conviction: band ? band.label : rules.conviction[rules.conviction.length - 1].label, factors: matched };
+}
+
+module.exports = { DEFAULT_RULES_PATH, loadRules, validateRules, evaluate, test };
+
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      'rules': { type: 'string' },
+      'compare': { type: 'string' },
+      'coin': { type: 'string' },
+      'check': { type: 'string' },
+      'json': { type: 'boolean', default: false },
+    },
+    strict: false,
+  });
+
+  try {
+    if (args.check) {
+      const rules = loadRules(path.resolve(args.check));
+      console.log(`✅ ${args.check}: ${rules.factors.length} factors, ${rules.conviction.length} conviction bands`);
+      process.exit(0);
+    }
+
+    const rulesPath = args.rules ? path.resolve(args.rules) : DEFAULT_RULES_PATH;
+    const rules = loadRules(rulesPath);
+    const other = args.compare ? loadRules(path.resolve(args.compare)) : null;
+
+    // Lazy: squeeze-monitor requires this module for evaluate()
+    const { loadInputs, findCandidates, parseOptions } = require('./squeeze-monitor');
+    const options = parseOptions();
+    const inputs = loadInputs({ quiet: true });
+    let { candidates, skipped } = findCandidates(inputs, rules, options);
+    if (args.coin) {
+      const coin = args.coin.toUpperCase();
+      candidates = candidates.filter(c => c.coin === coin);
+      skipped = skipped.filter(s => s.coin === coin);
+    }
+
+    const rows = candidates.map(c => {
+      const row = { coin: c.coin, setupDirection: c.setupDirection, score: c.score, conviction: c.conviction, factors: c.scoreFactors };
+      if (other) {
+        const alt = evaluate(other, c.facts);
+        row.compare = { score: alt.score, conviction: alt.conviction, factors: alt.factors };
+      }
+      if (args.coin) {
+        row.facts = c.facts;
+        row.checked = rules.factors.map(f => ({ id: f.id, points: f.points, matched: test(f.when, c.facts, rules.thresholds) }));
+      }
+      return row;
+    }).sort((a, b) => b.score - a.score);
+
+    if (args.json) {
+      console.log(JSON.stringify({ rules: rulesPath, compare: args.compare || null, candidates: rows, skipped }, null, 2));
+      process.exit(0);
+    }
+
+    console.log(`📐 Squeeze scoring — ${path.relative(process.cwd(), rulesPath)}${other ? ` vs ${args.compare}` : ''}\n`);
+    if (rows.length === 0) console.log('No candidates pass the funding + RSI gates.');
+    for (const r of rows) {
+      const alt = r.compare ? ` → ${r.compare.score} ${r.compare.conviction}` : '';
+      console.log(`  ${r.coin.padEnd(8)} ${r.setupDirection.padEnd(5)} ${String(r.score).padStart(3)} ${r.conviction}${alt}`);
+      console.log(`           ${r.factors.map(f => `${f.id} ${f.points > 0 ? '+' : ''}${f.points}`).join(', ') || 'base only'}`);
+      if (r.compare) {
+        const ids = new Set(r.factors.map(f => f.id));
+        const altIds = new Set(r.compare.factors.map(f => f.id));
+        const diff = [...r.compare.factors.filter(f => !ids.has(f.id)).map(f => `+${f.id}`), ...r.factors.filter(f => !altIds.has(f.id)).map(f => `-${f.id}`)];
+        if (diff.length > 0) console.log(`           compare: ${diff.join(', ')}`);
+      }
+      if (r.facts) {
+        console.log(`           facts: ${JSON.stringify(r.facts)}`);
+        for (const f of r.checked) console.log(`           ${f.matched ? '✓' : '·'} ${f.id} (${f.points})`);
+      }
+    }
+    if (skipped.length > 0) {
+      console.log(`\n${skipped.length} crowded coins failed a gate:`);
+      for (const s of skipped) console.log(`  ${s.coin.padEnd(8)} ${s.reason}`);
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+require("./env");
+/**
+ * Symbols — one canonical name per asset, and each venue's symbol for it.
+ *
+ * The canonical asset is the plain base ticker ("PEPE", "BTC"). Venues that list
+ * a contract on a multiple of the coin use prefixed names — Hyperliquid kPEPE
+ * (1000 PEPE), Binance/Bybit 1000PEPEUSDT / 1MBABYDOGEUSDT — which never match
+ * across venues as strings. Every script that joins data by coin keys on
+ * toCanonical(name); anything that calls a venue maps the asset back with
+ * venueSymbol(asset, venue).
+ *
+ * Funding rates and USD OI are per position, so the multiplier doesn't touch
+ * them. Prices are per contract unit: a kPEPE price is 1000× PEPE's.
+ *
+ * The registry (data/symbols.json) is rebuilt from Hyperliquid meta and each CEX
+ * adapter's market list; without it names are still canonicalized by rule, and
+ * venueSymbol() falls back to the bare asset.
+ *
+ * Usage:
+ *   node symbols.js --refresh          — rebuild data/symbols.json from venue metadata
+ *   node symbols.js PEPE kBONK BTC     — show the mapping for these names
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { postJson } = require('./http');
+
+const REGISTRY_PATH = path.resolve(__dirname, '..', 'data', 'symbols.json');
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Same asset under an old ticker on some venues
+const ALIASES = {
+  'RNDR': 'RENDER',
+};
+
+// CoinGecko IDs — symbols are ambiguous on CoinGecko, so these stay hand-picked
+const GECKO_IDS = {
+  'BTC': 'bitcoin', 'ETH': 'ethereum', 'SOL': 'solana', 'XRP': 'ripple',
+  'DOGE': 'dogecoin', 'ADA': 'cardano', 'AVAX': 'avalanche-2', 'DOT': 'polkadot',
+  'LINK': 'chainlink', 'MATIC': 'matic-network', 'UNI': 'uniswap', 'ATOM': 'cosmos',
+  'FIL': 'filecoin', 'APT': 'aptos', 'ARB': 'arbitrum', 'OP': 'optimism',
+  'SUI': 'sui', 'SEI': 'sei-network', 'TIA': 'celestia', 'INJ': 'injective-protocol',
+  'NEAR': 'near', 'FTM': 'fantom', 'ALGO': 'algorand', 'AAVE': 'aave',
+  'MKR': 'maker', 'LDO': 'lido-dao', 'CRV': 'curve-dao-token', 'RUNE': 'thorchain',
+  'STX': 'blockstack', 'IMX': 'immutable-x', 'PEPE': 'pepe', 'WIF': 'dogwifcoin',
+  'BONK': 'bonk', 'FLOKI': 'floki', 'SHIB': 'shiba-inu', 'LTC': 'litecoin',
+  'BCH': 'bitcoin-cash', 'ETC': 'ethereum-classic', 'RENDER': 'render-token',
+  'FET': 'fetch-ai', 'RNDR': 'render-token', 'TAO': 'bittensor', 'GRT': 'the-graph',
+  'BERA': 'berachain', 'JUP': 'jupiter-exchange-solana', 'WLD': 'worldcoin-wld',
+  'PYTH': 'pyth-network', 'JTO': 'jito-governance-token', 'ONDO': 'ondo-finance',
+  'PENDLE': 'pendle', 'ENA': 'ethena', 'W': 'wormhole', 'STRK': 'starknet',
+  'ZK': 'zksync', 'BLAST': 'blast', 'MEME': 'memecoin-2', 'ORDI': 'ordinals',
+  'SATS': '1000sats', 'TRX': 'tron', 'TON': 'the-open-network', 'NOT': 'notcoin',
+  'BNB': 'binancecoin', 'VANA': 'vana', 'ZKP': 'panther',
+  'TRUMP': 'official-trump', 'MELANIA': 'melania-meme', 'AI16Z': 'ai16z',
+  'VIRTUAL': 'virtual-protocol', 'FARTCOIN': 'fartcoin', 'GRIFFAIN': 'griffain',
+  'POPCAT': 'popcat', 'MEW': 'cat-in-a-dogs-world', 'PNUT': 'peanut-the-squirrel',
+  'KAITO': 'kaito', 'IP': 'story-protocol', 'ANIME': 'animecoin',
+  'LAYER': 'solayer', 'TST': 'the-standard-token', 'VINE': 'vine',
+  'SPX': 'spx6900', 'AIXBT': 'aixbt',
+};
+
+// Venue name → { asset, multiplier }
+//   kPEPE → PEPE ×1000 (Hyperliquid: lowercase k + ticker)
+//   1000PEPE / 1000000MOG → ×1000 / ×1000000, 1MBABYDOGE → ×1000000
+//   SHIB1000 → ×1000 (Bybit suffix form)
+function parseSymbol(name) {
+  const raw = String(name).trim();
+  let asset = raw.toUpperCase();
+  let multiplier = 1;
+  let m;
+  if ((m = /^k([A-Z0-9]{2,})$/.exec(raw))) {
+    asset = m[1];
+    multiplier = 1000;
+  } else if ((m = /^1M([A-Z][A-Z0-9]*)$/.exec(asset))) {
+    asset = m[1];
+    multiplier = 1e6;
+  } else if ((m = /^(1000+)([A-Z][A-Z0-9]*)$/.exec(asset))) {
+    asset = m[2];
+    multiplier = Number(m[1]);
+  } else if ((m = /^([A-Z][A-Z0-9]*?)(1000+)$/.exec(asset))) {
+    asset = m[1];
+    multiplier = Number(m[2]);
+  }
+  return { asset: ALIASES[asset] || asset, multiplier };
+}
+
+function toCanonical(name) {
+  return parseSymbol(name).asset;
+}
+
+let registry = null;
+
+function loadRegistry() {
+  if (registry) return registry;
+  try { registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8')); }
+  catch { registry = { updated: null, assets: {} }; }
+  return registry;
+}
+
+// The symbol `venue` uses for `asset` (anything toCanonical accepts). Hyperliquid
+// falls back to the asset itself; other venues return null when unknown.
+function venueSymbol(asset, venue) {
+  const canonical = toCanonical(asset);
+  const entry = loadRegistry().assets[canonical]?.venues?.[venue];
+  if (entry) return entry.symbol;
+  return venue === 'hyperliquid' ? canonical : null;
+}
+
+// Multiplier of `venue`'s contract for `asset` (1 when unknown)
+function venueMultiplier(asset, venue) {
+  return loadRegistry().assets[toCanonical(asset)]?.venues?.[venue]?.multiplier ?? 1;
+}
+
+function geckoId(asset) {
+  return GECKO_IDS[toCanonical(asset)] || null;
+}
+
+async function fetchHyperliquidNames() {
+  const meta = await postJson('https://api.hyperliquid.xyz/info', { type: 'meta' });
+  if (!meta || !Array.isArray(meta.universe)) throw new Error('Hyperliquid meta returned unexpected format');
+  return meta.universe.filter(u => !u.isDelisted).map(u => u.name);
+}
+
+// Rebuild the registry from venue metadata. A venue that fails keeps its
+// previous entries, so one outage doesn't drop its symbols.
+async function refreshRegistry() {
+  const { ADAPTERS } = require('./venues');
+  const previous = loadRegistry();
+  const sources = [
+    { venue: 'hyperliquid', fetch: fetchHyperliquidNames },
+    ...Object.values(ADAPTERS).map(a => ({
+      venue: a.name,
+      fetch: async () => (await a.fetchMarks()).map(m => m.symbol),
+    })),
+  ];
+  const results = await Promise.allSettled(sources.map(s => s.fetch()));
+  if (results.every(r => r.status === 'rejected')) {
+    throw new Error(`every venue failed (${results.map((r, i) => `${sources[i].venue}: ${r.reason.message}`).join('; ')})`);
+  }
+
+  const assets = {};
+  const add = (asset, venue, entry) => {
+    assets[asset] = assets[asset] || { venues: {} };
+    const existing = assets[asset].venues[venue];
+    // A venue listing both PEPE and 1000PEPE → keep the 1× contract
+    if (!existing || entry.multiplier < existing.multiplier) assets[asset].venues[venue] = entry;
+  };
+
+  const errors = [];
+  results.forEach((r, i) => {
+    const { venue } = sources[i];
+    if (r.status === 'rejected') {
+      errors.push({ venue, error: r.reason.message });
+      for (const [asset, a] of Object.entries(previous.assets || {})) {
+        if (a.venues?.[venue]) add(asset, venue, a.venues[venue]);
+      }
+      return;
+    }
+    for (const symbol of r.value) {
+      // CEX symbols carry the quote ('PEPE-USDT-SWAP', '1000PEPEUSDT', 'PEPE_USDT')
+      const base = venue === 'hyperliquid' ? symbol : symbol.replace(/[-_]?USDT([-_]SWAP)?$/, '');
+      const { asset, multiplier } = parseSymbol(base);
+      add(asset, venue, { symbol, multiplier });
+    }
+  });
+
+  for (const [asset, a] of Object.entries(assets)) {
+    if (GECKO_IDS[asset]) a.gecko = GECKO_IDS[asset];
+  }
+
+  registry = { updated: new Date().toISOString(), errors, assets };
+  fs.mkdirSync(path.dirname(REGISTRY_PATH), { recursive: true });
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2));
+  return registry;
+}
+
+// Refresh when the registry is missing or older than maxAgeMs. Never throws —
+// a stale (or rule-only) registry is better than no scan.
+async function ensureRegistry({ maxAgeMs = MAX_AGE_MS } = {}) {
+  const current = loadRegistry();
+  if (current.updated && Date.now() - Date.parse(current.updated) < maxAgeMs) return current;
+  try {
+    return await refreshRegistry();
+  } catch (e) {
+    console.error(`⚠️ Symbol registry refresh failed: ${e.message}`);
+    return current;
+  }
+}
+
+module.exports = {
+  REGISTRY_PATH, parseSymbol, toCanonical, venueSymbol, venueMultiplier, geckoId,
+  loadRegistry, refreshRegistry, ensureRegistry,
+};
+
+if (require.main === module) {
+  const { values: args, positionals } = parseArgs({
+    options: { 'refresh': { type: 'boolean', default: false } },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  (async () => {
+    if (args.refresh) {
+      const r = await refreshRegistry();
+      console.log(`✓ ${Object.keys(r.assets).length} assets saved to ${REGISTRY_PATH}`);
+      for (const e of r.errors) console.error(`  ✗ ${e.venue}: ${e.error} (kept previous symbols)`);
+    }
+    for (const name of positionals) {
+      const { asset, multiplier } = parseSymbol(name);
+      const venues = loadRegistry().assets[asset]?.venues || {};
+      const list = Object.entries(venues).map(([v, e]) => `${v}=${e.symbol}${e.multiplier !== 1 ? ` (×${e.multiplier})` : ''}`);
+      console.log(`${name} → ${asset}${multiplier !== 1 ? ` (×${multiplier})` : ''} | ${list.length ? list.join(', ') : 'not in registry'} | gecko ${geckoId(asset) || '?'}`);
+    }
+    if (!args.refresh && positionals.length === 0) {
+      console.log('Usage:');
+      console.log('  node symbols.js --refresh');
+      console.log('  node symbols.js PEPE kBONK BTC');
+    }
+  })().catch(e => { console.error('Failed:', e.message); process.exit(1); });
+}
@@ -0,0 +1,88 @@
+// Binance USDⓈ-M futures public REST
+// OI is only available per symbol, so fetchOpenInterest takes a coin list.
+const { getJson } = require('../http');
+const { toCanonical } = require('../symbols');
+
+const BASE = 'https://fapi.binance.com/fapi/v1';
+
+// 'BTCUSDT' → 'BTC', '1000PEPEUSDT' → 'PEPE'; dated contracts ('BTCUSDT_250328') are skipped
+function coinFromSymbol(symbol) {
+  const m = /^([A-Z0-9]+)USDT$/.exec(symbol);
+  return m ? toCanonical(m[1]) : null;
+}
+
+function unwrap(json) {
+  if (!Array.isArray(json)) throw new Error(`Binance error: ${json ? json.msg || json.code : 'empty response'}`);
+  return json;
+}
+
+// fundingInfo only lists symbols whose interval was changed from the 8h default
+function parseFunding(premiumJson, fundingInfoJson = []) {
+  const intervals = new Map(unwrap(fundingInfoJson).map(f => [f.symbol, f.fundingIntervalHours]));
+  return unwrap(premiumJson).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const rate = parseFloat(d.lastFundingRate);
+    if (!coin || !Number.isFinite(rate)) return null;
+    const hours = intervals.get(d.symbol);
+    return {
+      coin,
+      symbol: d.symbol,
+      rate,
+      intervalMs: hours ? hours * 3600000 : null,
+      nextFundingTime: d.nextFundingTime || null,
+    };
+  }).filter(Boolean);
+}
+
+function parseMarks(premiumJson) {
+  return unwrap(premiumJson).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const markPrice = parseFloat(d.markPrice);
+    return coin && Number.isFinite(markPrice) ? { coin, symbol: d.symbol, markPrice } : null;
+  }).filter(Boolean);
+}
+
+// openInterest is in base coin — needs the mark to get USD
+function parseOpenInterest(oiJson, markPrice) {
+  const coin = coinFromSymbol(oiJson.symbol);
+  const oiUsd = parseFloat(oiJson.openInterest) * markPrice;
+  return coin && Number.isFinite(oiUsd) ? { coin, symbol: oiJson.symbol, oiUsd } : null;
+}
+
+async function fetchMarks() {
+  return parseMarks(await getJson(`${BASE}/premiumIndex`));
+}
+
+async function fetchOpenInterest(coins = []) {
+  const marks = new Map((await fetchMarks()).map(m => [m.coin, m]));
+  const results = [];
+  for (const coin of coins) {
+    const mark = marks.get(coin);
+    if (!mark) continue;
+    try {
+      const oi = parseOpenInterest(await getJson(`${BASE}/openInterest?symbol=${mark.symbol}`), mark.markPrice);
+      if (oi) results.push(oi);
+    } catch (e) {
+      console.error(`✗ Binance OI failed for ${coin}: ${e.message}`);
+    }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  return results;
+}
+
+module.exports = {
+  name: 'binance',
+  perSymbolOpenInterest: true,
+  fetchFunding: async () => {
+    const [premium, fundingInfo] = await Promise.all([
+      getJson(`${BASE}/premiumIndex`),
+      getJson(`${BASE}/fundingInfo`).catch(() => []),
+    ]);
+    return parseFunding(premium, fundingInfo);
+  },
+  fetchOpenInterest,
+  fetchMarks,
+  parseFunding,
+  parseOpenInterest,
+  parseMarks,
+};
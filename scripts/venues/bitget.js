@@ -0,0 +1,66 @@
+// Bitget public REST (v2 mix) — USDT-margined perpetuals
+// Funding comes from current-fund-rate, which carries each contract's settlement
+// interval (many are 4h or 1h, not 8h); the tickers call carries mark and OI.
+const { getJson } = require('../http');
+const { toCanonical } = require('../symbols');
+
+const BASE = 'https://api.bitget.com/api/v2/mix/market';
+const TICKERS_URL = `${BASE}/tickers?productType=USDT-FUTURES`;
+const FUNDING_URL = `${BASE}/current-fund-rate?productType=USDT-FUTURES`;
+const HOUR_MS = 60 * 60 * 1000;
+
+function coinFromSymbol(symbol) {
+  const m = /^(.+)USDT$/.exec(symbol);
+  return m ? toCanonical(m[1]) : null;
+}
+
+function unwrap(json) {
+  if (!json || json.code !== '00000' || !Array.isArray(json.data)) {
+    throw new Error(`Bitget error: ${json ? json.msg || json.code : 'empty response'}`);
+  }
+  return json.data;
+}
+
+function parseFunding(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const rate = parseFloat(d.fundingRate);
+    if (!coin || !Number.isFinite(rate)) return null;
+    // fundingRateInterval is in hours; without it the venue default (8h) applies
+    const hours = parseFloat(d.fundingRateInterval);
+    const next = parseInt(d.nextUpdate);
+    return {
+      coin,
+      symbol: d.symbol,
+      rate,
+      intervalMs: hours > 0 ? hours * HOUR_MS : null,
+      nextFundingTime: next || null,
+    };
+  }).filter(Boolean);
+}
+
+function parseOpenInterest(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const oiUsd = parseFloat(d.holdingAmount) * parseFloat(d.markPrice);
+    return coin && Number.isFinite(oiUsd) ? { coin, symbol: d.symbol, oiUsd } : null;
+  }).filter(Boolean);
+}
+
+function parseMarks(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const markPrice = parseFloat(d.markPrice);
+    return coin && Number.isFinite(markPrice) ? { coin, symbol: d.symbol, markPrice } : null;
+  }).filter(Boolean);
+}
+
+module.exports = {
+  name: 'bitget',
+  fetchFunding: async () => parseFunding(await getJson(FUNDING_URL)),
+  fetchOpenInterest: async () => parseOpenInterest(await getJson(TICKERS_URL)),
+  fetchMarks: async () => parseMarks(await getJson(TICKERS_URL)),
+  parseFunding,
+  parseOpenInterest,
+  parseMarks,
+};
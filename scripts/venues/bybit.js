@@ -0,0 +1,61 @@
+// Bybit public REST (v5) — linear USDT perpetuals
+// One tickers call carries funding, mark and OI value for every contract.
+const { getJson } = require('../http');
+const { toCanonical } = require('../symbols');
+
+const TICKERS_URL = 'https://api.bybit.com/v5/market/tickers?category=linear';
+
+// 'BTCUSDT' → 'BTC', '1000PEPEUSDT' → 'PEPE'; USDC perps and dated futures are skipped
+function coinFromSymbol(symbol) {
+  const m = /^([A-Z0-9]+)USDT$/.exec(symbol);
+  return m ? toCanonical(m[1]) : null;
+}
+
+function unwrap(json) {
+  if (!json || json.retCode !== 0 || !json.result || !Array.isArray(json.result.list)) {
+    throw new Error(`Bybit error: ${json ? json.retMsg || json.retCode : 'empty response'}`);
+  }
+  return json.result.list;
+}
+
+function parseFunding(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const rate = parseFloat(d.fundingRate);
+    if (!coin || !Number.isFinite(rate)) return null;
+    const hours = parseFloat(d.fundingIntervalHour);
+    return {
+      coin,
+      symbol: d.symbol,
+      rate,
+      intervalMs: hours > 0 ? hours * 3600000 : null,
+      nextFundingTime: parseInt(d.nextFundingTime) || null,
+    };
+  }).filter(Boolean);
+}
+
+function parseOpenInterest(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const oiUsd = parseFloat(d.openInterestValue);
+    return coin && Number.isFinite(oiUsd) ? { coin, symbol: d.symbol, oiUsd } : null;
+  }).filter(Boolean);
+}
+
+function parseMarks(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.symbol);
+    const markPrice = parseFloat(d.markPrice);
+    return coin && Number.isFinite(markPrice) ? { coin, symbol: d.symbol, markPrice } : null;
+  }).filter(Boolean);
+}
+
+module.exports = {
+  name: 'bybit',
+  fetchFunding: async () => parseFunding(await getJson(TICKERS_URL)),
+  fetchOpenInterest: async () => parseOpenInterest(await getJson(TICKERS_URL)),
+  fetchMarks: async () => parseMarks(await getJson(TICKERS_URL)),
+  parseFunding,
+  parseOpenInterest,
+  parseMarks,
+};
@@ -0,0 +1,58 @@
+// Gate.io public REST (v4) — USDT-settled perpetual contracts
+// The contracts list carries funding, interval, mark and position size.
+const { getJson } = require('../http');
+const { toCanonical } = require('../symbols');
+
+const CONTRACTS_URL = 'https://api.gateio.ws/api/v4/futures/usdt/contracts';
+
+function coinFromSymbol(name) {
+  const m = /^(.+)_USDT$/.exec(name);
+  return m ? toCanonical(m[1]) : null;
+}
+
+function unwrap(json) {
+  if (!Array.isArray(json)) throw new Error(`Gate error: ${json ? json.message || json.label : 'empty response'}`);
+  return json.filter(d => !d.in_delisting);
+}
+
+function parseFunding(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.name);
+    const rate = parseFloat(d.funding_rate);
+    if (!coin || !Number.isFinite(rate)) return null;
+    return {
+      coin,
+      symbol: d.name,
+      rate,
+      intervalMs: d.funding_interval ? d.funding_interval * 1000 : null,
+      nextFundingTime: d.funding_next_apply ? d.funding_next_apply * 1000 : null,
+    };
+  }).filter(Boolean);
+}
+
+function parseOpenInterest(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.name);
+    // position_size is in contracts; quanto_multiplier is coins per contract
+    const oiUsd = parseFloat(d.position_size) * parseFloat(d.quanto_multiplier) * parseFloat(d.mark_price);
+    return coin && Number.isFinite(oiUsd) ? { coin, symbol: d.name, oiUsd } : null;
+  }).filter(Boolean);
+}
+
+function parseMarks(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.name);
+    const markPrice = parseFloat(d.mark_price);
+    return coin && Number.isFinite(markPrice) ? { coin, symbol: d.name, markPrice } : null;
+  }).filter(Boolean);
+}
+
+module.exports = {
+  name: 'gate',
+  fetchFunding: async () => parseFunding(await getJson(CONTRACTS_URL)),
+  fetchOpenInterest: async () => parseOpenInterest(await getJson(CONTRACTS_URL)),
+  fetchMarks: async () => parseMarks(await getJson(CONTRACTS_URL)),
+  parseFunding,
+  parseOpenInterest,
+  parseMarks,
+};
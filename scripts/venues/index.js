@@ -0,0 +1,36 @@
+// Venue adapter registry for CEX funding.
+//
+// Every adapter exposes:
+//   name
+//   fetchFunding()            → [{ coin, symbol, rate, intervalMs, nextFundingTime }]
+//   fetchOpenInterest(coins)  → [{ coin, symbol, oiUsd }]  (coins only used by per-symbol venues)
+//   fetchMarks()              → [{ coin, symbol, markPrice }]
+// plus pure parse* functions that take the raw venue JSON, so adapters can be
+// checked against recorded responses without the network.
+//
+// `coin` is always the canonical asset (symbols.toCanonical), so 1000PEPEUSDT and
+// PEPE-USDT-SWAP join as PEPE; `symbol` keeps the venue's own name.
+
+const ADAPTERS = {
+  okx: require('./okx'),
+  bitget: require('./bitget'),
+  gate: require('./gate'),
+  binance: require('./binance'),
+  bybit: require('./bybit'),
+};
+
+const DEFAULT_VENUES = ['okx', 'bitget', 'gate'];
+
+// Resolve a venue list from --venues / FUNDING_VENUES ("okx,bybit,..."); unknown names throw
+function getAdapters(list) {
+  const names = list
+    ? String(list).split(',').map(v => v.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_VENUES;
+  const unknown = names.filter(n => !ADAPTERS[n]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown funding venue(s): ${unknown.join(', ')} — available: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return names.map(n => ADAPTERS[n]);
+}
+
+module.exports = { ADAPTERS, DEFAULT_VENUES, getAdapters };
@@ -0,0 +1,62 @@
+// OKX public REST — USDT-margined perpetual swaps
+const { getJson } = require('../http');
+const { toCanonical } = require('../symbols');
+
+const BASE = 'https://www.okx.com/api/v5/public';
+
+// 'BTC-USDT-SWAP' → 'BTC'; inverse (USD) swaps are skipped
+function coinFromSymbol(instId) {
+  const m = /^(.+)-USDT-SWAP$/.exec(instId);
+  return m ? toCanonical(m[1]) : null;
+}
+
+function unwrap(json) {
+  if (!json || json.code !== '0' || !Array.isArray(json.data)) {
+    throw new Error(`OKX error: ${json ? json.msg || json.code : 'empty response'}`);
+  }
+  return json.data;
+}
+
+function parseFunding(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.instId);
+    const rate = parseFloat(d.fundingRate);
+    if (!coin || !Number.isFinite(rate)) return null;
+    const next = parseInt(d.fundingTime);
+    const after = parseInt(d.nextFundingTime);
+    return {
+      coin,
+      symbol: d.instId,
+      rate,
+      // OKX gives the next two settlement times; their gap is the interval
+      intervalMs: next && after ? after - next : null,
+      nextFundingTime: next || null,
+    };
+  }).filter(Boolean);
+}
+
+function parseOpenInterest(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.instId);
+    const oiUsd = parseFloat(d.oiUsd);
+    return coin && Number.isFinite(oiUsd) ? { coin, symbol: d.instId, oiUsd } : null;
+  }).filter(Boolean);
+}
+
+function parseMarks(json) {
+  return unwrap(json).map(d => {
+    const coin = coinFromSymbol(d.instId);
+    const markPrice = parseFloat(d.markPx);
+    return coin && Number.isFinite(markPrice) ? { coin, symbol: d.instId, markPrice } : null;
+  }).filter(Boolean);
+}
+
+module.exports = {
+  name: 'okx',
+  fetchFunding: async () => parseFunding(await getJson(`${BASE}/funding-rate?instId=ANY`)),
+  fetchOpenInterest: async () => parseOpenInterest(await getJson(`${BASE}/open-interest?instType=SWAP`)),
+  fetchMarks: async () => parseMarks(await getJson(`${BASE}/mark-price?instType=SWAP`)),
+  parseFunding,
+  parseOpenInterest,
+  parseMarks,
+};
@@ -1,8 +1,12 @@
 require("./env");
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const { parseArgs } = require('util');
+const { trackOi, describeOiDelta } = require('./oi-history');
+const { FUNDING_THRESHOLDS_8H } = require('./funding-intervals');
+const { toCanonical } = require('./symbols');
+const hl = require('./hyperliquid');
+const candleStore = require('./candle-store');
 
 const DATA_DIR = path.resolve(__dirname, '..', 'data');
 const OUTPUT_PATH = path.join(DATA_DIR, 'volume-scanner-latest.json');
@@ -17,32 +21,18 @@ const { values: args } = parseArgs({
 });
 
 const SPIKE_THRESHOLD = parseFloat(args.threshold);
-
-function post(body) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify(body);
-    const req = https.request({
-      hostname: 'api.hyperliquid.xyz', path: '/info', method: 'POST',
-      headers: { 'Content-Type': 'application/json' }
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => { try { resolve(JSON.parse(d)); } catch(e) { reject(e); } });
-    });
-    req.on('error', reject);
-    req.end(data);
-  });
-}
+const EXTREME_FUNDING_8H = FUNDING_THRESHOLDS_8H.extreme;
 
 async function main() {
   const [meta, ctxs] = await Promise.all([
-    post({ type: 'meta' }),
-    post({ type: 'metaAndAssetCtxs' }),
+    hl.info({ type: 'meta' }),
+    hl.info({ type: 'metaAndAssetCtxs' }),
   ]);
 
   const assetCtxs = Array.isArray(ctxs) ? ctxs[1] : (ctxs.assetCtxs || []);
   const allCoins = meta.universe.map((u, i) => ({
-    coin: u.name,
+    coin: toCanonical(u.name),
+    symbol: u.name,
     dayVol: assetCtxs[i] ? parseFloat(assetCtxs[i].dayNtlVlm || '0') : 0,
     openInterest: assetCtxs[i] ? parseFloat(assetCtxs[i].openInterest || '0') : 0,
     funding: assetCtxs[i] ? parseFloat(assetCtxs[i].funding || '0') : 0,
@@ -62,11 +52,8 @@ async function main() {
     const batch = coins.slice(i, i + batchSize);
     const batchResults = await Promise.all(batch.map(async (c) => {
       try {
-        // Get hourly candles for volume history (7 days)
-        const candles = await post({
-          type: 'candleSnapshot',
-          req: { coin: c.coin, interval: '1h', startTime: Date.now() - 7 * 86400000, endTime: Date.now() }
-        });
+        // Hourly candles for volume history (7 days); the last is the hour in progress
+        const candles = await candleStore.getCandles(c.symbol, '1h', 7 * 24);
 
         if (!candles || candles.length < 24) return null;
 
@@ -90,6 +77,7 @@ async function main() {
 
         return {
           coin: c.coin,
+          symbol: c.symbol,
           price: Math.round(c.markPx * 10000) / 10000,
           priceChange24h: Math.round(priceChange * 100) / 100,
           dayVol: Math.round(c.dayVol),
@@ -112,6 +100,20 @@ async function main() {
     if (i + batchSize < coins.length) await new Promise(r => setTimeout(r, 500));
   }
 
+  // OI deltas vs previous runs (shared 'hyperliquid' series with funding-unified.js).
+  // Uses the raw hourly funding — r.funding is rounded for display.
+  const rawFunding = new Map(coins.map(c => [c.coin, c.funding]));
+  const deltas = trackOi('hyperliquid', results.map(r => ({
+    coin: r.coin,
+    oiUsd: r.openInterest,
+    isExtreme: Math.abs(rawFunding.get(r.coin) * 8) >= EXTREME_FUNDING_8H,
+  })));
+  for (const r of results) {
+    const d = deltas.get(r.coin);
+    r.oiDelta = d ? d.oiDelta : null;
+    r.oiFlags = d ? d.oiFlags : [];
+  }
+
   // Sort by spike magnitude
   results.sort((a, b) => Math.max(b.spike24h, b.spike7d) - Math.max(a.spike24h, a.spike7d));
 
@@ -157,6 +159,15 @@ async function main() {
     console.log();
   }
 
+  const oiFlagged = results.filter(r => r.oiFlags.length > 0);
+  if (oiFlagged.length > 0) {
+    console.log(`📈 OI SHIFTS (${oiFlagged.length}):`);
+    for (const r of oiFlagged) {
+      console.log(`  ${r.coin.padEnd(8)} | ${r.oiFlags.join(', ')} | ${describeOiDelta(r.oiDelta)}`);
+    }
+    console.log();
+  }
+
   console.error(`\nSaved to ${OUTPUT_PATH}`);
 }
 
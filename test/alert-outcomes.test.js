@@ -0,0 +1,54 @@
+// Alert outcome tracking on synthetic 15m candles — no network, no store writes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPrices } = require('../scripts/alert-outcomes');
+
+const MIN_MS = 60 * 1000;
+const T0 = Date.UTC(2026, 9, 19, 12, 0);
+
+// 15m candles from `start`: [open, high, low, close] per candle
+function candles(start, rows) {
+  return rows.map(([o, h, l, c], i) => {
+    const t = start + i * 15 * MIN_MS;
+    return { t, T: t + 15 * MIN_MS - 1, o: String(o), h: String(h), l: String(l), c: String(c) };
+  });
+}
+
+function alert(setupDirection, alertedAt) {
+  return {
+    setupDirection, alertedAt, entryPrice: 100,
+    returns: { '1h': null, '4h': null, '24h': null, '72h': null },
+    mfePct: null, maePct: null, trackedThrough: null,
+  };
+}
+
+test('excursions skip the candle the alert fired in', () => {
+  // Alert 5 minutes into the first candle, whose 90 low happened before entry
+  const a = alert('LONG', T0 + 5 * MIN_MS);
+  applyPrices(a, candles(T0, [[95, 101, 90, 100], [100, 104, 98, 103], [103, 106, 97, 105]]), T0 + 60 * MIN_MS);
+  assert.equal(a.mfePct, 6);
+  assert.equal(a.maePct, -3);
+  assert.equal(a.trackedThrough, T0 + 45 * MIN_MS - 1);
+});
+
+test('short excursions are signed to the setup', () => {
+  const a = alert('SHORT', T0);
+  applyPrices(a, candles(T0, [[100, 102, 95, 96], [96, 99, 92, 93]]), T0 + 30 * MIN_MS);
+  assert.equal(a.mfePct, 8);
+  assert.equal(a.maePct, -2);
+});
+
+test('only the alert candle closed so far: no excursion yet', () => {
+  const a = alert('LONG', T0 + 5 * MIN_MS);
+  applyPrices(a, candles(T0, [[95, 101, 90, 100]]), T0 + 16 * MIN_MS);
+  assert.equal(a.mfePct, null);
+  assert.equal(a.maePct, null);
+});
+
+test('returns at each horizon from the last candle closed by it', () => {
+  const a = alert('LONG', T0);
+  const rows = Array.from({ length: 5 }, (_, i) => [100 + i, 101 + i, 99 + i, 101 + i]);
+  applyPrices(a, candles(T0, rows), T0 + 80 * MIN_MS);
+  assert.equal(a.returns['1h'], 4);
+  assert.equal(a.returns['4h'], null);
+});
@@ -0,0 +1,24 @@
+// Candle store gap detection on a stored file (test/fixtures/candles) — no network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { findGaps, INTERVAL_MS } = require('../scripts/candle-store');
+
+const stored = require(path.join(__dirname, 'fixtures', 'candles', 'BTC-1h.json'));
+
+test('findGaps: open time before each step that is not exactly one interval', () => {
+  // 03:00 → 05:00 skips an hour; 06:00 is stored twice
+  assert.deepEqual(findGaps(stored.candles, INTERVAL_MS['1h']), [
+    Date.UTC(2025, 9, 20, 3),
+    Date.UTC(2025, 9, 20, 6),
+  ]);
+});
+
+test('findGaps: a contiguous series, a single row and an empty file have none', () => {
+  const contiguous = stored.candles.slice(0, 4);
+  assert.deepEqual(findGaps(contiguous, INTERVAL_MS['1h']), []);
+  assert.deepEqual(findGaps(stored.candles.slice(-1), INTERVAL_MS['1h']), []);
+  assert.deepEqual(findGaps([], INTERVAL_MS['1h']), []);
+  // The same rows read as 4h candles are all gaps
+  assert.equal(findGaps(contiguous, INTERVAL_MS['4h']).length, 3);
+});
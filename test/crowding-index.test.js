@@ -0,0 +1,34 @@
+// Crowding index on a trimmed funding-unified snapshot (test/fixtures).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { computeIndex } = require('../scripts/crowding-index');
+
+const unified = require(path.join(__dirname, 'fixtures', 'funding-unified.json'));
+
+test('computeIndex: OI-weighted funding and crowded shares across coins', () => {
+  const r = computeIndex(unified);
+  // BTC 1e10 @ 0.009%, PEPE 2.3e8 @ -0.1906%, WIF 1e8 @ 0.128%, XYZ 2e7 @ -0.07% (best
+  // rate, no weighted one); NEWC has no OI and drops out
+  assert.equal(r.totalOiUsd, 10350000000);
+  assert.ok(Math.abs(r.oiWeightedFunding - 575600 / 10350000000) < 1e-12);
+  assert.equal(r.longsCrowdedShare, 0.0097);
+  assert.equal(r.shortsCrowdedShare, 0.0242);
+  assert.equal(r.longsCrowdedCount, 1);
+  assert.equal(r.shortsCrowdedCount, 2);
+  assert.equal(r.extremeCount, 2);
+  assert.equal(r.coins, 5);
+  assert.equal(r.fundingTimestamp, unified.timestamp);
+  assert.equal(r.partial, false);
+});
+
+test('computeIndex: extremeCount falls back to isExtreme flags; empty input has no shares', () => {
+  const { extremeCount, ...rest } = unified;
+  assert.equal(computeIndex({ ...rest, partial: true }).extremeCount, 2);
+  assert.equal(computeIndex({ ...rest, partial: true }).partial, true);
+  const empty = computeIndex({ timestamp: unified.timestamp, coins: [] });
+  assert.deepEqual(
+    [empty.totalOiUsd, empty.oiWeightedFunding, empty.longsCrowdedShare, empty.shortsCrowdedShare],
+    [0, null, null, null],
+  );
+});
@@ -0,0 +1,45 @@
+// Swing detection and divergences on small hand-built series.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { swingPoints, findDivergences, describeDivergence } = require('../scripts/divergence');
+
+test('swingPoints: a flat top or bottom counts once, at its first bar', () => {
+  const highs = [1, 2, 3, 5, 5, 4, 3, 2, 1];
+  const lows = [9, 8, 7, 5, 5, 6, 7, 8, 9];
+  assert.deepEqual(swingPoints(highs, lows, { left: 2, right: 2 }), { highs: [3], lows: [3] });
+});
+
+test('swingPoints: needs `left` bars before and `right` bars after', () => {
+  const highs = [1, 3, 2, 1, 4, 1, 2, 5, 1];
+  const lows = highs.map(h => h - 1);
+  // 3 at index 1 has only one bar before it; 5 at index 7 only one after
+  assert.deepEqual(swingPoints(highs, lows, { left: 2, right: 2 }).highs, [4]);
+  assert.deepEqual(swingPoints(highs, lows, { left: 1, right: 1 }).highs, [1, 4, 7]);
+  assert.deepEqual(swingPoints(highs, lows, { left: 1, right: 1 }).lows, [3, 5]);
+});
+
+// Choppy drift, a sharp drop to 84, a bounce, a slow grind to 83, a bounce
+const CLOSES = [
+  99.6, 100.2, 99.8, 100.4, 100.0, 100.6, 100.2, 100.8, 100.4, 101.0,
+  100.6, 101.2, 100.8, 101.4, 101.0, 101.6, 101.2, 101.8, 101.4, 102.0,
+  99, 96, 93, 90, 87, 84, 85.5, 87, 88.5, 90, 91.5, 93,
+  92, 91, 90, 89, 88, 87, 86, 85, 84, 83,
+  84.2, 85.4, 86.6, 87.8,
+];
+const candles = CLOSES.map((close, i) => ({ openTime: i * 3600000, open: close, high: close + 0.5, low: close - 0.5, close, volume: 1 }));
+
+test('findDivergences: lower low on fading momentum is a regular bullish divergence', () => {
+  assert.deepEqual(swingPoints(candles.map(c => c.high), candles.map(c => c.low)), { highs: [19, 31], lows: [25, 41] });
+  const [d, ...rest] = findDivergences(candles);
+  assert.deepEqual(rest, []);
+  assert.equal(d.type, 'REGULAR_BULLISH');
+  assert.deepEqual(d.pivots.map(p => [p.time, p.price]), [[25 * 3600000, 83.5], [41 * 3600000, 82.5]]);
+  assert.ok(d.pivots[1].rsi > d.pivots[0].rsi);
+  assert.equal(d.barsAgo, 4);
+  assert.match(describeDivergence({ ...d, timeframe: '1h' }), /^REGULAR_BULLISH 1h: low 83\.5 → 82\.5, RSI /);
+});
+
+test('findDivergences: nothing once the second pivot is older than maxAge', () => {
+  assert.deepEqual(findDivergences(candles, { maxAge: 3 }), []);
+  assert.deepEqual(findDivergences(candles.slice(0, 20)), []);
+});
@@ -0,0 +1,97 @@
+// EMA 200 breakout lifecycle and cross annotation on synthetic 1h candles: 200 flat
+// bars at 100 put EMA 200 at 100, so later bars are read against a level near 100.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackBreakout, annotateCross } = require('../scripts/ema-breakout-scanner');
+
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 9, 1);
+
+// [close, low, high, volume] per bar after the flat base
+function candles(bars) {
+  const rows = [...Array(200).fill([100, 99.9, 100.1, 100]), ...bars];
+  return rows.map(([c, l, h, v = 100], i) => {
+    const t = T0 + i * HOUR_MS;
+    return { t, T: t + HOUR_MS - 1, o: String(c), h: String(h), l: String(l), c: String(c), v: String(v) };
+  });
+}
+const closeTime = i => T0 + (200 + i + 1) * HOUR_MS - 1;
+const crossUp = i => ({ type: 'CROSS_ABOVE_200', candleCloseTime: closeTime(i), price: 102, ema200: 100.02, relVolume: 1.8 });
+
+test('trackBreakout: a cross opens a record, a retest that holds closes it as an entry', () => {
+  const breakouts = {};
+  const cross = [[102, 100.5, 102.2]];
+  assert.deepEqual(trackBreakout(breakouts, 'BTC', '1h', candles(cross), [crossUp(0)]), []);
+  assert.deepEqual(breakouts.BTC_1h, {
+    coin: 'BTC', timeframe: '1h', direction: 'up', status: 'crossed',
+    crossedAt: closeTime(0), crossPrice: 102, crossEma200: 100.02, crossRelVolume: 1.8,
+    checkedThrough: closeTime(0), bars: 0, retestAt: null, last: null,
+  });
+
+  // Wick back into the 0.5% band with a close just above it: retesting, no signal yet
+  const retest = [...cross, [100.3, 100.1, 101]];
+  assert.deepEqual(trackBreakout(breakouts, 'BTC', '1h', candles(retest), []), []);
+  assert.equal(breakouts.BTC_1h.status, 'retesting');
+  assert.equal(breakouts.BTC_1h.retestAt, closeTime(1));
+
+  // Close clear of the band: held
+  const [hold] = trackBreakout(breakouts, 'BTC', '1h', candles([...retest, [101.5, 100.4, 101.6]]), []);
+  assert.equal(hold.type, 'RETEST_HOLD');
+  assert.equal(hold.barsSinceCross, 2);
+  assert.equal(hold.candleCloseTime, closeTime(2));
+  assert.equal(breakouts.BTC_1h.status, 'held');
+
+  // Finished records are dropped on the next run without news
+  assert.deepEqual(trackBreakout(breakouts, 'BTC', '1h', candles([...retest, [101.5, 100.4, 101.6], [102, 101.5, 102.2]]), []), []);
+  assert.equal(breakouts.BTC_1h, undefined);
+});
+
+test('trackBreakout: a close back below fails it; the opposite cross keeps it under `last`', () => {
+  const breakouts = {};
+  trackBreakout(breakouts, 'ETH', '1h', candles([[102, 100.5, 102.2]]), [crossUp(0)]);
+  const bars = [[102, 100.5, 102.2], [99, 98.8, 101]];
+  const crossDown = { type: 'CROSS_BELOW_200', candleCloseTime: closeTime(1), price: 99, ema200: 100.01 };
+  const [failed] = trackBreakout(breakouts, 'ETH', '1h', candles(bars), [crossDown]);
+  assert.equal(failed.type, 'FAILED_BREAKOUT');
+  assert.equal(failed.barsSinceCross, 1);
+  assert.equal(breakouts.ETH_1h.direction, 'down');
+  assert.equal(breakouts.ETH_1h.status, 'crossed');
+  assert.equal(breakouts.ETH_1h.last.status, 'failed');
+  assert.equal(breakouts.ETH_1h.crossRelVolume, null);
+});
+
+test('trackBreakout: no retest within 48 bars expires quietly', () => {
+  const breakouts = {};
+  trackBreakout(breakouts, 'SOL', '1h', candles([[102, 100.5, 102.2]]), [crossUp(0)]);
+  const away = [[102, 100.5, 102.2], ...Array(47).fill([105, 104, 105.5])];
+  assert.deepEqual(trackBreakout(breakouts, 'SOL', '1h', candles(away), []), []);
+  assert.equal(breakouts.SOL_1h.status, 'crossed');
+  assert.equal(breakouts.SOL_1h.bars, 47);
+  // The 48th bar expires it, with no signal to report, so it's dropped in the same run
+  assert.deepEqual(trackBreakout(breakouts, 'SOL', '1h', candles([...away, [105, 104, 105.5]]), []), []);
+  assert.equal(breakouts.SOL_1h, undefined);
+});
+
+test('annotateCross: volume vs the prior 20 candles, OI across the cross candle', () => {
+  const bars = [[102, 100.5, 102.2, 200]];
+  const sig = { ...crossUp(0), desc: 'Crossed ABOVE 1h EMA 200 — bullish breakout', weight: 4, confirmed: true };
+  const open = closeTime(0) + 1 - HOUR_MS;
+  const oiSeries = [[open - 5 * 60 * 1000, 40e6], [closeTime(0) + 2 * 60 * 1000, 44e6], [open + 3 * HOUR_MS, 50e6]];
+
+  // Three hours later: OI is read from the snapshots at the candle's open and close
+  const r = annotateCross(sig, candles(bars), '1h', { oiSeries, oiUsd: 60e6, now: open + 4 * HOUR_MS });
+  // Notional 200 × 102 against 100 × 100
+  assert.equal(r.relVolume, 2.04);
+  assert.equal(r.volumeConfirmed, true);
+  assert.equal(r.weight, 5);
+  assert.deepEqual(r.oiChange, { usd: 4000000, pct: 10, from: 40000000 });
+  assert.equal(r.desc, 'Crossed ABOVE 1h EMA 200 — bullish breakout | vol 2.04× avg ✅, OI +10% on the candle');
+  assert.deepEqual(r.tags, []);
+
+  // Right after the close the live reading is the close
+  assert.equal(annotateCross(sig, candles(bars), '1h', { oiSeries, oiUsd: 42e6, now: closeTime(0) + 60 * 1000 }).oiChange.pct, 5);
+  // No snapshot near the open: no OI change; thin volume is suspect
+  const thin = annotateCross(sig, candles([[102, 100.5, 102.2, 50]]), '1h', { oiSeries: oiSeries.slice(1), oiUsd: 60e6, now: open + 4 * HOUR_MS });
+  assert.equal(thin.oiChange, null);
+  assert.deepEqual(thin.tags, ['SUSPECT_BREAKOUT']);
+});
@@ -0,0 +1,42 @@
+// Funding carry on a trimmed funding-unified snapshot (test/fixtures).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { findCarry } = require('../scripts/funding-arb');
+
+const unified = require(path.join(__dirname, 'fixtures', 'funding-unified.json'));
+const coin = name => unified.coins.find(c => c.coin === name);
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('findCarry: long the lowest 8h rate, short the highest, net of a taker round trip', () => {
+  const o = findCarry(coin('PEPE'), { holdDays: 7 });
+  assert.deepEqual([o.long.venue, o.short.venue, o.venueCount], ['okx', 'hyperliquid', 2]);
+  // OKX 4h leg is compared on its 8h equivalent, HL hourly likewise
+  assert.ok(close(o.spread8h, 0.00264));
+  assert.ok(close(o.grossApr, 0.00264 * 3 * 365));
+  assert.ok(close(o.roundTripFees, 2 * (0.0005 + 0.00045)));
+  assert.ok(close(o.netApr, 0.00264 * 3 * 365 - 0.0019 * 365 / 7));
+  assert.equal(o.breakevenHours, 5.8);
+  assert.equal(o.minLegOiUsd, 50000000);
+  assert.equal(o.long.nextFundingTime, 1760947200000);
+  assert.equal(o.short.takerFee, 0.00045);
+});
+
+test('findCarry: a shorter hold pays the same fees over fewer days', () => {
+  const week = findCarry(coin('WIF'), { holdDays: 7 });
+  const day = findCarry(coin('WIF'), { holdDays: 1 });
+  assert.ok(close(week.grossApr, day.grossApr));
+  assert.ok(close(day.feeDrag, 7 * week.feeDrag));
+});
+
+test('findCarry: legs without OI, ties, and coins on one venue', () => {
+  const xyz = findCarry(coin('XYZ'), { holdDays: 7 });
+  assert.deepEqual([xyz.long.venue, xyz.short.venue, xyz.minLegOiUsd], ['gate', 'bybit', null]);
+  // OKX and HL tie for highest; the first listed is shorted, the spread is tiny
+  const btc = findCarry(coin('BTC'), { holdDays: 7 });
+  assert.deepEqual([btc.long.venue, btc.short.venue], ['binance', 'okx']);
+  assert.ok(btc.netApr < 0);
+  // Gate's NEWC rate is missing, leaving HL alone
+  assert.equal(findCarry(coin('NEWC'), { holdDays: 7 }), null);
+  assert.equal(findCarry({ coin: 'X', venues: [] }, { holdDays: 7 }), null);
+});
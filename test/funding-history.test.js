@@ -0,0 +1,45 @@
+// Funding stats against a stored history (test/fixtures/funding-history), passed in
+// as records so nothing under data/ is read.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fundingStats } = require('../scripts/funding-history');
+
+// 2 records older than 30 days, 8 every other day 24-10 days back at -0.02%, the last
+// 12 periods (8h apart) rising to +0.09%, and one after NOW
+const records = fs.readFileSync(path.join(__dirname, 'fixtures', 'funding-history', 'hyperliquid', 'BTC.jsonl'), 'utf8')
+  .split('\n').filter(Boolean).map(line => JSON.parse(line));
+const NOW = Date.UTC(2025, 9, 20, 8);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const THRESHOLD = 0.0006;
+
+test('fundingStats: percentile and z-score within 7d / 30d, streak of extreme periods', () => {
+  assert.deepEqual(fundingStats('hyperliquid', 'BTC', 0.0009, { threshold: THRESHOLD, now: NOW, records }), {
+    samples7d: 12,
+    samples30d: 20,
+    pctl7d: 95.8,   // 11 below, itself counted half
+    pctl30d: 97.5,
+    z7d: 1.79,
+    z30d: 2.01,
+    extremeStreak: 4,  // +0.07%, +0.06%, +0.08%, +0.09%
+  });
+});
+
+test('fundingStats: an extreme reading on the other side starts its own streak', () => {
+  const stats = fundingStats('hyperliquid', 'BTC', -0.0007, { threshold: THRESHOLD, now: NOW, records });
+  assert.equal(stats.pctl7d, 0);
+  assert.equal(stats.extremeStreak, 1);
+  assert.equal(fundingStats('hyperliquid', 'BTC', 0.0005, { threshold: THRESHOLD, now: NOW, records }).extremeStreak, 0);
+});
+
+test('fundingStats: a replay only sees records up to `now`; under 10 samples is null', () => {
+  const stats = fundingStats('hyperliquid', 'BTC', 0.0009, { threshold: THRESHOLD, now: NOW - 5 * DAY_MS, records });
+  assert.equal(stats.samples7d, 2);
+  assert.equal(stats.pctl7d, null);
+  assert.equal(stats.z7d, null);
+  // 30 days back from the replay point reaches the two +0.5% records
+  assert.equal(stats.samples30d, 10);
+  assert.equal(stats.pctl30d, 80);
+  assert.equal(stats.extremeStreak, 1);
+});
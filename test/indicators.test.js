@@ -0,0 +1,130 @@
+// Indicators against reference series.
+//   - SMA / EMA / RSI: StockCharts ChartSchool worked examples (cs-movavg, cs-rsi), 2dp.
+//   - ATR / ADX / MACD / Bollinger / StochRSI / VWAP: technicalindicators@3.1.0 on the
+//     StockCharts ATR table (cs-atr), 4dp.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I = require('../scripts/indicators');
+
+// Non-null values must match `expected` in count (pins the warm-up) and within `tol`
+function assertSeries(series, expected, tol, label) {
+  const values = series.filter(v => v !== null);
+  assert.equal(values.length, expected.length, `${label}: ${values.length} values, expected ${expected.length}`);
+  values.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tol, `${label}[${i}] ${v} vs ${expected[i]}`));
+}
+
+// cs-movavg — 10-day SMA and EMA
+const MA_CLOSES = [
+  22.2734, 22.1940, 22.0847, 22.1741, 22.1840, 22.1344, 22.2337, 22.4323, 22.2436, 22.2933,
+  22.1542, 22.3926, 22.3816, 22.6109, 23.3558, 24.0519, 23.7530, 23.8324, 23.9516, 23.6338,
+  23.8225, 23.8722, 23.6537, 23.1870, 23.0976, 23.3261, 22.6805, 23.0976, 22.4025, 22.1725,
+];
+
+// cs-rsi — the unrounded closes; the table's 2dp closes give 70.46 instead of 70.53
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.2779, 44.9833, 45.1000, 45.4245, 45.8433, 46.0826,
+  45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+  46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+  43.4205, 42.6628, 43.1314,
+];
+
+// cs-atr
+const HIGHS = [48.70, 48.72, 48.90, 48.87, 48.82, 49.05, 49.20, 49.35, 49.92, 50.19, 50.12, 49.66, 49.88, 50.19, 50.36, 50.57, 50.65, 50.43, 49.63, 50.33, 50.29, 50.17, 49.32, 48.50, 48.32, 46.80, 47.80, 48.39, 48.66, 48.79];
+const LOWS = [47.79, 48.14, 48.39, 48.37, 48.24, 48.635, 48.94, 48.86, 49.50, 49.87, 49.20, 48.90, 49.43, 49.725, 49.26, 50.09, 50.30, 49.21, 48.98, 49.61, 49.20, 49.43, 48.08, 47.64, 41.55, 44.283, 47.31, 47.20, 47.90, 47.73];
+const CLOSES = [48.16, 48.61, 48.75, 48.63, 48.74, 49.03, 49.07, 49.32, 49.91, 50.13, 49.53, 49.50, 49.75, 50.03, 50.31, 50.52, 50.41, 49.34, 49.37, 50.23, 49.238, 49.93, 48.43, 48.18, 46.57, 45.41, 47.77, 47.72, 48.62, 47.85];
+const CANDLES = HIGHS.map((high, i) => ({ high, low: LOWS[i], close: CLOSES[i], volume: 1000 + i * 37 }));
+
+test('sma: cs-movavg 10-day', () => {
+  assertSeries(I.sma(MA_CLOSES, 10), [
+    22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+    23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13,
+  ], 0.005, 'sma');
+});
+
+test('ema: cs-movavg 10-day, seeded with the first SMA', () => {
+  assertSeries(I.ema(MA_CLOSES, 10), [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+  ], 0.005, 'ema');
+});
+
+test('rsi: cs-rsi 14-period Wilder', () => {
+  assertSeries(I.rsi(RSI_CLOSES, 14), [
+    70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+    54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77,
+  ], 0.005, 'rsi');
+});
+
+// StockCharts seeds ATR with the first bar's high - low as well; we start at the first
+// bar with a previous close (as TA-Lib does), so the reference here is the latter.
+test('atr: 14-period Wilder from the second bar', () => {
+  assertSeries(I.atr(CANDLES, 14), [
+    0.5686, 0.5622, 0.5471, 0.5951, 0.5991, 0.6248, 0.6581, 0.6776,
+    0.7614, 0.7684, 1.1971, 1.2914, 1.3699, 1.3570, 1.3272, 1.3081,
+  ], 5e-5, 'atr');
+});
+
+test('adx: 5-period ADX and DI lines', () => {
+  const { adx, plusDI, minusDI } = I.adx(CANDLES, 5);
+  assertSeries(adx, [
+    70.8495, 58.4627, 49.1673, 40.2873, 37.1553, 31.8054, 26.3873, 23.2195, 27.7519, 32.6622, 27.1164,
+    26.2063, 25.4783, 32.4580, 39.3566, 49.7777, 58.1145, 58.6624, 55.7078, 51.7067, 49.0571,
+  ], 5e-5, 'adx');
+  // DI lines start at index 5, ADX at 9
+  assertSeries(plusDI.slice(9), [
+    46.6238, 30.9953, 23.0892, 27.1864, 33.9064, 22.5545, 25.8275, 25.4610, 16.5590, 13.4315, 28.8106,
+    21.0768, 16.3779, 10.5448, 8.7367, 3.2511, 2.5168, 10.8308, 15.3368, 16.7155, 14.5964,
+  ], 5e-5, 'plusDI');
+  assertSeries(minusDI.slice(9), [
+    2.6649, 25.9207, 29.3777, 24.7123, 20.5060, 27.7936, 23.5017, 20.6020, 44.6365, 42.8891, 31.8007,
+    33.3614, 25.9237, 42.6806, 44.1350, 72.9047, 56.4367, 44.5047, 39.3294, 35.2788, 32.8395,
+  ], 5e-5, 'minusDI');
+  assert.equal(plusDI.filter(v => v !== null).length, 25);
+});
+
+test('macd: 5/10/4, EMA line and EMA signal', () => {
+  const { macd, signal, histogram } = I.macd(CLOSES, 5, 10, 4);
+  assertSeries(macd, [
+    0.5446, 0.4381, 0.3489, 0.3169, 0.3227, 0.3488, 0.3737, 0.3479, 0.1507, 0.0385, 0.1053,
+    -0.0150, 0.0252, -0.1817, -0.3214, -0.6221, -0.9242, -0.6753, -0.5062, -0.2470, -0.2073,
+  ], 5e-5, 'macd');
+  assertSeries(signal, [
+    0.4121, 0.3764, 0.3653, 0.3687, 0.3604, 0.2765, 0.1813, 0.1509, 0.0845,
+    0.0608, -0.0362, -0.1503, -0.3390, -0.5731, -0.6140, -0.5709, -0.4413, -0.3477,
+  ], 5e-5, 'signal');
+  assertSeries(histogram, [
+    -0.0952, -0.0536, -0.0166, 0.0050, -0.0125, -0.1258, -0.1428, -0.0456, -0.0995,
+    -0.0356, -0.1455, -0.1711, -0.2831, -0.3511, -0.0614, 0.0646, 0.1943, 0.1404,
+  ], 1e-4, 'histogram');
+});
+
+test('bollinger: 20-period, 2 population standard deviations', () => {
+  const { upper, middle, lower, bandwidth } = I.bollinger(CLOSES, 20, 2);
+  assertSeries(upper, [50.8019, 50.7206, 50.7224, 50.7609, 50.8227, 51.2344, 51.7696, 51.7868, 51.7838, 51.7016, 51.5880], 5e-5, 'upper');
+  assertSeries(middle, [49.4670, 49.5209, 49.5869, 49.5709, 49.5484, 49.4399, 49.2589, 49.1939, 49.1139, 49.0494, 48.9354], 5e-5, 'middle');
+  assertSeries(lower, [48.1321, 48.3212, 48.4514, 48.3809, 48.2741, 47.6454, 46.7482, 46.6010, 46.4440, 46.3972, 46.2828], 5e-5, 'lower');
+  assert.ok(Math.abs(I.last(bandwidth) - (51.5880 - 46.2828) / 48.9354) < 1e-5);
+});
+
+// technicalindicators rounds RSI to 2dp before the stochastic, hence the looser tolerance
+test('stochRsi: 5/5/3/3', () => {
+  const { k, d } = I.stochRsi(CLOSES, 5, 5, 3, 3);
+  // %K starts two bars before %D; the reference only reports bars where both exist
+  assertSeries(k.slice(13), [
+    19.928, 53.2614, 79.7306, 82.7015, 49.3682, 16.8703, 19.3386, 22.9496, 45.8704,
+    27.3672, 23.7562, 0, 0, 33.3333, 66.1846, 99.5179, 92.1464,
+  ], 0.02, 'k');
+  assertSeries(d, [
+    20.0418, 26.6845, 50.9733, 71.8978, 70.6001, 49.6467, 28.5257, 19.7195, 29.3862,
+    32.0624, 32.3313, 17.0411, 7.9187, 11.1111, 33.1726, 66.3453, 85.9496,
+  ], 0.02, 'd');
+  assert.equal(k.filter(v => v !== null).length, 19);
+});
+
+test('vwap: cumulative typical price × volume', () => {
+  assertSeries(I.vwap(CANDLES), [
+    48.2167, 48.3558, 48.4677, 48.5087, 48.5282, 48.5963, 48.6707, 48.7412, 48.8711, 49.0074,
+    49.0714, 49.0989, 49.1523, 49.2230, 49.2836, 49.3680, 49.4464, 49.4611, 49.4523, 49.4904,
+    49.4956, 49.5158, 49.4650, 49.3915, 49.1870, 49.0002, 48.9328, 48.8774, 48.8550, 48.8221,
+  ], 5e-5, 'vwap');
+});
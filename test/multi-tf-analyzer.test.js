@@ -0,0 +1,47 @@
+// Multi-TF bias labels: bands, and the hysteresis that keeps a label across runs.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { biasLabel, alignmentScore } = require('../scripts/multi-tf-analyzer');
+
+test('biasLabel: bands with no previous label', () => {
+  assert.equal(biasLabel(50), 'BULLISH');
+  assert.equal(biasLabel(49), 'LEAN_BULLISH');
+  assert.equal(biasLabel(20), 'LEAN_BULLISH');
+  assert.equal(biasLabel(19), 'NEUTRAL');
+  assert.equal(biasLabel(-20), 'NEUTRAL');
+  assert.equal(biasLabel(-21), 'LEAN_BEARISH');
+  assert.equal(biasLabel(-51), 'BEARISH');
+  assert.equal(biasLabel(null), null);
+  assert.equal(biasLabel(null, 'BULLISH'), null);
+});
+
+test('biasLabel: the previous label holds until the score is 5 points past its band', () => {
+  // LEAN_BULLISH is [20, 50): held from 16 up to 54
+  assert.equal(biasLabel(19, 'LEAN_BULLISH'), 'LEAN_BULLISH');
+  assert.equal(biasLabel(16, 'LEAN_BULLISH'), 'LEAN_BULLISH');
+  assert.equal(biasLabel(15, 'LEAN_BULLISH'), 'NEUTRAL');
+  assert.equal(biasLabel(54, 'LEAN_BULLISH'), 'LEAN_BULLISH');
+  assert.equal(biasLabel(55, 'LEAN_BULLISH'), 'BULLISH');
+  // Open-ended bands only have the one edge
+  assert.equal(biasLabel(46, 'BULLISH'), 'BULLISH');
+  assert.equal(biasLabel(45, 'BULLISH'), 'LEAN_BULLISH');
+  assert.equal(biasLabel(-46, 'BEARISH'), 'BEARISH');
+  assert.equal(biasLabel(-45, 'BEARISH'), 'LEAN_BEARISH');
+  // A jump across a whole band isn't held back
+  assert.equal(biasLabel(-30, 'LEAN_BULLISH'), 'LEAN_BEARISH');
+  assert.equal(biasLabel(30, 'UNKNOWN'), 'LEAN_BULLISH');
+});
+
+test('biasLabel: a score wobbling around an edge keeps one label', () => {
+  let bias = null;
+  const labels = [21, 19, 21, 18, 22].map(score => (bias = biasLabel(score, bias)));
+  assert.deepEqual(labels, Array(5).fill('LEAN_BULLISH'));
+});
+
+test('alignmentScore: timeframe-weighted, needs two scored timeframes', () => {
+  // 1h +1 (weight 1), 4h -1 (1.5), 1d +0.5 (2) → (1 - 1.5 + 1) / 4.5
+  const tfData = { '1h': { trendScore: 1 }, '4h': { trendScore: -1 }, '1d': { trendScore: 0.5 } };
+  assert.equal(alignmentScore(tfData, ['1h', '4h', '1d']), 11);
+  assert.equal(alignmentScore({ ...tfData, '4h': { error: 'timeout' } }, ['1h', '4h', '1d']), 67);
+  assert.equal(alignmentScore(tfData, ['1h']), null);
+});
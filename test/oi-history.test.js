@@ -0,0 +1,49 @@
+// OI deltas and flags from a stored snapshot file (test/fixtures/oi-history) — read
+// straight from the fixture, nothing is written to data/.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { computeDeltas, oiFlags, oiAt, describeOiDelta } = require('../scripts/oi-history');
+
+const snapshots = require(path.join(__dirname, 'fixtures', 'oi-history', 'hyperliquid.json'));
+const NOW = Date.UTC(2025, 9, 20, 6);
+const MIN_MS = 60 * 1000;
+
+test('computeDeltas: nearest point to each window, ignoring one written moments ago', () => {
+  // 9.9B at -3m is too recent to be a base; -55m, -4h10m and -24h are
+  assert.deepEqual(computeDeltas(snapshots.BTC, 10e9, NOW), {
+    d1h: { usd: 500000000, pct: 5.26, from: 9500000000 },
+    d4h: { usd: 1000000000, pct: 11.11, from: 9000000000 },
+    d24h: { usd: 2000000000, pct: 25, from: 8000000000 },
+  });
+});
+
+test('computeDeltas: a point too far from the window target gives no delta', () => {
+  // The only point is 2.5h old: not a 1h, 4h or 24h base
+  assert.deepEqual(computeDeltas(snapshots.PEPE, 230e6, NOW), { d1h: null, d4h: null, d24h: null });
+  assert.deepEqual(computeDeltas([], 230e6, NOW), { d1h: null, d4h: null, d24h: null });
+});
+
+test('oiFlags: rising OI only flags while funding is extreme; drops flag a flush', () => {
+  const btc = computeDeltas(snapshots.BTC, 10e9, NOW);
+  assert.deepEqual(oiFlags(btc, { isExtreme: true }), ['OI_RISING_INTO_EXTREME']);
+  assert.deepEqual(oiFlags(btc), []);
+
+  // -4.76% 1h is not a flush on its own, -20% 4h is
+  const wif = computeDeltas(snapshots.WIF, 100e6, NOW);
+  assert.equal(wif.d1h.pct, -4.76);
+  assert.equal(wif.d4h.pct, -20);
+  assert.deepEqual(oiFlags(wif, { isExtreme: true }), ['OI_FLUSH']);
+  assert.deepEqual(oiFlags({ d1h: null, d4h: null, d24h: null }, { isExtreme: true }), []);
+});
+
+test('oiAt: closest stored value within the tolerance', () => {
+  assert.equal(oiAt(snapshots.BTC, NOW - 60 * MIN_MS, 15 * MIN_MS), 9500000000);
+  assert.equal(oiAt(snapshots.PEPE, NOW - 60 * MIN_MS, 15 * MIN_MS), null);
+});
+
+test('describeOiDelta: 4h first, falling back to 1h / 24h', () => {
+  assert.equal(describeOiDelta(computeDeltas(snapshots.BTC, 10e9, NOW)), 'OI +11.11% 4h (+$1000.0M)');
+  assert.equal(describeOiDelta({ d1h: { usd: -5e6, pct: -4.76, from: 105e6 }, d4h: null, d24h: null }), 'OI -4.76% 1h (-$5.0M)');
+  assert.equal(describeOiDelta({ d1h: null, d4h: null, d24h: null }), null);
+});
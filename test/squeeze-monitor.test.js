@@ -0,0 +1,35 @@
+// squeeze-monitor gates on in-memory inputs — options come from the caller, not argv.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCandidates, classifyCrowding, coinView, parseOptions } = require('../scripts/squeeze-monitor');
+const { loadRules } = require('../scripts/squeeze-scoring');
+
+const unified = (coin, rate8h, history = null) => ({
+  coin, bestFunding: rate8h, bestVenue: 'hyperliquid', totalOiUsd: 5e6, history,
+  venues: [{ venue: 'hyperliquid', rate8h, oiUsd: 5e6 }], hyperliquid: { symbol: coin, markPrice: 1 }, cex: null,
+});
+const inputs = (coins, rsi) => ({ coins: coins.map(coinView), rsi, ema: {}, mtf: {}, ob: {}, vol: {}, liq: {}, rs: {} });
+
+test('parseOptions reads only the argv it is given', () => {
+  assert.deepEqual(
+    { ...parseOptions(['--rsi-tfs', '4h, 1d', '--intrabar']), rulesPath: null },
+    { fixedThresholds: false, rsiTfs: ['4h', '1d'], intrabar: true, rulesPath: null },
+  );
+  assert.deepEqual({ ...parseOptions([]), rulesPath: null }, { fixedThresholds: false, rsiTfs: null, intrabar: false, rulesPath: null });
+});
+
+test('classifyCrowding: history decides unless fixedThresholds', () => {
+  // Crowded by the fixed line, but ordinary for this coin
+  const coin = coinView(unified('AAA', -0.001, { samples30d: 90, z30d: -0.5, pctl30d: 40 }));
+  assert.deepEqual(classifyCrowding(coin), { sentiment: 'shorts_crowded', isExtreme: false, relative: true });
+  assert.deepEqual(classifyCrowding(coin, { fixedThresholds: true }), { sentiment: 'shorts_crowded', isExtreme: true, relative: false });
+});
+
+test('findCandidates: RSI gate timeframes come from options', () => {
+  const rules = loadRules();
+  const data = inputs([unified('AAA', -0.001)], { AAA: { rsi: 25, timeframe: '1d', timeframes: { '4h': { rsi: 45 }, '1d': { rsi: 25 } } } });
+  assert.deepEqual(findCandidates(data, rules).candidates.map(c => c.coin), ['AAA']);
+  const gated = findCandidates(data, rules, { rsiTfs: ['4h', '1d'] });
+  assert.deepEqual(gated.candidates, []);
+  assert.match(gated.skipped[0].reason, /RSI 4h 45, 1d 25 doesn't confirm/);
+});
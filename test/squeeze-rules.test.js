@@ -0,0 +1,110 @@
+// Squeeze scoring: the condition engine, rules validation, and each default factor
+// firing on its own fact.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRules, validateRules, evaluate, test: holds } = require('../scripts/squeeze-scoring');
+
+const THRESHOLDS = {
+  minOiUsd: 1000000, rsiOversold: 35, rsiOverbought: 65, emaConfirmScore: 3,
+  capitulationPriceVsSlow: -30, liquidationFuelRangePct: 10,
+};
+const BANDS = [{ min: 80, label: 'VERY HIGH' }, { min: 65, label: 'HIGH' }, { min: 50, label: 'MEDIUM-HIGH' }, { min: 0, label: 'MEDIUM' }];
+const rulesWith = (factors, base = 40) => validateRules({ thresholds: THRESHOLDS, base, factors, conviction: BANDS });
+
+// Facts for a LONG candidate that matches no default factor
+const PLAIN = {
+  setup: 'LONG',
+  funding: { relative: false, crowdingScope: 'only-venue', oiFlags: [] },
+  rsi: { min: 30, max: 33, depth: 2 },
+  ema: { signalScore: 0, priceVsSlow: -5, alignment: 'MIXED' },
+  multiTf: { againstSetup: false },
+  divergence: { regularConfirming: false, conflictingOnly: false },
+  orderbook: { supportsSetup: false, conflicts: false },
+  volume: { isSpike: false, oiToVolRatio: 1 },
+  liquidations: { fuelOiShare: 0.05 },
+};
+
+test('conditions: ops, threshold references, all / any / not, missing facts', () => {
+  const facts = { a: 5, list: ['X'], s: 'LONG', nested: { v: 2 } };
+  assert.ok(holds({ fact: 'a', op: '>=', value: 5 }, facts));
+  assert.ok(!holds({ fact: 'a', op: '<', value: 5 }, facts));
+  assert.ok(holds({ fact: 's', op: 'in', value: ['LONG', 'SHORT'] }, facts));
+  assert.ok(holds({ fact: 'list', op: 'includes', value: 'X' }, facts));
+  assert.ok(holds({ fact: 'nested.v', op: '==', value: 2 }, facts));
+  assert.ok(holds({ fact: 'a', op: '<', value: { threshold: 'emaConfirmScore' } }, { a: 2 }, THRESHOLDS));
+  assert.ok(holds({ all: [{ fact: 'a', op: '>', value: 1 }, { any: [{ fact: 's', op: '==', value: 'SHORT' }, { fact: 'a', op: '==', value: 5 }] }] }, facts));
+  assert.ok(holds({ not: { fact: 'a', op: '==', value: 4 } }, facts));
+  // Missing facts fail every op except exists: false
+  assert.ok(!holds({ fact: 'gone.deep', op: '!=', value: 1 }, facts));
+  assert.ok(holds({ fact: 'gone', op: 'exists', value: false }, facts));
+  assert.ok(!holds({ fact: 'gone', op: 'exists', value: true }, facts));
+});
+
+test('evaluate: base + matched points, clamped to 0-100, highest band reached', () => {
+  const rules = rulesWith([
+    { id: 'big', when: { fact: 'x', op: '==', value: 1 }, points: 70 },
+    { id: 'penalty', when: { fact: 'y', op: '==', value: 1 }, points: -60 },
+    { id: 'small', when: { fact: 'z', op: '==', value: 1 }, points: 15 },
+  ]);
+  assert.deepEqual(evaluate(rules, {}), { score: 40, conviction: 'MEDIUM', factors: [] });
+  const r = evaluate(rules, { z: 1 });
+  assert.equal(r.score, 55);
+  assert.equal(r.conviction, 'MEDIUM-HIGH');
+  assert.deepEqual(r.factors, [{ id: 'small', factor: null, points: 15 }]);
+  assert.equal(evaluate(rules, { x: 1, z: 1 }).score, 100);
+  assert.equal(evaluate(rules, { y: 1 }).score, 0);
+});
+
+test('validateRules names the offending path', () => {
+  assert.throws(() => rulesWith([{ id: 'a', when: { fact: 'x', op: '~', value: 1 }, points: 1 }]), /factors\[0\] \(a\)\.when: unknown op/);
+  assert.throws(() => rulesWith([{ id: 'a', when: { fact: 'x', op: '>', value: { threshold: 'nope' } }, points: 1 }]), /unknown threshold "nope"/);
+  assert.throws(() => rulesWith([{ id: 'a', when: { fact: 'x', op: '>', value: 1 }, points: 1 }, { id: 'a', when: { fact: 'x', op: '>', value: 1 }, points: 1 }]), /duplicate id/);
+  assert.throws(() => rulesWith([{ id: 'a', when: { all: [] }, points: 1 }]), /non-empty array/);
+  assert.throws(() => validateRules({ thresholds: {}, base: 40, factors: [], conviction: BANDS }), /thresholds\.minOiUsd/);
+});
+
+test('default rules: a plain candidate scores the base', () => {
+  const rules = loadRules();
+  const r = evaluate(rules, PLAIN);
+  assert.deepEqual(r.factors, []);
+  assert.equal(r.score, rules.base);
+});
+
+// Each default factor, triggered by changing only its own facts
+const TRIGGERS = {
+  funding_relative_extreme: { funding: { ...PLAIN.funding, relative: true } },
+  funding_broad: { funding: { ...PLAIN.funding, crowdingScope: 'broad' } },
+  oi_rising_into_extreme: { funding: { ...PLAIN.funding, oiFlags: ['OI_RISING_INTO_EXTREME'] } },
+  rsi_deep: { rsi: { min: 18, max: 22, depth: 13 } },
+  ema_structure: { ema: { ...PLAIN.ema, signalScore: 3 } },
+  ema_lower_tf: { ema: { ...PLAIN.ema, signalScore: 1.5 } },
+  ema_capitulation: { ema: { ...PLAIN.ema, priceVsSlow: -40 } },
+  ema_bearish_stack_short: { setup: 'SHORT', rsi: { min: 67, max: 70, depth: 2 }, ema: { ...PLAIN.ema, alignment: 'BEARISH' } },
+  mtf_against_setup: { multiTf: { againstSetup: true } },
+  divergence_regular: { divergence: { regularConfirming: true, conflictingOnly: false } },
+  divergence_conflicting: { divergence: { regularConfirming: false, conflictingOnly: true } },
+  orderbook_supports: { orderbook: { supportsSetup: true, conflicts: false } },
+  orderbook_conflicts: { orderbook: { supportsSetup: false, conflicts: true } },
+  volume_spike: { volume: { ...PLAIN.volume, isSpike: true } },
+  volume_crowded_oi: { volume: { ...PLAIN.volume, oiToVolRatio: 4 } },
+  liquidation_fuel: { liquidations: { fuelOiShare: 0.3 } },
+};
+
+test('default rules: every factor fires on its own condition with a non-zero weight', () => {
+  const rules = loadRules();
+  assert.deepEqual(Object.keys(TRIGGERS).sort(), rules.factors.map(f => f.id).sort());
+  for (const f of rules.factors) {
+    assert.notEqual(f.points, 0, `${f.id} has no weight`);
+    const r = evaluate(rules, { ...PLAIN, ...TRIGGERS[f.id] });
+    assert.deepEqual(r.factors.map(m => m.id), [f.id], f.id);
+    assert.equal(r.score, rules.base + f.points, f.id);
+  }
+});
+
+test('default rules: factors from different sources add up', () => {
+  const rules = loadRules();
+  const facts = { ...PLAIN, ...TRIGGERS.ema_structure, ...TRIGGERS.rsi_deep, ...TRIGGERS.orderbook_supports, ...TRIGGERS.funding_broad };
+  const points = ['ema_structure', 'rsi_deep', 'orderbook_supports', 'funding_broad']
+    .reduce((sum, id) => sum + rules.factors.find(f => f.id === id).points, rules.base);
+  assert.equal(evaluate(rules, facts).score, Math.min(100, points));
+});
@@ -0,0 +1,77 @@
+// Venue adapters against trimmed venue responses (test/fixtures/venues) — no network.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ADAPTERS } = require('../scripts/venues');
+
+const fixture = name => require(path.join(__dirname, 'fixtures', 'venues', `${name}.json`));
+const HOUR_MS = 60 * 60 * 1000;
+
+// OI products (size × multiplier × mark) aren't exact in floating point
+function assertOi(rows, expected) {
+  assert.deepEqual(rows.map(r => [r.coin, r.symbol]), expected.map(e => [e.coin, e.symbol]));
+  rows.forEach((r, i) => assert.ok(Math.abs(r.oiUsd - expected[i].oiUsd) < 1e-6 * expected[i].oiUsd, `${r.symbol} oiUsd ${r.oiUsd}`));
+}
+
+test('okx: interval from the gap between the next two settlements, USDT swaps only', () => {
+  assert.deepEqual(ADAPTERS.okx.parseFunding(fixture('okx-funding-rate')), [
+    { coin: 'BTC', symbol: 'BTC-USDT-SWAP', rate: 0.0000815, intervalMs: 8 * HOUR_MS, nextFundingTime: 1760947200000 },
+    { coin: 'PEPE', symbol: 'PEPE-USDT-SWAP', rate: -0.00124, intervalMs: 4 * HOUR_MS, nextFundingTime: 1760947200000 },
+  ]);
+  assertOi(ADAPTERS.okx.parseOpenInterest(fixture('okx-open-interest')), [
+    { coin: 'BTC', symbol: 'BTC-USDT-SWAP', oiUsd: 3121456789.12 },
+    { coin: 'PEPE', symbol: 'PEPE-USDT-SWAP', oiUsd: 183421000.5 },
+  ]);
+});
+
+test('bitget: fundingRateInterval (hours) per contract, OI = holdingAmount × mark', () => {
+  assert.deepEqual(ADAPTERS.bitget.parseFunding(fixture('bitget-current-fund-rate')), [
+    { coin: 'BTC', symbol: 'BTCUSDT', rate: 0.0001, intervalMs: 8 * HOUR_MS, nextFundingTime: 1760947200000 },
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', rate: -0.0009, intervalMs: 4 * HOUR_MS, nextFundingTime: 1760947200000 },
+    { coin: 'WIF', symbol: 'WIFUSDT', rate: 0.00025, intervalMs: 1 * HOUR_MS, nextFundingTime: 1760936400000 },
+  ]);
+  assertOi(ADAPTERS.bitget.parseOpenInterest(fixture('bitget-tickers')), [
+    { coin: 'BTC', symbol: 'BTCUSDT', oiUsd: 41250.5 * 108000 },
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', oiUsd: 12000000000 * 0.0081 },
+  ]);
+});
+
+test('gate: interval and next settlement in seconds, delisting contracts dropped', () => {
+  assert.deepEqual(ADAPTERS.gate.parseFunding(fixture('gate-contracts')), [
+    { coin: 'BTC', symbol: 'BTC_USDT', rate: 0.000095, intervalMs: 8 * HOUR_MS, nextFundingTime: 1760947200000 },
+    { coin: 'PEPE', symbol: 'PEPE_USDT', rate: -0.00071, intervalMs: 4 * HOUR_MS, nextFundingTime: 1760947200000 },
+  ]);
+  assertOi(ADAPTERS.gate.parseOpenInterest(fixture('gate-contracts')), [
+    { coin: 'BTC', symbol: 'BTC_USDT', oiUsd: 9876543 * 0.0001 * 108000 },
+    { coin: 'PEPE', symbol: 'PEPE_USDT', oiUsd: 2500000 * 10000000 * 0.0000081 },
+  ]);
+});
+
+test('binance: fundingInfo overrides the default interval, dated contracts skipped', () => {
+  assert.deepEqual(ADAPTERS.binance.parseFunding(fixture('binance-premium-index'), fixture('binance-funding-info')), [
+    { coin: 'BTC', symbol: 'BTCUSDT', rate: 0.0001, intervalMs: null, nextFundingTime: 1760947200000 },
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', rate: -0.0015, intervalMs: 4 * HOUR_MS, nextFundingTime: 1760947200000 },
+  ]);
+  assertOi([ADAPTERS.binance.parseOpenInterest(fixture('binance-open-interest'), 0.0081)], [
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', oiUsd: 25000000000 * 0.0081 },
+  ]);
+});
+
+test('bybit: fundingIntervalHour per contract, USDC perps skipped', () => {
+  assert.deepEqual(ADAPTERS.bybit.parseFunding(fixture('bybit-tickers')), [
+    { coin: 'BTC', symbol: 'BTCUSDT', rate: 0.0001, intervalMs: 8 * HOUR_MS, nextFundingTime: 1760947200000 },
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', rate: -0.0011, intervalMs: 4 * HOUR_MS, nextFundingTime: 1760947200000 },
+  ]);
+  assertOi(ADAPTERS.bybit.parseOpenInterest(fixture('bybit-tickers')), [
+    { coin: 'BTC', symbol: 'BTCUSDT', oiUsd: 5616013284 },
+    { coin: 'PEPE', symbol: '1000PEPEUSDT', oiUsd: 170100000 },
+  ]);
+});
+
+test('error responses throw with the venue name', () => {
+  assert.throws(() => ADAPTERS.okx.parseFunding({ code: '50011', msg: 'Rate limit reached', data: [] }), /OKX error: Rate limit reached/);
+  assert.throws(() => ADAPTERS.bitget.parseFunding({ code: '40034', msg: 'Parameter does not exist' }), /Bitget error/);
+  assert.throws(() => ADAPTERS.gate.parseFunding({ label: 'INVALID_PARAM_VALUE' }), /Gate error: INVALID_PARAM_VALUE/);
+  assert.throws(() => ADAPTERS.binance.parseFunding({ code: -1121, msg: 'Invalid symbol.' }), /Binance error: Invalid symbol/);
+  assert.throws(() => ADAPTERS.bybit.parseFunding({ retCode: 10001, retMsg: 'params error' }), /Bybit error: params error/);
+});